@@ -1,73 +1,49 @@
 /**
  * APPROVE RESTAURANT SUBMISSION
  * 
- * Fetches details from Google Places and adds to database
+ * Fetches details from Google Places and adds to database.
+ * Same logic as the admin API (POST /api/submissions/:id/approve|reject),
+ * shared through lib/submissions.js
  * 
  * Usage: 
- *   node jobs/approve-submission.js list          - List pending submissions
- *   node jobs/approve-submission.js approve <id>  - Approve a submission
- *   node jobs/approve-submission.js reject <id>   - Reject a submission
+ *   node jobs/approve-submission.js list                  - List pending submissions
+ *   node jobs/approve-submission.js approve <id>          - Pick a Google match interactively
+ *   node jobs/approve-submission.js reject <id> [reason]  - Reject a submission
+ *   node jobs/approve-submission.js add                   - Add a restaurant that isn't on Google
+ *
+ * Approve options:
+ *   --place-id <id>    Use this Google place (non-interactive)
+ *   --status <status>  Halal status: verified (default), unverified, community, unknown
+ *   --dry-run          Show exactly what would be inserted without writing
+ *
+ * Add options (prompted for when missing and running interactively):
+ *   --name, --address, --city, --lat, --lng, --cuisine
+ *   --status <status>  Halal status (default: unverified)
+ *   --submission <id>  Approve this submission and link it to the new restaurant
+ *   --dry-run          Show exactly what would be inserted without writing
+ *
+ * Without --lat/--lng the address is geocoded.
  */
 
 require('dotenv').config();
-const { Pool } = require('pg');
+const readline = require('readline/promises');
+const pool = require('../lib/db');
+const { parseArgs } = require('../lib/cli');
+const submissions = require('../lib/submissions');
+const { detectCuisine } = require('../lib/cuisine');
+const { formatDistance } = require('../lib/geo');
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+const VALUE_FLAGS = ['place-id', 'status', 'name', 'address', 'city', 'lat', 'lng', 'cuisine', 'submission'];
 
-const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
+let rl = null;
 
-// Search for restaurant on Google Places
-async function searchRestaurant(name, city) {
-  const query = `${name} in ${city}`;
-  const url = `https://maps.googleapis.com/maps/api/place/textsearch/json?query=${encodeURIComponent(query)}&type=restaurant&key=${GOOGLE_API_KEY}`;
-  
-  try {
-    const response = await fetch(url);
-    const data = await response.json();
-    return data.results || [];
-  } catch (error) {
-    console.error('Search error:', error);
-    return [];
-  }
-}
-
-// Get place details
-async function getPlaceDetails(placeId) {
-  const url = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${placeId}&fields=place_id,name,formatted_address,geometry,rating,user_ratings_total,photos,formatted_phone_number,website,opening_hours&key=${GOOGLE_API_KEY}`;
-  
-  try {
-    const response = await fetch(url);
-    const data = await response.json();
-    return data.result || null;
-  } catch (error) {
-    console.error('Details error:', error);
-    return null;
+async function ask(question, defaultValue = '') {
+  if (!rl) {
+    rl = readline.createInterface({ input: process.stdin, output: process.stdout });
   }
-}
-
-// Detect cuisine from name
-function detectCuisine(name) {
-  const n = name.toLowerCase();
-  if (n.includes('pakistani') || n.includes('karahi')) return 'Pakistani';
-  if (n.includes('indian') || n.includes('biryani')) return 'Indian';
-  if (n.includes('korean')) return 'Korean';
-  if (n.includes('chinese')) return 'Chinese';
-  if (n.includes('turkish') || n.includes('kebab')) return 'Turkish';
-  if (n.includes('lebanese') || n.includes('shawarma')) return 'Lebanese';
-  if (n.includes('afghan')) return 'Afghan';
-  if (n.includes('chicken') || n.includes('wing')) return 'Fried Chicken';
-  if (n.includes('burger')) return 'Burgers';
-  if (n.includes('pizza')) return 'Pizza';
-  return 'Restaurant';
-}
-
-// Get photo URL
-function getPhotoUrl(photos) {
-  if (!photos || photos.length === 0) return null;
-  return `https://maps.googleapis.com/maps/api/place/photo?maxwidth=400&photoreference=${photos[0].photo_reference}&key=${GOOGLE_API_KEY}`;
+  const suffix = defaultValue !== '' && defaultValue !== null && defaultValue !== undefined ? ` [${defaultValue}]` : '';
+  const answer = (await rl.question(`${question}${suffix}: `)).trim();
+  return answer || (defaultValue ?? '');
 }
 
 // List pending submissions
@@ -96,154 +72,236 @@ async function listSubmissions() {
     }
   }
   
-  console.log('\nTo approve: node jobs/approve-submission.js approve <id>');
-  console.log('To reject:  node jobs/approve-submission.js reject <id>\n');
+  console.log('\nTo approve: node jobs/approve-submission.js approve <id> [--place-id <id>] [--dry-run]');
+  console.log('To reject:  node jobs/approve-submission.js reject <id> [reason]');
+  console.log('Not on Google: node jobs/approve-submission.js add --submission <id> [--lat <lat> --lng <lng>]\n');
 }
 
-// Approve a submission
-async function approveSubmission(id) {
-  // Get submission
-  const submission = await pool.query(
-    'SELECT * FROM restaurant_submissions WHERE id = $1',
-    [id]
-  );
-  
-  if (submission.rows.length === 0) {
-    console.error(`❌ Submission #${id} not found`);
-    return;
+// Print what a dry run would write
+function printPlan(plan) {
+  console.log('\n🧪 DRY RUN - nothing was written\n');
+
+  if (plan.existing_restaurant_id) {
+    console.log(`   Would link existing restaurant: ${plan.existing_restaurant_id}`);
   }
-  
-  const sub = submission.rows[0];
-  console.log(`\n🔍 Searching for: "${sub.restaurant_name}" in ${sub.city}...`);
-  
-  // Search Google Places
-  const results = await searchRestaurant(sub.restaurant_name, sub.city);
-  
-  if (results.length === 0) {
-    console.error('❌ No results found on Google Places');
-    console.log('   You can manually add this restaurant or reject the submission.');
-    return;
+
+  const sections = [
+    ['restaurants', plan.restaurant],
+    ['google_metadata', plan.google_metadata],
+    ['opening_hours', plan.opening_hours],
+    ['photos', plan.photos],
+    ['seen_places', plan.seen_place],
+    ['restaurant_submissions', plan.submission],
+  ];
+
+  for (const [table, row] of sections) {
+    if (!row) continue;
+    console.log(`   ${table}:`);
+    for (const [column, value] of Object.entries(row)) {
+      console.log(`      ${column.padEnd(24)} ${JSON.stringify(value)}`);
+    }
   }
-  
-  // Show results for user to pick
-  console.log(`\n📍 Found ${results.length} result(s):\n`);
-  
-  for (let i = 0; i < Math.min(results.length, 5); i++) {
-    const r = results[i];
-    console.log(`   [${i + 1}] ${r.name}`);
-    console.log(`       ${r.formatted_address || r.vicinity}`);
-    console.log(`       Rating: ${r.rating || 'N/A'} (${r.user_ratings_total || 0} reviews)`);
-    console.log();
+  console.log();
+}
+
+function printResult(result) {
+  if (result.dry_run) {
+    printPlan(result.plan);
+  } else if (result.created) {
+    console.log(`\n🎉 SUCCESS! "${result.name}" has been added to the database.`);
+    console.log(`   Restaurant ID: ${result.restaurant_id}`);
+  } else {
+    console.log('\n⚠️  Restaurant already exists in database (no duplicate added)');
+    console.log(`   Restaurant ID: ${result.restaurant_id}`);
   }
-  
-  // Use first result (you could make this interactive)
-  const selected = results[0];
-  console.log(`✅ Using first result: ${selected.name}`);
-  
-  // Get full details
-  const details = await getPlaceDetails(selected.place_id);
-  if (!details) {
-    console.error('❌ Failed to get place details');
-    return;
+}
+
+// Manual entry form for places that aren't on Google (or didn't match).
+// Fields already given are used as defaults.
+async function manualEntry(defaults) {
+  console.log('\n✏️  MANUAL ENTRY (press Enter to keep the default)\n');
+
+  const name = await ask('   Name', defaults.name);
+  const address = await ask('   Address', defaults.address);
+  const city = await ask('   City', defaults.city);
+  const lat = await ask('   Latitude (blank to geocode the address)', defaults.lat);
+  const lng = lat === '' ? '' : await ask('   Longitude', defaults.lng);
+  const cuisine = await ask('   Cuisine', defaults.cuisine || detectCuisine(name));
+  const halalStatus = await ask('   Halal status', defaults.halal_status || 'unverified');
+
+  return { name, address, city, lat, lng, cuisine, halal_status: halalStatus };
+}
+
+// Print an error, with per-field details for validation errors
+function printError(error) {
+  console.error(`❌ ${error.message}`);
+  for (const { field, message } of error.errors || []) {
+    console.error(`   ${field}: ${message}`);
   }
-  
-  // Save to restaurants table
-  const photoUrl = getPhotoUrl(details.photos);
-  const cuisine = detectCuisine(details.name);
-  
+}
+
+// Add a restaurant that isn't on Google Places
+async function addRestaurant(flags) {
   try {
-    const result = await pool.query(
-      `INSERT INTO restaurants (name, address, city, lat, lng, cuisine, halal_status, halal_confidence_score, source, image, discovered_via)
-       VALUES ($1, $2, $3, $4, $5, $6, 'verified', 85, 'google', $7, 'user-submission')
-       ON CONFLICT DO NOTHING
-       RETURNING id`,
-      [
-        details.name,
-        details.formatted_address,
-        sub.city,
-        details.geometry.location.lat,
-        details.geometry.location.lng,
-        cuisine,
-        photoUrl
-      ]
-    );
-    
-    if (result.rows.length > 0) {
-      // Add metadata
-      await pool.query(
-        `INSERT INTO google_metadata (restaurant_id, place_id, rating, review_count, phone, website, hours)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)
-         ON CONFLICT (place_id) DO NOTHING`,
-        [
-          result.rows[0].id,
-          details.place_id,
-          details.rating || null,
-          details.user_ratings_total || 0,
-          details.formatted_phone_number || null,
-          details.website || null,
-          details.opening_hours?.weekday_text || null
-        ]
-      );
-      
-      // Mark as seen
-      await pool.query(
-        `INSERT INTO seen_places (place_id, city, name, is_halal, checked_at)
-         VALUES ($1, $2, $3, true, NOW())
-         ON CONFLICT (place_id) DO NOTHING`,
-        [details.place_id, sub.city, details.name]
-      );
-      
-      // Update submission status
-      await pool.query(
-        `UPDATE restaurant_submissions 
-         SET status = 'approved', reviewed_at = NOW(), place_id = $1
-         WHERE id = $2`,
-        [details.place_id, id]
-      );
-      
-      console.log(`\n🎉 SUCCESS! "${details.name}" has been added to the database.`);
-      console.log(`   Restaurant ID: ${result.rows[0].id}`);
+    const submissionId = flags.submission ? parseInt(flags.submission) : null;
+    let submission = null;
+    if (submissionId !== null) {
+      submission = await submissions.getSubmission(submissionId);
+      console.log(`\n📝 Adding submission #${submission.id}: "${submission.restaurant_name}" in ${submission.city}`);
+    }
+
+    let input = {
+      name: flags.name || submission?.restaurant_name || '',
+      address: flags.address || submission?.address || '',
+      city: flags.city || submission?.city || '',
+      lat: flags.lat ?? '',
+      lng: flags.lng ?? '',
+      cuisine: flags.cuisine || '',
+      halal_status: flags.status || ''
+    };
+
+    if (!input.name || !input.city) {
+      if (!process.stdin.isTTY) {
+        console.error('❌ Not running interactively - pass at least --name and --city');
+        return;
+      }
+      input = await manualEntry(input);
+    }
+
+    const result = await submissions.addManualRestaurant(input, {
+      submissionId,
+      reviewedBy: 'cli',
+      dryRun: Boolean(flags['dry-run'])
+    });
+
+    if (result.geocoded) {
+      console.log('\n📍 Coordinates geocoded from the address');
+    }
+    printResult(result);
+    if (!result.dry_run && submission) {
+      console.log(`   Submission #${submission.id} approved and linked.`);
+    }
+  } catch (error) {
+    printError(error);
+  }
+}
+
+// Approve a submission
+async function approveSubmission(id, flags) {
+  try {
+    const approveOptions = {
+      halalStatus: flags.status || 'verified',
+      reviewedBy: 'cli',
+      dryRun: Boolean(flags['dry-run'])
+    };
+
+    // Non-interactive: place chosen on the command line, no search needed
+    if (flags['place-id']) {
+      printResult(await submissions.approveSubmission(id, { placeId: flags['place-id'], ...approveOptions }));
+      return;
+    }
+
+    const { submission, origin, candidates } = await submissions.findCandidates(id);
+    console.log(`\n🔍 Searching for: "${submission.restaurant_name}" in ${submission.city}...`);
+    if (origin) {
+      console.log(`   Submitted address: ${submission.address} (${origin.lat.toFixed(5)}, ${origin.lng.toFixed(5)})`);
+    }
+
+    if (candidates.length === 0) {
+      console.error('❌ No results found on Google Places');
     } else {
-      console.log('\n⚠️  Restaurant already exists in database (no duplicate added)');
-      
-      // Still mark submission as approved
-      await pool.query(
-        `UPDATE restaurant_submissions SET status = 'approved', reviewed_at = NOW() WHERE id = $1`,
-        [id]
-      );
+      // Show results for user to pick
+      console.log(`\n📍 Found ${candidates.length} result(s):\n`);
+
+      for (let i = 0; i < candidates.length; i++) {
+        const c = candidates[i];
+        const distance = c.distance_km !== null ? ` | ${formatDistance(c.distance_km)} from submitted address` : '';
+        console.log(`   [${i + 1}] ${c.name}`);
+        console.log(`       ${c.address}`);
+        console.log(`       Rating: ${c.rating || 'N/A'} (${c.review_count} reviews)${distance}`);
+        console.log();
+      }
+    }
+
+    if (!process.stdin.isTTY) {
+      console.error('❌ Not running interactively - pass --place-id <id> to choose a match');
+      return;
+    }
+
+    console.log('   [m] None of these - enter details manually');
+    console.log('   [s] Skip (leave pending)\n');
+
+    const choice = (await ask('Select', candidates.length > 0 ? '1' : 'm')).toLowerCase();
+
+    if (choice === 's') {
+      console.log('\n⏭️  Skipped - submission is still pending.\n');
+      return;
+    }
+    if (choice === 'm') {
+      const input = await manualEntry({
+        name: submission.restaurant_name,
+        address: submission.address || origin?.formatted_address || '',
+        city: submission.city,
+        lat: origin?.lat ?? '',
+        lng: origin?.lng ?? '',
+        halal_status: flags.status
+      });
+      printResult(await submissions.addManualRestaurant(input, {
+        submissionId: submission.id,
+        reviewedBy: 'cli',
+        dryRun: Boolean(flags['dry-run'])
+      }));
+      return;
+    }
+
+    const selected = candidates[parseInt(choice) - 1];
+    if (!selected) {
+      console.error(`❌ Invalid choice: ${choice}`);
+      return;
     }
+
+    console.log(`✅ Using: ${selected.name}`);
+    printResult(await submissions.approveSubmission(id, { placeId: selected.place_id, ...approveOptions }));
   } catch (error) {
-    console.error('❌ Error saving restaurant:', error.message);
+    printError(error);
   }
 }
 
 // Reject a submission
-async function rejectSubmission(id) {
-  await pool.query(
-    `UPDATE restaurant_submissions SET status = 'rejected', reviewed_at = NOW() WHERE id = $1`,
-    [id]
-  );
-  console.log(`\n❌ Submission #${id} has been rejected.\n`);
+async function rejectSubmission(id, reason) {
+  try {
+    await submissions.rejectSubmission(id, { reason, reviewedBy: 'cli' });
+    console.log(`\n❌ Submission #${id} has been rejected.\n`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+  }
 }
 
 // Main
 async function main() {
-  const command = process.argv[2];
-  const arg = process.argv[3];
+  const { positional, flags } = parseArgs(process.argv.slice(2), VALUE_FLAGS);
+  const [command, arg] = positional;
+  const reason = positional.slice(2).join(' ') || null;
   
   if (!command || command === 'list') {
     await listSubmissions();
   } else if (command === 'approve' && arg) {
-    await approveSubmission(parseInt(arg));
+    await approveSubmission(parseInt(arg), flags);
   } else if (command === 'reject' && arg) {
-    await rejectSubmission(parseInt(arg));
+    await rejectSubmission(parseInt(arg), reason);
+  } else if (command === 'add') {
+    await addRestaurant(flags);
   } else {
     console.log('\nUsage:');
-    console.log('  node jobs/approve-submission.js list          - List pending submissions');
-    console.log('  node jobs/approve-submission.js approve <id>  - Approve a submission');
-    console.log('  node jobs/approve-submission.js reject <id>   - Reject a submission\n');
+    console.log('  node jobs/approve-submission.js list                  - List pending submissions');
+    console.log('  node jobs/approve-submission.js approve <id>          - Pick a Google match interactively');
+    console.log('  node jobs/approve-submission.js reject <id> [reason]  - Reject a submission');
+    console.log('  node jobs/approve-submission.js add                   - Add a restaurant that isn\'t on Google');
+    console.log('\nApprove options: --place-id <id>, --status <halal_status>, --dry-run');
+    console.log('Add options:     --name, --address, --city, --lat, --lng, --cuisine, --status, --submission <id>, --dry-run\n');
   }
   
+  if (rl) rl.close();
   await pool.end();
 }
 
@@ -0,0 +1,89 @@
+/**
+ * OPENING HOURS BACKFILL
+ *
+ * Restaurants saved before opening_hours existed only have Google's
+ * weekday_text (google_metadata.hours). This parses it into opening_hours
+ * periods, without calling Google. New places, and places re-verified by
+ * jobs/refresh-metadata.js, get their periods from Place Details instead.
+ *
+ * Usage: node jobs/backfill-hours.js [city_name] [options]
+ *
+ * Options:
+ *   --all        Re-parse restaurants that already have periods too
+ *   --dry-run    Report what would be parsed, without writing
+ */
+
+require('dotenv').config();
+const pool = require('../lib/db');
+const { parseArgs } = require('../lib/cli');
+const { parseWeekdayText, saveHours } = require('../lib/opening-hours');
+
+async function backfillHours(city, flags) {
+  const params = [];
+  const conditions = ['gm.hours IS NOT NULL'];
+  if (city) {
+    params.push(city);
+    conditions.push(`LOWER(r.city) = LOWER($${params.length})`);
+  }
+  if (!flags.all) {
+    conditions.push('NOT EXISTS (SELECT 1 FROM opening_hours oh WHERE oh.restaurant_id = r.id)');
+  }
+
+  const result = await pool.query(`
+    SELECT r.id, r.name, r.city, gm.hours
+    FROM restaurants r
+    JOIN google_metadata gm ON gm.restaurant_id = r.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY r.city, r.name
+  `, params);
+
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`🕒 OPENING HOURS BACKFILL${city ? `: ${city.toUpperCase()}` : ''}`);
+  console.log(`${'═'.repeat(60)}`);
+  console.log(`   Restaurants with hours to parse: ${result.rows.length}\n`);
+
+  const totals = { parsed: 0, periods: 0, unparsed: 0 };
+  const unparsed = [];
+
+  for (const row of result.rows) {
+    const periods = parseWeekdayText(row.hours);
+    if (!periods) {
+      totals.unparsed++;
+      unparsed.push(row);
+      continue;
+    }
+
+    if (!flags['dry-run']) {
+      await saveHours(pool, row.id, periods);
+    }
+    totals.parsed++;
+    totals.periods += periods.length;
+  }
+
+  console.log(`${'═'.repeat(60)}`);
+  console.log(flags['dry-run'] ? '🧪 DRY RUN - nothing was written' : '🎉 BACKFILL COMPLETE');
+  console.log(`${'═'.repeat(60)}`);
+  console.log(`\n   📊 RESULTS:`);
+  console.log(`      ✅ Parsed:      ${totals.parsed} (${totals.periods} periods)`);
+  console.log(`      ❔ Unreadable:  ${totals.unparsed}`);
+
+  if (unparsed.length > 0) {
+    console.log(`\n   ❔ COULD NOT READ (refresh-metadata will replace them from Place Details):`);
+    for (const row of unparsed) {
+      console.log(`      ${row.name} (${row.city}): ${JSON.stringify(row.hours)}`);
+    }
+  }
+  console.log(`\n${'═'.repeat(60)}\n`);
+}
+
+// ============================================
+// RUN
+// ============================================
+const { positional, flags } = parseArgs(process.argv.slice(2));
+
+backfillHours(positional[0] || null, flags)
+  .catch(error => {
+    console.error(`\n❌ Backfill failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,106 @@
+/**
+ * HALAL CERTIFICATE EXPIRY
+ *
+ * A certificate counts through its expires_on (lib/certifications.js).
+ * This rescores restaurants whose certificates have expired since they
+ * were last scored, so a lapsed certificate downgrades the restaurant
+ * (verified -> unverified, see lib/scoring.js) the day after it expires,
+ * and lists certificates about to expire so they can be chased for a
+ * renewal (PATCH /api/certifications/:id with the new expires_on).
+ *
+ * Run it daily, e.g. from cron:
+ *   10 0 * * * cd /app/backend && node jobs/expire-certifications.js
+ *
+ * Usage: node jobs/expire-certifications.js [options]
+ *
+ * Options:
+ *   --warn-days <n>   List certificates expiring within n days (default: 30)
+ *   --dry-run         Report what would change, without writing
+ */
+
+require('dotenv').config();
+const pool = require('../lib/db');
+const { parseArgs } = require('../lib/cli');
+const { rescoreRestaurant } = require('../lib/scoring');
+
+const DEFAULT_WARN_DAYS = 30;
+
+const VALUE_FLAGS = ['warn-days'];
+
+async function expireCertifications(flags) {
+  const warnDays = flags['warn-days'] === undefined ? DEFAULT_WARN_DAYS : Number(flags['warn-days']);
+  if (!Number.isInteger(warnDays) || warnDays < 0) {
+    throw new Error('--warn-days must be a non-negative integer');
+  }
+
+  // Scored before the day after expiry -> the score still counts the certificate
+  const expired = await pool.query(`
+    SELECT DISTINCT r.id, r.name, r.city
+    FROM restaurant_certifications rc
+    JOIN restaurants r ON r.id = rc.restaurant_id
+    WHERE rc.revoked_at IS NULL
+      AND rc.expires_on < CURRENT_DATE
+      AND (r.halal_scored_at IS NULL OR r.halal_scored_at < rc.expires_on + 1)
+    ORDER BY r.city, r.name
+  `);
+
+  const expiring = await pool.query(`
+    SELECT r.name, r.city, ce.name AS certifier, rc.id, rc.certificate_number, rc.expires_on::text AS expires_on
+    FROM restaurant_certifications rc
+    JOIN restaurants r ON r.id = rc.restaurant_id
+    JOIN certifiers ce ON ce.id = rc.certifier_id
+    WHERE rc.revoked_at IS NULL
+      AND ce.active
+      AND rc.expires_on BETWEEN CURRENT_DATE AND CURRENT_DATE + $1::int
+    ORDER BY rc.expires_on, r.name
+  `, [warnDays]);
+
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log('📜 HALAL CERTIFICATE EXPIRY');
+  console.log(`${'═'.repeat(60)}`);
+  console.log(`   Restaurants with newly expired certificates: ${expired.rows.length}\n`);
+
+  const downgraded = [];
+  for (const row of expired.rows) {
+    const score = await rescoreRestaurant(pool, row.id, { dryRun: flags['dry-run'] });
+    if (score && score.status !== score.previous.status) {
+      downgraded.push({ ...row, score });
+    }
+  }
+
+  console.log(`${'═'.repeat(60)}`);
+  console.log(flags['dry-run'] ? '🧪 DRY RUN - nothing was written' : '🎉 EXPIRY CHECK COMPLETE');
+  console.log(`${'═'.repeat(60)}`);
+  console.log(`\n   📊 RESULTS:`);
+  console.log(`      🔁 Rescored:      ${expired.rows.length}`);
+  console.log(`      ⬇️  Downgraded:    ${downgraded.length}`);
+  console.log(`      ⏳ Expiring soon: ${expiring.rows.length} (next ${warnDays} days)`);
+
+  if (downgraded.length > 0) {
+    console.log(`\n   ⬇️  DOWNGRADED:`);
+    for (const { name, city, score } of downgraded) {
+      console.log(`      ${name} (${city}): ${score.previous.status} -> ${score.status} (${score.score}%)`);
+    }
+  }
+
+  if (expiring.rows.length > 0) {
+    console.log(`\n   ⏳ EXPIRING SOON (ask for the renewed certificate):`);
+    for (const row of expiring.rows) {
+      const number = row.certificate_number ? ` #${row.certificate_number}` : '';
+      console.log(`      ${row.expires_on}  ${row.name} (${row.city}) - ${row.certifier}${number} [certification ${row.id}]`);
+    }
+  }
+  console.log(`\n${'═'.repeat(60)}\n`);
+}
+
+// ============================================
+// RUN
+// ============================================
+const { flags } = parseArgs(process.argv.slice(2), VALUE_FLAGS);
+
+expireCertifications(flags)
+  .catch(error => {
+    console.error(`\n❌ Expiry check failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -1,32 +1,35 @@
 /**
  * HYDRATION CHECK - See what's in your database
- * 
+ *
  * Shows:
  * - How many restaurants per city
  * - How many places we've seen (won't re-fetch)
- * - Estimated cost for next hydration
- * 
- * Usage: node jobs/hydrate-check.js [city_name]
+ * - Forecast cost of the next hydration, per phase (see lib/hydration/forecast.js)
+ * - Places API spend so far this month
+ *
+ * Usage: node jobs/hydrate-check.js [city_name] [options]
+ *
+ * Options:
+ *   --preset <name|file.json>  Preset to forecast (default: $HYDRATE_PRESET or "default")
+ *   --phases <a,b>             Only forecast these phases
+ *   --json                     Print everything as JSON (for dashboards)
+ *
+ * Without a city the forecast covers every registered city, one line each.
  */
 
 require('dotenv').config();
-const { Pool } = require('pg');
+const pool = require('../lib/db');
+const { parseArgs } = require('../lib/cli');
+const cities = require('../lib/cities');
+const hydration = require('../lib/hydration');
+const { loadHistory, forecastHydration, printForecast } = require('../lib/hydration/forecast');
+const { monthlySpend } = require('../lib/hydration/budget');
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+const VALUE_FLAGS = ['preset', 'phases'];
 
-async function checkStats(cityFilter = null) {
-  console.log(`\n${'═'.repeat(60)}`);
-  console.log('📊 HYDRATION DATABASE STATUS');
-  console.log(`${'═'.repeat(60)}\n`);
-  
-  // Restaurant counts by city
-  console.log('🍽️  RESTAURANTS BY CITY:\n');
-  
+async function loadStats(cityFilter) {
   const restaurants = await pool.query(`
-    SELECT 
+    SELECT
       city,
       COUNT(*) as total,
       SUM(CASE WHEN halal_status = 'verified' THEN 1 ELSE 0 END) as verified,
@@ -39,14 +42,57 @@ async function checkStats(cityFilter = null) {
     GROUP BY city
     ORDER BY total DESC
   `, cityFilter ? [cityFilter] : []);
-  
-  if (restaurants.rows.length === 0) {
+
+  const seen = await pool.query(`
+    SELECT
+      city,
+      COUNT(*) as total_seen,
+      SUM(CASE WHEN is_halal THEN 1 ELSE 0 END) as halal,
+      SUM(CASE WHEN NOT is_halal THEN 1 ELSE 0 END) as not_halal
+    FROM seen_places
+    ${cityFilter ? "WHERE LOWER(city) = LOWER($1)" : ""}
+    GROUP BY city
+    ORDER BY total_seen DESC
+  `, cityFilter ? [cityFilter] : []);
+
+  return { restaurants: restaurants.rows, seen: seen.rows };
+}
+
+// Forecasts for one city, or every registered city
+async function loadForecasts(cityFilter, flags) {
+  const preset = hydration.loadPreset(flags.preset);
+  const phases = hydration.selectPhases(preset, flags.phases ? flags.phases.split(',') : null);
+  const history = await loadHistory();
+
+  let targets;
+  if (cityFilter) {
+    const cityData = await cities.getCity(cityFilter);
+    if (!cityData) {
+      throw new Error(`City "${cityFilter}" is not in the registry (add it with POST /api/cities)`);
+    }
+    targets = [cityData];
+  } else {
+    targets = await cities.listCities();
+  }
+
+  const forecasts = [];
+  for (const cityData of targets) {
+    forecasts.push(await forecastHydration({ city: cityData.city, cityData, preset, phases, history }));
+  }
+  return forecasts;
+}
+
+function printStats({ restaurants, seen }) {
+  // Restaurant counts by city
+  console.log('🍽️  RESTAURANTS BY CITY:\n');
+
+  if (restaurants.length === 0) {
     console.log('   No restaurants in database yet.\n');
   } else {
     console.log('   City            | Total | Verified | Unverified | Community');
     console.log('   ' + '─'.repeat(55));
-    
-    for (const row of restaurants.rows) {
+
+    for (const row of restaurants) {
       const city = row.city.padEnd(15);
       const total = String(row.total).padStart(5);
       const verified = String(row.verified).padStart(8);
@@ -56,29 +102,17 @@ async function checkStats(cityFilter = null) {
     }
     console.log();
   }
-  
+
   // Seen places (won't re-fetch)
   console.log('👁️  SEEN PLACES (will skip on next run):\n');
-  
-  const seen = await pool.query(`
-    SELECT 
-      city,
-      COUNT(*) as total_seen,
-      SUM(CASE WHEN is_halal THEN 1 ELSE 0 END) as halal,
-      SUM(CASE WHEN NOT is_halal THEN 1 ELSE 0 END) as not_halal
-    FROM seen_places
-    ${cityFilter ? "WHERE LOWER(city) = LOWER($1)" : ""}
-    GROUP BY city
-    ORDER BY total_seen DESC
-  `, cityFilter ? [cityFilter] : []);
-  
-  if (seen.rows.length === 0) {
+
+  if (seen.length === 0) {
     console.log('   No places tracked yet (first run will check everything).\n');
   } else {
     console.log('   City            | Total Seen | Halal | Not Halal');
     console.log('   ' + '─'.repeat(50));
-    
-    for (const row of seen.rows) {
+
+    for (const row of seen) {
       const city = row.city.padEnd(15);
       const total = String(row.total_seen).padStart(10);
       const halal = String(row.halal).padStart(5);
@@ -87,30 +121,61 @@ async function checkStats(cityFilter = null) {
     }
     console.log();
   }
-  
-  // Cost estimate
-  console.log('💰 ESTIMATED COST FOR NEXT RUN:\n');
-  
-  const seenCount = seen.rows.reduce((sum, row) => sum + parseInt(row.total_seen), 0);
-  const estimatedSearches = 35; // Approximate number of queries
-  const estimatedNewPlaces = cityFilter ? 50 : 200; // Estimate for new places
-  
-  if (seenCount === 0) {
-    console.log('   First run (no places seen yet):');
-    console.log(`   - Text Searches: ~${estimatedSearches * 3} calls × $0.032 = ~$${(estimatedSearches * 3 * 0.032).toFixed(2)}`);
-    console.log(`   - Place Details: ~500-800 calls × $0.017 = ~$8.50-$13.60`);
-    console.log(`   - TOTAL: ~$12-17 per city\n`);
-  } else {
-    console.log('   Incremental run (many places already seen):');
-    console.log(`   - Text Searches: ~${estimatedSearches * 2} calls × $0.032 = ~$${(estimatedSearches * 2 * 0.032).toFixed(2)}`);
-    console.log(`   - Place Details: ~${estimatedNewPlaces} new × $0.017 = ~$${(estimatedNewPlaces * 0.017).toFixed(2)}`);
-    console.log(`   - TOTAL: ~$3-5 per city\n`);
+}
+
+function printForecastTable(forecasts) {
+  console.log(`💰 FORECAST FOR NEXT RUN (preset: ${forecasts[0].preset}):\n`);
+  console.log('   City            | Text | Nearby | Details |   Cost');
+  console.log('   ' + '─'.repeat(50));
+
+  for (const forecast of forecasts) {
+    const { calls, cost } = forecast.total;
+    const city = forecast.city.padEnd(15);
+    console.log(`   ${city} | ${String(calls.textsearch).padStart(4)} | ${String(calls.nearbysearch).padStart(6)} | ${String(calls.details).padStart(7)} | $${cost.total.toFixed(2).padStart(6)}`);
+  }
+  console.log('\n   Per-phase breakdown: node jobs/hydrate-check.js <city>\n');
+}
+
+async function checkStats(cityFilter, flags) {
+  const stats = await loadStats(cityFilter);
+  const forecasts = await loadForecasts(cityFilter, flags);
+  const month = await monthlySpend();
+
+  if (flags.json) {
+    console.log(JSON.stringify({
+      restaurants: stats.restaurants,
+      seen_places: stats.seen,
+      forecasts,
+      monthly_spend: month,
+    }, null, 2));
+    return;
   }
-  
+
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log('📊 HYDRATION DATABASE STATUS');
+  console.log(`${'═'.repeat(60)}\n`);
+
+  printStats(stats);
+
+  if (forecasts.length === 1) {
+    printForecast(forecasts[0]);
+  } else if (forecasts.length > 1) {
+    printForecastTable(forecasts);
+  }
+
+  console.log(`💳 PLACES API SPEND THIS MONTH (${month.month}): $${month.cost.toFixed(2)}\n`);
+
   console.log(`${'═'.repeat(60)}\n`);
-  
-  await pool.end();
 }
 
-const city = process.argv[2];
-checkStats(city);
+// ============================================
+// RUN
+// ============================================
+const { positional, flags } = parseArgs(process.argv.slice(2), VALUE_FLAGS);
+
+checkStats(positional[0] || null, flags)
+  .catch(error => {
+    console.error(`\n❌ Check failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
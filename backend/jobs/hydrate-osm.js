@@ -0,0 +1,267 @@
+/**
+ * OPENSTREETMAP HYDRATION
+ *
+ * Free second data source: imports restaurants tagged diet:halal=yes|only
+ * and merges them with what we already have (usually Google rows) by
+ * distance + name similarity instead of adding duplicates.
+ *
+ * - diet:halal=only -> verified (85%), diet:halal=yes -> unverified (70%)
+ * - Merged elements are linked in osm_metadata; they only upgrade the
+ *   existing restaurant when its status is still 'unknown', otherwise
+ *   the tag corroborates its score (lib/scoring.js)
+ * - Re-running is safe: elements already linked are just refreshed
+ *
+ * Usage:
+ *   node jobs/hydrate-osm.js <city_name>                        - Query Overpass for the city bounds (from the registry)
+ *   node jobs/hydrate-osm.js <city_name> --file <extract.json>  - Use a local Overpass / GeoJSON extract
+ *
+ * Options:
+ *   --bbox <south,west,north,east>  Override the city bounds
+ *   --dry-run                       Report what would happen without writing
+ *
+ * .osm.pbf extracts: convert first, e.g.
+ *   osmium tags-filter city.osm.pbf nwr/diet:halal=yes,only -o halal.osm.pbf
+ *   osmium export halal.osm.pbf -f geojson -o halal.geojson
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const pool = require('../lib/db');
+const { parseArgs } = require('../lib/cli');
+const osm = require('../lib/osm');
+const cities = require('../lib/cities');
+const { haversineKm, pointInPolygon } = require('../lib/geo');
+const { rescoreRestaurant } = require('../lib/scoring');
+
+// Same place if within 100 m and the names are similar enough
+const MERGE_RADIUS_KM = 0.1;
+const MIN_NAME_SIMILARITY = 0.4;
+
+const VALUE_FLAGS = ['file', 'bbox'];
+
+function parseBbox(value) {
+  const [south, west, north, east] = String(value).split(',').map(Number);
+  if ([south, west, north, east].some(n => !Number.isFinite(n)) || south >= north || west >= east) {
+    return null;
+  }
+  return { south, west, north, east };
+}
+
+async function findLinkedRestaurant(element) {
+  const result = await pool.query(
+    'SELECT restaurant_id FROM osm_metadata WHERE osm_type = $1 AND osm_id = $2',
+    [element.osm_type, element.osm_id]
+  );
+  return result.rows[0]?.restaurant_id || null;
+}
+
+// Closest existing restaurant with a similar name, or null
+async function findMatch(restaurant) {
+  const latDelta = MERGE_RADIUS_KM / 111;
+  const lngDelta = latDelta / Math.cos(restaurant.lat * Math.PI / 180);
+
+  const result = await pool.query(`
+    SELECT id, name, source, halal_status, lat, lng,
+      similarity(LOWER(name), LOWER($1)) AS name_score
+    FROM restaurants
+    WHERE lat BETWEEN $2 AND $3
+      AND lng BETWEEN $4 AND $5
+  `, [
+    restaurant.name,
+    restaurant.lat - latDelta, restaurant.lat + latDelta,
+    restaurant.lng - lngDelta, restaurant.lng + lngDelta
+  ]);
+
+  const matches = result.rows
+    .map(row => ({
+      ...row,
+      distance_km: haversineKm(restaurant, { lat: parseFloat(row.lat), lng: parseFloat(row.lng) })
+    }))
+    .filter(row => row.distance_km <= MERGE_RADIUS_KM && row.name_score >= MIN_NAME_SIMILARITY)
+    .sort((a, b) => b.name_score - a.name_score || a.distance_km - b.distance_km);
+
+  return matches[0] || null;
+}
+
+// OSM says halal - only becomes the source for restaurants we knew nothing
+// about, otherwise its diet:halal tag just corroborates. Then rescore.
+async function upgradeUnknownStatus(restaurantId, restaurant) {
+  await pool.query(`
+    UPDATE restaurants SET source_status = $2, source_confidence = $3
+    WHERE id = $1 AND COALESCE(source_status, halal_status) = 'unknown'
+  `, [restaurantId, restaurant.halal_status, restaurant.halal_confidence_score]);
+  await rescoreRestaurant(pool, restaurantId);
+}
+
+async function linkElement(db, restaurantId, element, merged) {
+  await db.query(`
+    INSERT INTO osm_metadata (restaurant_id, osm_type, osm_id, diet_halal, tags, merged)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [restaurantId, element.osm_type, element.osm_id, element.diet_halal, element.tags, merged]);
+}
+
+async function refreshElement(element) {
+  await pool.query(`
+    UPDATE osm_metadata SET diet_halal = $3, tags = $4, last_seen_at = NOW()
+    WHERE osm_type = $1 AND osm_id = $2
+  `, [element.osm_type, element.osm_id, element.diet_halal, element.tags]);
+}
+
+async function insertRestaurant(db, restaurant) {
+  const result = await db.query(`
+    INSERT INTO restaurants (name, address, city, lat, lng, cuisine, halal_status, halal_confidence_score, source_status, source_confidence, source, discovered_via)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $7, $8, $9, $10)
+    RETURNING id
+  `, [
+    restaurant.name,
+    restaurant.address,
+    restaurant.city,
+    restaurant.lat,
+    restaurant.lng,
+    restaurant.cuisine,
+    restaurant.halal_status,
+    restaurant.halal_confidence_score,
+    restaurant.source,
+    restaurant.discovered_via
+  ]);
+  return result.rows[0].id;
+}
+
+// Import one element: refresh, merge into an existing restaurant, or create
+async function importElement({ restaurant, osm: element }, dryRun) {
+  const linkedId = await findLinkedRestaurant(element);
+  if (linkedId) {
+    if (!dryRun) {
+      await refreshElement(element);
+      await upgradeUnknownStatus(linkedId, restaurant);
+    }
+    return { action: 'refreshed' };
+  }
+
+  const match = await findMatch(restaurant);
+  if (match) {
+    if (!dryRun) {
+      await linkElement(pool, match.id, element, true);
+      await upgradeUnknownStatus(match.id, restaurant);
+    }
+    return { action: 'merged', match };
+  }
+
+  if (!dryRun) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const id = await insertRestaurant(client, restaurant);
+      await linkElement(client, id, element, false);
+      await rescoreRestaurant(client, id);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  return { action: 'created' };
+}
+
+async function loadElements(cityName, cityData, flags) {
+  if (flags.file) {
+    console.log(`   Source: ${flags.file}`);
+    return osm.parseElements(JSON.parse(fs.readFileSync(flags.file, 'utf8')));
+  }
+
+  const bounds = flags.bbox ? parseBbox(flags.bbox) : cityData?.bounds;
+  if (!bounds) {
+    throw new Error(flags.bbox
+      ? '--bbox must be south,west,north,east'
+      : `No bounds for "${cityName}" - pass --bbox south,west,north,east or --file`);
+  }
+
+  console.log(`   Source: Overpass (${osm.OVERPASS_URL})`);
+  console.log(`   Bounds: N:${bounds.north} S:${bounds.south} E:${bounds.east} W:${bounds.west}`);
+  return osm.parseElements(await osm.fetchOverpass(bounds));
+}
+
+// Restaurants outside the city's polygon (if it has one) belong elsewhere
+function outsideCity(cityData, restaurant) {
+  return Boolean(cityData?.polygon) && !pointInPolygon(restaurant, cityData.polygon);
+}
+
+async function hydrateOsm(name, flags) {
+  const dryRun = Boolean(flags['dry-run']);
+  const cityData = await cities.getCity(name);
+  const cityName = cityData ? cityData.city : name;
+
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`🗺️  OSM HYDRATION: ${cityName.toUpperCase()}${dryRun ? ' (DRY RUN)' : ''}`);
+  console.log(`${'═'.repeat(60)}\n`);
+
+  const elements = await loadElements(cityName, cityData, flags);
+  console.log(`   ${elements.length} OSM elements\n`);
+
+  const counts = { created: 0, merged: 0, refreshed: 0, skipped: 0, failed: 0 };
+
+  for (const element of elements) {
+    const mapped = osm.toRestaurant(element, cityName);
+    if (mapped.skip || outsideCity(cityData, mapped.restaurant)) {
+      counts.skipped++;
+      continue;
+    }
+
+    try {
+      const { action, match } = await importElement(mapped, dryRun);
+      counts[action]++;
+
+      if (action === 'merged') {
+        console.log(`   🔗 ${mapped.restaurant.name} → ${match.name} (${match.source}, ${Math.round(match.distance_km * 1000)} m)`);
+      } else if (action === 'created') {
+        console.log(`   ➕ ${mapped.restaurant.name} (${mapped.restaurant.halal_status})`);
+      }
+    } catch (error) {
+      counts.failed++;
+      console.error(`   ❌ ${mapped.restaurant.name}: ${error.message}`);
+    }
+  }
+
+  if (!dryRun) {
+    await pool.query(`
+      UPDATE cities
+      SET restaurant_count = (SELECT COUNT(*) FROM restaurants WHERE LOWER(city) = LOWER($1))
+      WHERE LOWER(city) = LOWER($1)
+    `, [cityName]);
+  }
+
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`🎉 OSM HYDRATION COMPLETE: ${cityName.toUpperCase()}`);
+  console.log(`${'═'.repeat(60)}`);
+  console.log(`\n   📊 RESULTS${dryRun ? ' (nothing was written)' : ''}:`);
+  console.log(`      ➕ Created:   ${counts.created}`);
+  console.log(`      🔗 Merged:    ${counts.merged}`);
+  console.log(`      🔄 Refreshed: ${counts.refreshed}`);
+  console.log(`      ⏭️  Skipped:   ${counts.skipped} (unnamed / not halal / no location / outside the city)`);
+  if (counts.failed > 0) {
+    console.log(`      ❌ Failed:    ${counts.failed}`);
+  }
+  console.log(`\n   💰 API COSTS: $0.00`);
+  console.log(`\n${'═'.repeat(60)}\n`);
+}
+
+// ============================================
+// RUN
+// ============================================
+const { positional, flags } = parseArgs(process.argv.slice(2), VALUE_FLAGS);
+const city = positional[0];
+
+if (!city) {
+  console.log('\nUsage: node jobs/hydrate-osm.js <city_name> [--file <extract.json>] [--bbox s,w,n,e] [--dry-run]');
+  console.log('\nCities come from the registry (GET /api/cities/:city, POST /api/cities).');
+  process.exit(1);
+}
+
+hydrateOsm(city, flags)
+  .catch(error => {
+    console.error(`\n❌ OSM hydration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,112 @@
+/**
+ * MANAGE ACCESS - Roles and API keys
+ *
+ * Admin endpoints need a moderator/admin user or an API key (x-api-key).
+ * Scripts that call the API should set HALALCRAVE_API_KEY and send it
+ * as the x-api-key header.
+ *
+ * Usage:
+ *   node jobs/manage-access.js set-role <email> <role>     - Set user role (user, moderator, admin)
+ *   node jobs/manage-access.js create-key <name> [role]    - Create API key (default role: admin)
+ *   node jobs/manage-access.js list-keys                   - List API keys
+ *   node jobs/manage-access.js revoke-key <id>             - Revoke an API key
+ */
+
+require('dotenv').config();
+const pool = require('../lib/db');
+const { ROLES, createApiKey } = require('../lib/auth');
+
+async function setRole(email, role) {
+  if (!ROLES.includes(role)) {
+    console.error(`❌ Role must be one of: ${ROLES.join(', ')}`);
+    return;
+  }
+
+  const result = await pool.query(
+    'UPDATE users SET role = $1 WHERE LOWER(email) = LOWER($2) RETURNING id, email, role',
+    [role, email]
+  );
+
+  if (result.rows.length === 0) {
+    console.error(`❌ No user with email ${email}`);
+    return;
+  }
+
+  console.log(`\n✅ ${result.rows[0].email} is now ${result.rows[0].role}\n`);
+}
+
+async function createKey(name, role = 'admin') {
+  if (!['moderator', 'admin'].includes(role)) {
+    console.error('❌ API key role must be moderator or admin');
+    return;
+  }
+
+  const { key, apiKey } = await createApiKey(name, role);
+
+  console.log(`\n🔑 API key created: ${apiKey.name} (${apiKey.role})`);
+  console.log(`   ID:  ${apiKey.id}`);
+  console.log(`   Key: ${key}`);
+  console.log('\n   ⚠️  Store it now - it cannot be shown again.\n');
+}
+
+async function listKeys() {
+  const result = await pool.query(`
+    SELECT id, name, key_prefix, role, created_at, last_used_at, revoked_at
+    FROM api_keys
+    ORDER BY created_at DESC
+  `);
+
+  console.log('\n🔑 API KEYS\n');
+
+  if (result.rows.length === 0) {
+    console.log('   No API keys yet.\n');
+    return;
+  }
+
+  for (const row of result.rows) {
+    const lastUsed = row.last_used_at ? new Date(row.last_used_at).toLocaleDateString() : 'never';
+    const state = row.revoked_at ? '❌ revoked' : '✅ active';
+    console.log(`   ${row.id}`);
+    console.log(`      ${row.name} | ${row.role} | ${row.key_prefix}… | last used: ${lastUsed} | ${state}`);
+  }
+  console.log();
+}
+
+async function revokeKey(id) {
+  const result = await pool.query(
+    'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING name',
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    console.error(`❌ No active API key with id ${id}`);
+    return;
+  }
+
+  console.log(`\n❌ API key "${result.rows[0].name}" has been revoked.\n`);
+}
+
+// Main
+async function main() {
+  const [command, arg1, arg2] = process.argv.slice(2);
+
+  if (command === 'set-role' && arg1 && arg2) {
+    await setRole(arg1, arg2);
+  } else if (command === 'create-key' && arg1) {
+    await createKey(arg1, arg2);
+  } else if (command === 'list-keys') {
+    await listKeys();
+  } else if (command === 'revoke-key' && arg1) {
+    await revokeKey(arg1);
+  } else {
+    console.log('\nUsage:');
+    console.log('  node jobs/manage-access.js set-role <email> <role>    - Set user role (user, moderator, admin)');
+    console.log('  node jobs/manage-access.js create-key <name> [role]   - Create API key (default role: admin)');
+    console.log('  node jobs/manage-access.js list-keys                  - List API keys');
+    console.log('  node jobs/manage-access.js revoke-key <id>            - Revoke an API key\n');
+  }
+
+  await pool.end();
+}
+
+main();
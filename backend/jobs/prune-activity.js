@@ -0,0 +1,55 @@
+/**
+ * ACTIVITY LOG PRUNING
+ *
+ * activity_log gets a row for every vote, report and submission request
+ * (lib/abuse.js), but the rate limits and burst checks only look back a
+ * day. This deletes rows older than that, keeping a few weeks for
+ * looking into flagged activity.
+ *
+ * Run it daily, e.g. from cron:
+ *   20 0 * * * cd /app/backend && node jobs/prune-activity.js
+ *
+ * Usage: node jobs/prune-activity.js [options]
+ *
+ * Options:
+ *   --days <n>   Keep the last n days (default: 30, at least 1)
+ *   --dry-run    Count what would be deleted, without deleting
+ */
+
+require('dotenv').config();
+const pool = require('../lib/db');
+const { parseArgs } = require('../lib/cli');
+
+const DEFAULT_KEEP_DAYS = 30;
+
+const VALUE_FLAGS = ['days'];
+
+async function pruneActivity(flags) {
+  const keepDays = flags.days === undefined ? DEFAULT_KEEP_DAYS : Number(flags.days);
+  if (!Number.isInteger(keepDays) || keepDays < 1) {
+    throw new Error('--days must be an integer of at least 1');
+  }
+
+  const sql = flags['dry-run']
+    ? 'SELECT COUNT(*)::int AS count FROM activity_log WHERE created_at < NOW() - make_interval(days => $1)'
+    : 'WITH deleted AS (DELETE FROM activity_log WHERE created_at < NOW() - make_interval(days => $1) RETURNING 1) SELECT COUNT(*)::int AS count FROM deleted';
+  const result = await pool.query(sql, [keepDays]);
+
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(flags['dry-run'] ? '🧪 DRY RUN - nothing was deleted' : '🧹 ACTIVITY LOG PRUNED');
+  console.log(`${'═'.repeat(60)}`);
+  console.log(`   Rows older than ${keepDays} days: ${result.rows[0].count}`);
+  console.log(`\n${'═'.repeat(60)}\n`);
+}
+
+// ============================================
+// RUN
+// ============================================
+const { flags } = parseArgs(process.argv.slice(2), VALUE_FLAGS);
+
+pruneActivity(flags)
+  .catch(error => {
+    console.error(`\n❌ Pruning failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
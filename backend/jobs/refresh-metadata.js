@@ -0,0 +1,210 @@
+/**
+ * GOOGLE METADATA REFRESH
+ *
+ * google_metadata is written once, when a place is first hydrated. This
+ * re-fetches Place Details for restaurants whose metadata is older than
+ * --days, and updates rating, review count, phone, website, hours (and
+ * their opening_hours periods), photos and business_status. Places Google
+ * reports as CLOSED_TEMPORARILY or CLOSED_PERMANENTLY are marked closed
+ * (restaurants.business_status, which hides them from listings) and listed
+ * at the end.
+ *
+ * Restaurants with pending closure reports (POST /api/restaurants/:id/report-closed)
+ * are checked first, whatever their age; when Google agrees they have closed,
+ * the reports are confirmed.
+ *
+ * Run it on a schedule, e.g. nightly from cron:
+ *   0 3 * * * cd /app/backend && node jobs/refresh-metadata.js --limit 200 --max-cost 5
+ *
+ * Usage: node jobs/refresh-metadata.js [city_name] [options]
+ *
+ * Options:
+ *   --days <n>                 Refresh metadata older than n days (default: $METADATA_MAX_AGE_DAYS or 90)
+ *   --limit <n>                Refresh at most n places (default: 100)
+ *   --priority <order>         traffic (page views, default) | rating | oldest
+ *   --max-cost <usd>           Stop before this run's Places spend would exceed it
+ *   --monthly-budget <usd>     Stop before this month's Places spend, hydration runs
+ *                              included, would exceed it (default: $HYDRATE_MONTHLY_BUDGET_USD)
+ *   --dry-run                  List what would be refreshed, without calling Google
+ *
+ * Calls are recorded in hydration_spend with the hydration runs', so the
+ * monthly budget covers both.
+ */
+
+require('dotenv').config();
+const pool = require('../lib/db');
+const { parseArgs } = require('../lib/cli');
+const places = require('../lib/places');
+const metadata = require('../lib/google-metadata');
+const closures = require('../lib/closures');
+const { PRICES, createApiStats } = require('../lib/hydration/stats');
+const { parseUsd, createBudget } = require('../lib/hydration/budget');
+
+const DEFAULT_MAX_AGE_DAYS = 90;
+const DEFAULT_LIMIT = 100;
+
+const VALUE_FLAGS = ['days', 'limit', 'priority', 'max-cost', 'monthly-budget'];
+
+function parsePositiveInt(value, name, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${name} must be a positive integer (got "${value}")`);
+  }
+  return number;
+}
+
+function parseOptions(flags) {
+  const priority = flags.priority || 'traffic';
+  if (!metadata.PRIORITIES[priority]) {
+    throw new Error(`--priority must be one of ${Object.keys(metadata.PRIORITIES).join(', ')}`);
+  }
+
+  return {
+    maxAgeDays: parsePositiveInt(flags.days ?? process.env.METADATA_MAX_AGE_DAYS, '--days', DEFAULT_MAX_AGE_DAYS),
+    limit: parsePositiveInt(flags.limit, '--limit', DEFAULT_LIMIT),
+    priority,
+    budget: {
+      maxCost: parseUsd(flags['max-cost'], '--max-cost'),
+      monthlyLimit: parseUsd(flags['monthly-budget'] ?? process.env.HYDRATE_MONTHLY_BUDGET_USD, '--monthly-budget'),
+    },
+    dryRun: Boolean(flags['dry-run']),
+  };
+}
+
+const age = (row) => (row.last_verified_at
+  ? `${Math.floor((Date.now() - new Date(row.last_verified_at).getTime()) / 86400000)} days old`
+  : 'never verified');
+
+async function refreshMetadata(city, flags) {
+  const options = parseOptions(flags);
+  const stale = await metadata.findStale({ ...options, city });
+
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`🔄 GOOGLE METADATA REFRESH${city ? `: ${city.toUpperCase()}` : ''}`);
+  console.log(`${'═'.repeat(60)}`);
+  console.log(`   Older than: ${options.maxAgeDays} days`);
+  console.log(`   Priority: ${options.priority}, limit ${options.limit}`);
+  console.log(`   Places provider: ${places.name}`);
+  console.log(`   Stale places: ${stale.length}${stale.length === options.limit ? ' (limit reached - more are waiting)' : ''}\n`);
+
+  if (options.dryRun) {
+    for (const row of stale) {
+      const reports = row.pending_reports > 0 ? `, ${row.pending_reports} closure report(s)` : '';
+      console.log(`   ${row.name} (${row.city}) - ${age(row)}, ${row.view_count} views, rating ${row.rating ?? 'N/A'}${reports}`);
+    }
+    console.log(`\n   🧪 Dry run - nothing fetched (~$${(stale.length * PRICES.details).toFixed(2)} of Place Details)\n`);
+    return;
+  }
+
+  const apiStats = createApiStats();
+  const budget = await createBudget(apiStats, options.budget);
+  const totals = { refreshed: 0, changed: 0, notFound: 0, failed: 0, reportsConfirmed: 0 };
+  const closed = [];
+  const missing = [];
+  let stopReason = null;
+
+  for (const row of stale) {
+    stopReason = budget.blockReason('details');
+    if (stopReason) break;
+
+    process.stdout.write(`   ${row.name} (${row.city})... `);
+    apiStats.record('details');
+
+    let details;
+    try {
+      details = await places.details(row.place_id, metadata.REFRESH_FIELDS);
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+      totals.failed++;
+      continue;
+    }
+
+    if (!details) {
+      await metadata.markVerified(row);
+      console.log('❔ not found on Google');
+      totals.notFound++;
+      missing.push(row);
+      continue;
+    }
+
+    const fresh = metadata.metadataFromDetails(details);
+    const changes = await metadata.applyRefresh(row, fresh);
+    totals.refreshed++;
+    if (changes.length > 0) totals.changed++;
+
+    // Only on a change (or a report to settle), so a moderator's decision
+    // stands until Google says something new
+    if (changes.includes('business_status') || row.pending_reports > 0) {
+      totals.reportsConfirmed += await closures.applyGoogleStatus(row.restaurant_id, fresh.business_status);
+    }
+
+    if (metadata.CLOSED_STATUSES.includes(fresh.business_status)) {
+      closed.push({ ...row, business_status: fresh.business_status, newlyClosed: changes.includes('business_status') });
+      console.log(`🚫 ${fresh.business_status}`);
+    } else {
+      console.log(changes.length > 0 ? `✏️  ${changes.join(', ')}` : '✅ unchanged');
+    }
+
+    await budget.flush();
+    await places.pause(100);
+  }
+  await budget.flush();
+
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(stopReason ? '💸 REFRESH STOPPED (BUDGET)' : '🎉 REFRESH COMPLETE');
+  console.log(`${'═'.repeat(60)}`);
+  if (stopReason) {
+    console.log(`\n   ⚠️  Stopped: ${stopReason}`);
+  }
+  console.log(`\n   📊 RESULTS:`);
+  console.log(`      🔄 Refreshed:   ${totals.refreshed} (${totals.changed} changed)`);
+  console.log(`      ❔ Not found:   ${totals.notFound}`);
+  if (totals.reportsConfirmed > 0) {
+    console.log(`      🚩 Closure reports confirmed: ${totals.reportsConfirmed}`);
+  }
+  if (totals.failed > 0) {
+    console.log(`      ❌ Failed:      ${totals.failed}`);
+  }
+
+  if (closed.length > 0) {
+    console.log(`\n   🚫 CLOSED ACCORDING TO GOOGLE:`);
+    for (const row of closed) {
+      console.log(`      ${row.name} (${row.city}) - ${row.business_status}${row.newlyClosed ? ' (new)' : ''}`);
+    }
+  }
+  if (missing.length > 0) {
+    console.log(`\n   ❔ NO LONGER ON GOOGLE (check by hand):`);
+    for (const row of missing) {
+      console.log(`      ${row.name} (${row.city}) - ${row.place_id}`);
+    }
+  }
+
+  console.log(`\n   💰 API COSTS:`);
+  console.log(`      Place Details:   ${apiStats.calls.details} calls = $${apiStats.detailsCost.toFixed(2)}`);
+  if (budget.monthlyLimit !== null) {
+    console.log(`      This month:      $${budget.monthlySpent.toFixed(2)} of $${budget.monthlyLimit.toFixed(2)} (${budget.month.month}, all runs)`);
+  }
+  console.log(`\n${'═'.repeat(60)}\n`);
+
+  if (stopReason) {
+    process.exitCode = 2;
+  }
+}
+
+// ============================================
+// RUN
+// ============================================
+const { positional, flags } = parseArgs(process.argv.slice(2), VALUE_FLAGS);
+
+if (!flags['dry-run'] && !places.isConfigured()) {
+  console.error(places.name === 'google' ? '❌ GOOGLE_API_KEY not set' : '❌ Places fixtures not found');
+  process.exit(1);
+}
+
+refreshMetadata(positional[0] || null, flags)
+  .catch(error => {
+    console.error(`\n❌ Refresh failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,93 @@
+/**
+ * HALAL SCORE RECOMPUTE
+ *
+ * Recomputes halal_status, halal_confidence_score and the score breakdown
+ * (lib/scoring.js) for every restaurant. Votes rescore their restaurant as
+ * they come in, but vote weights decay with age and voter reputations
+ * change, so run this after schema-scoring.sql and then periodically
+ * (e.g. weekly).
+ *
+ * Usage: node jobs/rescore.js [city_name] [options]
+ *
+ * Options:
+ *   --dry-run    Report what would change, without writing
+ */
+
+require('dotenv').config();
+const pool = require('../lib/db');
+const { parseArgs } = require('../lib/cli');
+const { rescoreRestaurant } = require('../lib/scoring');
+
+async function rescore(city, flags) {
+  const params = [];
+  let where = '';
+  if (city) {
+    params.push(city);
+    where = 'WHERE LOWER(city) = LOWER($1)';
+  }
+
+  const result = await pool.query(`SELECT id, name, city FROM restaurants ${where} ORDER BY city, name`, params);
+
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`⚖️  HALAL SCORE RECOMPUTE${city ? `: ${city.toUpperCase()}` : ''}`);
+  console.log(`${'═'.repeat(60)}`);
+  console.log(`   Restaurants: ${result.rows.length}\n`);
+
+  const totals = { unchanged: 0, rescored: 0, statusChanged: 0 };
+  const statusChanges = [];
+  const disputed = [];
+
+  for (const row of result.rows) {
+    const score = await rescoreRestaurant(pool, row.id, { dryRun: flags['dry-run'] });
+    if (!score) continue;
+
+    if (score.status !== score.previous.status) {
+      totals.statusChanged++;
+      statusChanges.push({ ...row, score });
+    } else if (score.score !== score.previous.score) {
+      totals.rescored++;
+    } else {
+      totals.unchanged++;
+    }
+    if (score.breakdown.disputed) {
+      disputed.push({ ...row, score });
+    }
+  }
+
+  console.log(`${'═'.repeat(60)}`);
+  console.log(flags['dry-run'] ? '🧪 DRY RUN - nothing was written' : '🎉 RECOMPUTE COMPLETE');
+  console.log(`${'═'.repeat(60)}`);
+  console.log(`\n   📊 RESULTS:`);
+  console.log(`      🔁 Status changed:  ${totals.statusChanged}`);
+  console.log(`      📈 Score changed:   ${totals.rescored}`);
+  console.log(`      ✔️  Unchanged:       ${totals.unchanged}`);
+  console.log(`      ⚠️  Disputed:        ${disputed.length}`);
+
+  if (statusChanges.length > 0) {
+    console.log(`\n   🔁 STATUS CHANGES:`);
+    for (const { name, city: rowCity, score } of statusChanges) {
+      console.log(`      ${name} (${rowCity}): ${score.previous.status} ${score.previous.score}% -> ${score.status} ${score.score}%`);
+    }
+  }
+
+  if (disputed.length > 0) {
+    console.log(`\n   ⚠️  DISPUTED (votes against a verified or moderator-set status - check them):`);
+    for (const { id, name, city: rowCity, score } of disputed) {
+      const votes = score.breakdown.votes;
+      console.log(`      ${name} (${rowCity}) ${id}: ${score.status}, ${votes.yes} yes / ${votes.no} no`);
+    }
+  }
+  console.log(`\n${'═'.repeat(60)}\n`);
+}
+
+// ============================================
+// RUN
+// ============================================
+const { positional, flags } = parseArgs(process.argv.slice(2));
+
+rescore(positional[0] || null, flags)
+  .catch(error => {
+    console.error(`\n❌ Rescore failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,343 @@
+/**
+ * VOTE ANTI-ABUSE
+ *
+ * - rateLimit(action) middleware: per-IP and per-voter limits on the
+ *   voting, reporting and submission routes, counted in activity_log
+ * - screenVote(): before a vote or attribute vote is saved, checks for
+ *   several voters behind one IP, or a burst of voters, on the
+ *   restaurant. Votes and attribute votes from devices and new accounts
+ *   caught up in either are quarantined - kept, but left out of the
+ *   counts, the halal score and the attributes - under a flag
+ * - Flags (flagged_activity) wait for an admin: approving one counts its
+ *   quarantined votes, rejecting it deletes them
+ *
+ * Established accounts are never quarantined, only rate limited.
+ */
+
+const pool = require('./db');
+const { voterKey } = require('./auth');
+const { rescoreRestaurant } = require('./scoring');
+const { refreshAttributes } = require('./attributes');
+const { saveVerification } = require('./verifications');
+const { badRequest, notFound, conflict } = require('./errors');
+
+// Requests allowed per window, per IP and per voter (voterKey)
+const RATE_LIMITS = {
+  vote:               { windowMinutes: 60, perIp: 60, perVoter: 20 },
+  attribute_vote:     { windowMinutes: 60, perIp: 60, perVoter: 20 },
+  verification_photo: { windowMinutes: 60, perIp: 20, perVoter: 5 },
+  closure_report:     { windowMinutes: 24 * 60, perIp: 20, perVoter: 10 },
+  submission:         { windowMinutes: 24 * 60, perIp: 20, perVoter: 10 },
+  city_request:       { windowMinutes: 24 * 60, perIp: 20, perVoter: 10 },
+};
+
+// activity_log actions screened together by screenVote
+const VOTE_ACTIONS = ['vote', 'attribute_vote'];
+
+// Voters on one restaurant from one IP before the rest are quarantined
+// (a household can share a connection)
+const SHARED_IP_VOTERS = 2;
+const SHARED_IP_HOURS = 24;
+
+// Voters on one restaurant within BURST_MINUTES that make a burst
+const BURST_VOTERS = 5;
+const BURST_MINUTES = 15;
+
+// Accounts this old are trusted not to be made for brigading
+const TRUSTED_ACCOUNT_DAYS = 30;
+
+// activity_log.restaurant_id is a UUID; anything else can't be a restaurant
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const FLAG_KINDS = ['rate_limit', 'vote_burst', 'shared_ip'];
+const FLAG_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Record a flag, or count another occurrence of the same pending one.
+ * Returns the flag id.
+ */
+async function flagActivity(client, { kind, action, restaurantId = null, ip = null, actorId = null, details = {} }) {
+  const updated = await client.query(`
+    UPDATE flagged_activity
+    SET occurrences = occurrences + 1, details = $6, last_seen_at = NOW()
+    WHERE status = 'pending'
+      AND kind = $1
+      AND action = $2
+      AND restaurant_id IS NOT DISTINCT FROM $3::uuid
+      AND ip IS NOT DISTINCT FROM $4
+      AND actor_id IS NOT DISTINCT FROM $5
+    RETURNING id
+  `, [kind, action, restaurantId, ip, actorId, details]);
+  if (updated.rows.length > 0) return updated.rows[0].id;
+
+  const inserted = await client.query(`
+    INSERT INTO flagged_activity (kind, action, restaurant_id, ip, actor_id, details)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING id
+  `, [kind, action, restaurantId, ip, actorId, details]);
+  return inserted.rows[0].id;
+}
+
+/**
+ * Middleware factory: enforce RATE_LIMITS[action] and log the request.
+ * Over the limit -> 429 { code: 'rate_limited' } with Retry-After, and a
+ * rate_limit flag. A restaurant id that isn't a UUID -> 404 before anything
+ * is logged. Put it after requireVoter so the voter is known.
+ */
+function rateLimit(action) {
+  const limits = RATE_LIMITS[action];
+
+  return async (req, res, next) => {
+    const ip = req.ip || 'unknown';
+    const actorId = voterKey(req)?.voterId || null;
+    const restaurantId = req.params.restaurantId || req.params.id || null;
+    if (restaurantId && !UUID_PATTERN.test(restaurantId)) {
+      return res.status(404).json({ message: 'Restaurant not found', code: 'not_found' });
+    }
+
+    try {
+      const usage = await pool.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE ip = $2)::int AS ip_count,
+          COUNT(*) FILTER (WHERE actor_id = $3)::int AS actor_count,
+          EXTRACT(EPOCH FROM MIN(created_at) FILTER (WHERE ip = $2) + make_interval(mins => $4) - NOW()) AS ip_reset,
+          EXTRACT(EPOCH FROM MIN(created_at) FILTER (WHERE actor_id = $3) + make_interval(mins => $4) - NOW()) AS actor_reset
+        FROM activity_log
+        WHERE action = $1
+          AND (ip = $2 OR actor_id = $3)
+          AND created_at > NOW() - make_interval(mins => $4)
+      `, [action, ip, actorId, limits.windowMinutes]);
+      const { ip_count, actor_count, ip_reset, actor_reset } = usage.rows[0];
+
+      const limitedBy = ip_count >= limits.perIp ? 'ip'
+        : actorId && actor_count >= limits.perVoter ? 'voter'
+        : null;
+      if (limitedBy) {
+        await flagActivity(pool, {
+          kind: 'rate_limit',
+          action,
+          ip: limitedBy === 'ip' ? ip : null,
+          actorId: limitedBy === 'voter' ? actorId : null,
+          details: {
+            limited_by: limitedBy,
+            limit: limitedBy === 'ip' ? limits.perIp : limits.perVoter,
+            window_minutes: limits.windowMinutes,
+          },
+        });
+        const retryAfter = Math.max(1, Math.ceil(parseFloat(limitedBy === 'ip' ? ip_reset : actor_reset)));
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ message: 'Too many requests, try again later', code: 'rate_limited' });
+      }
+
+      await pool.query(
+        'INSERT INTO activity_log (action, ip, actor_id, restaurant_id) VALUES ($1, $2, $3, $4)',
+        [action, ip, actorId, restaurantId]
+      );
+    } catch (error) {
+      console.error('Error checking rate limit:', error);
+      return res.status(500).json({ message: 'Failed to check rate limit' });
+    }
+
+    next();
+  };
+}
+
+// Low-trust votes on a restaurant: devices, and accounts under TRUSTED_ACCOUNT_DAYS
+const UNTRUSTED_VOTE = `
+  NOT EXISTS (
+    SELECT 1 FROM users u
+    WHERE v.voter_type = 'user'
+      AND u.id::text = v.user_id
+      AND u.created_at <= NOW() - make_interval(days => ${TRUSTED_ACCOUNT_DAYS})
+  )
+`;
+
+// Quarantine the low-trust votes and attribute votes on a restaurant from
+// the voters logged by `voters` (SQL)
+async function quarantineVotes(client, flagId, restaurantId, voters, params) {
+  for (const table of ['votes', 'attribute_votes']) {
+    await client.query(`
+      UPDATE ${table} v
+      SET quarantine_flag_id = $2
+      WHERE v.restaurant_id = $1
+        AND v.quarantine_flag_id IS NULL
+        AND v.user_id IN (${voters})
+        AND ${UNTRUSTED_VOTE}
+    `, [restaurantId, flagId, ...params]);
+  }
+}
+
+/**
+ * Check a vote or attribute vote before it's saved (the request is
+ * already in activity_log, see rateLimit). When its restaurant has more
+ * than SHARED_IP_VOTERS voters from the IP, or BURST_VOTERS voters in
+ * BURST_MINUTES, the low-trust votes among them are quarantined under a flag.
+ * vote: { voter (voterKey), ip, accountCreatedAt (accounts only),
+ *         action ('vote' or 'attribute_vote') }
+ * Returns the flag id to quarantine this vote under, or null.
+ */
+async function screenVote(restaurantId, { voter, ip, accountCreatedAt = null, action = 'vote' }) {
+  const accountAgeDays = accountCreatedAt ? (Date.now() - new Date(accountCreatedAt)) / 86400000 : 0;
+  if (voter.voterType === 'user' && accountAgeDays >= TRUSTED_ACCOUNT_DAYS) {
+    return null;
+  }
+
+  const recent = await pool.query(`
+    SELECT
+      COUNT(DISTINCT actor_id) FILTER (
+        WHERE ip = $2 AND created_at > NOW() - make_interval(hours => $3)
+      )::int AS ip_voters,
+      COUNT(DISTINCT actor_id) FILTER (
+        WHERE created_at > NOW() - make_interval(mins => $4)
+      )::int AS burst_voters
+    FROM activity_log
+    WHERE action = ANY($5) AND restaurant_id = $1
+  `, [restaurantId, ip, SHARED_IP_HOURS, BURST_MINUTES, VOTE_ACTIONS]);
+  const { ip_voters, burst_voters } = recent.rows[0];
+
+  if (ip_voters > SHARED_IP_VOTERS) {
+    const flagId = await flagActivity(pool, {
+      kind: 'shared_ip',
+      action,
+      restaurantId,
+      ip,
+      details: { voters: ip_voters, window_hours: SHARED_IP_HOURS },
+    });
+    await quarantineVotes(pool, flagId, restaurantId, `
+      SELECT actor_id FROM activity_log
+      WHERE action = ANY($5) AND restaurant_id = $1 AND ip = $3
+        AND created_at > NOW() - make_interval(hours => $4)
+    `, [ip, SHARED_IP_HOURS, VOTE_ACTIONS]);
+    return flagId;
+  }
+
+  if (burst_voters >= BURST_VOTERS) {
+    const flagId = await flagActivity(pool, {
+      kind: 'vote_burst',
+      action,
+      restaurantId,
+      details: { voters: burst_voters, window_minutes: BURST_MINUTES },
+    });
+    await quarantineVotes(pool, flagId, restaurantId, `
+      SELECT actor_id FROM activity_log
+      WHERE action = ANY($4) AND restaurant_id = $1
+        AND created_at > NOW() - make_interval(mins => $3)
+    `, [BURST_MINUTES, VOTE_ACTIONS]);
+    return flagId;
+  }
+
+  return null;
+}
+
+// Flags with their restaurant and quarantined votes, newest first
+async function listFlags({ status = 'pending', kind = null } = {}) {
+  if (!FLAG_STATUSES.includes(status)) {
+    throw badRequest(`status must be one of: ${FLAG_STATUSES.join(', ')}`);
+  }
+  if (kind !== null && !FLAG_KINDS.includes(kind)) {
+    throw badRequest(`kind must be one of: ${FLAG_KINDS.join(', ')}`);
+  }
+
+  const result = await pool.query(`
+    SELECT
+      fa.*,
+      r.name AS restaurant_name,
+      r.city AS restaurant_city,
+      (SELECT COUNT(*) FROM votes v WHERE v.quarantine_flag_id = fa.id)::int AS quarantined_votes,
+      (SELECT COUNT(*) FROM votes v WHERE v.quarantine_flag_id = fa.id AND v.vote = 'yes')::int AS quarantined_yes,
+      (SELECT COUNT(*) FROM attribute_votes av WHERE av.quarantine_flag_id = fa.id)::int AS quarantined_attribute_votes
+    FROM flagged_activity fa
+    LEFT JOIN restaurants r ON r.id = fa.restaurant_id
+    WHERE fa.status = $1
+      AND ($2::text IS NULL OR fa.kind = $2)
+    ORDER BY fa.last_seen_at DESC
+  `, [status, kind]);
+  return result.rows;
+}
+
+async function getPendingFlag(id) {
+  const result = await pool.query('SELECT * FROM flagged_activity WHERE id = $1', [id]);
+  const flag = result.rows[0];
+  if (!flag) {
+    throw notFound('Flag not found');
+  }
+  if (flag.status !== 'pending') {
+    throw conflict(`Flag is already ${flag.status}`);
+  }
+  return flag;
+}
+
+async function closeFlag(id, status, reviewedBy) {
+  await pool.query(`
+    UPDATE flagged_activity
+    SET status = $2, reviewed_at = NOW(), reviewed_by = $3
+    WHERE id = $1
+  `, [id, status, reviewedBy]);
+}
+
+async function rescoreAll(restaurantIds) {
+  for (const restaurantId of new Set(restaurantIds)) {
+    await rescoreRestaurant(pool, restaurantId);
+  }
+}
+
+async function refreshAllAttributes(restaurantIds) {
+  for (const restaurantId of new Set(restaurantIds)) {
+    await refreshAttributes(pool, restaurantId);
+  }
+}
+
+/**
+ * Approve a flag: nothing wrong, its quarantined votes and attribute votes
+ * count again. Returns { released, releasedAttributeVotes }.
+ */
+async function approveFlag(id, { reviewedBy = null } = {}) {
+  const flag = await getPendingFlag(id);
+
+  const released = await pool.query(
+    'UPDATE votes SET quarantine_flag_id = NULL WHERE quarantine_flag_id = $1 RETURNING restaurant_id',
+    [flag.id]
+  );
+  const releasedAttributes = await pool.query(
+    'UPDATE attribute_votes SET quarantine_flag_id = NULL WHERE quarantine_flag_id = $1 RETURNING restaurant_id',
+    [flag.id]
+  );
+  await closeFlag(flag.id, 'approved', reviewedBy);
+  await rescoreAll(released.rows.map(row => row.restaurant_id));
+  await refreshAllAttributes(releasedAttributes.rows.map(row => row.restaurant_id));
+  return { released: released.rowCount, releasedAttributeVotes: releasedAttributes.rowCount };
+}
+
+/**
+ * Reject a flag: its quarantined votes, their verifications and its
+ * quarantined attribute votes are deleted.
+ * Returns { removed, removedAttributeVotes }.
+ */
+async function rejectFlag(id, { reviewedBy = null } = {}) {
+  const flag = await getPendingFlag(id);
+
+  const removedAttributes = await pool.query(
+    'DELETE FROM attribute_votes WHERE quarantine_flag_id = $1 RETURNING restaurant_id',
+    [flag.id]
+  );
+  const removed = await pool.query(
+    'DELETE FROM votes WHERE quarantine_flag_id = $1 RETURNING restaurant_id, user_id',
+    [flag.id]
+  );
+  for (const row of removed.rows) {
+    await saveVerification(row.restaurant_id, null, { voterId: row.user_id });
+  }
+  await closeFlag(flag.id, 'rejected', reviewedBy);
+  await rescoreAll(removed.rows.map(row => row.restaurant_id));
+  await refreshAllAttributes(removedAttributes.rows.map(row => row.restaurant_id));
+  return { removed: removed.rowCount, removedAttributeVotes: removedAttributes.rowCount };
+}
+
+module.exports = {
+  RATE_LIMITS,
+  rateLimit,
+  screenVote,
+  listFlags,
+  approveFlag,
+  rejectFlag,
+};
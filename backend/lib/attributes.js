@@ -0,0 +1,291 @@
+/**
+ * HALAL ATTRIBUTES
+ *
+ * The details halal_status can't say: whether a place is fully halal or
+ * only part of the menu is, serves alcohol, has pork on the premises,
+ * uses separate fryers, and how its meat is slaughtered. Each attribute is
+ * true, false or unknown, from:
+ *
+ *   moderator  restaurant_attributes - set by a moderator, always wins
+ *   votes      attribute_votes - weighted like halal votes (lib/scoring.js);
+ *              decide once there's enough weight and a clear majority
+ *
+ * The resolved values are stored in restaurants.halal_attributes
+ * ({ "alcohol_served": false, ... }, known attributes only) for the
+ * listing filters.
+ */
+
+const pool = require('./db');
+const { voteWeight } = require('./scoring');
+const { notFound, validationError } = require('./errors');
+
+const ATTRIBUTES = [
+  'fully_halal',        // everything served is halal
+  'partial_menu',       // halal items alongside non-halal ones
+  'alcohol_served',
+  'pork_on_premises',
+  'separate_fryers',    // halal and non-halal items fried separately
+  'zabiha',             // meat slaughtered by Islamic rite
+  'hand_slaughtered',   // by hand rather than machine
+];
+
+// Attributes that can't both be true
+const CONFLICTS = [
+  ['fully_halal', 'partial_menu'],
+  ['fully_halal', 'pork_on_premises'],
+];
+
+// Vote weight needed before votes decide an attribute (two established
+// accounts, or about seven devices), and the share of it that must agree
+const MIN_ATTRIBUTE_WEIGHT = 2;
+const ATTRIBUTE_MAJORITY = 0.75;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate { attribute: true | false | null } from a request body.
+ * null clears (a moderator's value) or retracts (a vote).
+ * Returns the values, or throws a validationError.
+ */
+function validateAttributes(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input) || Object.keys(input).length === 0) {
+    throw validationError([{ field: 'attributes', message: `must be an object with any of: ${ATTRIBUTES.join(', ')}` }]);
+  }
+
+  const errors = [];
+  const values = {};
+  for (const [attribute, value] of Object.entries(input)) {
+    if (!ATTRIBUTES.includes(attribute)) {
+      errors.push({ field: `attributes.${attribute}`, message: `unknown attribute; use one of: ${ATTRIBUTES.join(', ')}` });
+    } else if (value !== true && value !== false && value !== null) {
+      errors.push({ field: `attributes.${attribute}`, message: 'must be true, false or null' });
+    } else {
+      values[attribute] = value;
+    }
+  }
+
+  errors.push(...conflictErrors(values));
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+  return values;
+}
+
+function conflictErrors(values) {
+  return CONFLICTS
+    .filter(([a, b]) => values[a] === true && values[b] === true)
+    .map(([a, b]) => ({ field: `attributes.${b}`, message: `can't be true when ${a} is` }));
+}
+
+async function assertRestaurant(client, restaurantId) {
+  const result = await client.query('SELECT id FROM restaurants WHERE id = $1', [restaurantId]);
+  if (result.rows.length === 0) {
+    throw notFound('Restaurant not found');
+  }
+}
+
+// Resolve one attribute from its moderator value and weighted votes
+function resolveAttribute(moderatorValue, votes) {
+  let weightedYes = 0;
+  let weightedNo = 0;
+  for (const vote of votes) {
+    if (vote.value) weightedYes += voteWeight(vote);
+    else weightedNo += voteWeight(vote);
+  }
+  const weight = weightedYes + weightedNo;
+
+  let value = null;
+  let source = null;
+  if (moderatorValue !== null) {
+    value = moderatorValue;
+    source = 'moderator';
+  } else if (weight >= MIN_ATTRIBUTE_WEIGHT && Math.max(weightedYes, weightedNo) / weight >= ATTRIBUTE_MAJORITY) {
+    value = weightedYes > weightedNo;
+    source = 'votes';
+  }
+
+  return {
+    value,
+    source,
+    moderator: moderatorValue,
+    votes: {
+      yes: votes.filter(vote => vote.value).length,
+      no: votes.filter(vote => !vote.value).length,
+      weighted_yes: round(weightedYes),
+      weighted_no: round(weightedNo),
+    },
+  };
+}
+
+/**
+ * Every attribute of a restaurant, resolved:
+ * { attribute: { value, source: 'moderator' | 'votes' | null, moderator, votes: { yes, no, ... } } }
+ */
+async function getAttributes(client, restaurantId) {
+  const moderated = await client.query(
+    'SELECT attribute, value FROM restaurant_attributes WHERE restaurant_id = $1',
+    [restaurantId]
+  );
+  const votes = await client.query(`
+    SELECT
+      av.attribute,
+      av.value,
+      av.voter_type,
+      EXTRACT(EPOCH FROM NOW() - av.updated_at) / 86400 AS age_days,
+      EXTRACT(EPOCH FROM NOW() - u.created_at) / 86400 AS account_age_days
+    FROM attribute_votes av
+    LEFT JOIN users u ON av.voter_type = 'user' AND u.id::text = av.user_id
+    WHERE av.restaurant_id = $1
+      AND av.quarantine_flag_id IS NULL  -- see lib/abuse.js
+  `, [restaurantId]);
+
+  const moderatorValues = Object.fromEntries(moderated.rows.map(row => [row.attribute, row.value]));
+  const attributes = {};
+  for (const attribute of ATTRIBUTES) {
+    const attributeVotes = votes.rows
+      .filter(vote => vote.attribute === attribute)
+      .map(vote => ({
+        ...vote,
+        age_days: parseFloat(vote.age_days),
+        account_age_days: vote.account_age_days === null ? null : parseFloat(vote.account_age_days),
+      }));
+    attributes[attribute] = resolveAttribute(moderatorValues[attribute] ?? null, attributeVotes);
+  }
+
+  // Votes can't contradict a moderator, or each other, on a conflicting pair
+  for (const pair of CONFLICTS) {
+    const [a, b] = pair.map(name => attributes[name]);
+    if (a.value !== true || b.value !== true) continue;
+    for (const attribute of [a, b]) {
+      if (attribute.source === 'votes') {
+        attribute.value = null;
+        attribute.source = null;
+      }
+    }
+  }
+  return attributes;
+}
+
+// Recompute and store restaurants.halal_attributes; returns getAttributes()
+async function refreshAttributes(client, restaurantId) {
+  const attributes = await getAttributes(client, restaurantId);
+  const known = Object.fromEntries(
+    Object.entries(attributes)
+      .filter(([, attribute]) => attribute.value !== null)
+      .map(([name, attribute]) => [name, attribute.value])
+  );
+  await client.query('UPDATE restaurants SET halal_attributes = $2 WHERE id = $1', [restaurantId, known]);
+  return attributes;
+}
+
+/**
+ * Set (or with null, clear) attributes as a moderator.
+ * Returns the restaurant's resolved attributes.
+ */
+async function setAttributes(restaurantId, input, { setBy = null } = {}) {
+  const values = validateAttributes(input);
+  await assertRestaurant(pool, restaurantId);
+
+  // Nor with what moderators have already set
+  const existing = await pool.query(
+    'SELECT attribute, value FROM restaurant_attributes WHERE restaurant_id = $1',
+    [restaurantId]
+  );
+  const merged = { ...Object.fromEntries(existing.rows.map(row => [row.attribute, row.value])), ...values };
+  const conflicts = conflictErrors(merged);
+  if (conflicts.length > 0) {
+    throw validationError(conflicts);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    for (const [attribute, value] of Object.entries(values)) {
+      if (value === null) {
+        await client.query(
+          'DELETE FROM restaurant_attributes WHERE restaurant_id = $1 AND attribute = $2',
+          [restaurantId, attribute]
+        );
+      } else {
+        await client.query(`
+          INSERT INTO restaurant_attributes (restaurant_id, attribute, value, set_by, set_at)
+          VALUES ($1, $2, $3, $4, NOW())
+          ON CONFLICT (restaurant_id, attribute)
+          DO UPDATE SET value = $3, set_by = $4, set_at = NOW()
+        `, [restaurantId, attribute, value, setBy]);
+      }
+    }
+    const attributes = await refreshAttributes(client, restaurantId);
+
+    await client.query('COMMIT');
+    return attributes;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Vote on attributes (null retracts the vote).
+ * voter: { voterId, voterType } (see voterKey in lib/auth.js)
+ * options.quarantineFlagId: quarantine the votes under this flag
+ * (screenVote in lib/abuse.js); a quarantined vote stays quarantined
+ * until the flag is reviewed.
+ * Returns { attributes (resolved), userAttributes, quarantined }.
+ */
+async function voteAttributes(restaurantId, input, voter, { quarantineFlagId = null } = {}) {
+  const values = validateAttributes(input);
+  await assertRestaurant(pool, restaurantId);
+
+  for (const [attribute, value] of Object.entries(values)) {
+    if (value === null) {
+      await pool.query(
+        'DELETE FROM attribute_votes WHERE restaurant_id = $1 AND attribute = $2 AND user_id = $3',
+        [restaurantId, attribute, voter.voterId]
+      );
+    } else {
+      await pool.query(`
+        INSERT INTO attribute_votes (restaurant_id, attribute, value, user_id, voter_type, quarantine_flag_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (restaurant_id, attribute, user_id)
+        DO UPDATE SET value = $3, updated_at = NOW(),
+          quarantine_flag_id = COALESCE(attribute_votes.quarantine_flag_id, EXCLUDED.quarantine_flag_id)
+      `, [restaurantId, attribute, value, voter.voterId, voter.voterType, quarantineFlagId]);
+    }
+  }
+
+  const quarantined = await pool.query(`
+    SELECT EXISTS (
+      SELECT 1 FROM attribute_votes
+      WHERE restaurant_id = $1 AND user_id = $2 AND quarantine_flag_id IS NOT NULL
+    ) AS quarantined
+  `, [restaurantId, voter.voterId]);
+
+  return {
+    attributes: await refreshAttributes(pool, restaurantId),
+    userAttributes: await getUserAttributes(restaurantId, voter),
+    quarantined: quarantined.rows[0].quarantined,
+  };
+}
+
+// A voter's attribute votes on a restaurant: { attribute: true | false }
+async function getUserAttributes(restaurantId, voter) {
+  const result = await pool.query(
+    'SELECT attribute, value FROM attribute_votes WHERE restaurant_id = $1 AND user_id = $2',
+    [restaurantId, voter.voterId]
+  );
+  return Object.fromEntries(result.rows.map(row => [row.attribute, row.value]));
+}
+
+module.exports = {
+  ATTRIBUTES,
+  validateAttributes,
+  getAttributes,
+  refreshAttributes,
+  setAttributes,
+  voteAttributes,
+  getUserAttributes,
+};
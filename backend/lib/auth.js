@@ -0,0 +1,217 @@
+/**
+ * AUTHENTICATION
+ *
+ * - Passwords hashed with scrypt (node crypto, no native deps)
+ * - Opaque session tokens; only a SHA-256 of each token is stored
+ * - authenticate middleware populates req.user from "Authorization: Bearer <token>"
+ * - Anonymous device IDs ("x-device-id" header) are an opt-in, lower-trust
+ *   tier for voting without an account
+ * - Roles (user < moderator < admin) and API keys ("x-api-key" header) for
+ *   admin routes and scripts
+ *
+ * Error contract: 401 { code: 'unauthorized' } when credentials are missing or
+ * invalid, 403 { code: 'forbidden' } when they lack the required role.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const pool = require('./db');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS) || 30;
+const KEY_LENGTH = 64;
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+const ROLES = ['user', 'moderator', 'admin'];
+const API_KEY_PREFIX = 'hc_';
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create a session and return the plain token (shown to the client once)
+async function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const result = await pool.query(`
+    INSERT INTO user_sessions (user_id, token_hash, expires_at)
+    VALUES ($1, $2, NOW() + make_interval(days => $3))
+    RETURNING expires_at
+  `, [userId, hashToken(token), SESSION_TTL_DAYS]);
+
+  return { token, expires_at: result.rows[0].expires_at };
+}
+
+async function revokeSession(token) {
+  await pool.query(`
+    UPDATE user_sessions SET revoked_at = NOW()
+    WHERE token_hash = $1 AND revoked_at IS NULL
+  `, [hashToken(token)]);
+}
+
+async function findSessionUser(token) {
+  const result = await pool.query(`
+    SELECT u.id, u.email, u.display_name, u.role, u.created_at
+    FROM user_sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = $1
+      AND s.revoked_at IS NULL
+      AND s.expires_at > NOW()
+  `, [hashToken(token)]);
+
+  return result.rows[0] || null;
+}
+
+// Create an API key for scripts - returns the plain key (shown once)
+async function createApiKey(name, role) {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+
+  const result = await pool.query(`
+    INSERT INTO api_keys (name, key_hash, key_prefix, role)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id, name, key_prefix, role, created_at
+  `, [name, hashToken(key), key.slice(0, 10), role]);
+
+  return { key, apiKey: result.rows[0] };
+}
+
+async function findApiKey(key) {
+  const result = await pool.query(`
+    UPDATE api_keys SET last_used_at = NOW()
+    WHERE key_hash = $1 AND revoked_at IS NULL
+    RETURNING id, name, role
+  `, [hashToken(key)]);
+
+  return result.rows[0] || null;
+}
+
+function unauthorized(res, message = 'Authentication required') {
+  return res.status(401).json({ message, code: 'unauthorized' });
+}
+
+function forbidden(res, message = 'You do not have permission to do this') {
+  return res.status(403).json({ message, code: 'forbidden' });
+}
+
+// Middleware: sets req.user (session), req.apiKey (x-api-key) and
+// req.deviceId (x-device-id). Only rejects when a token or key is
+// present but invalid.
+async function authenticate(req, res, next) {
+  req.user = null;
+  req.apiKey = null;
+  req.deviceId = null;
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  const apiKey = req.headers['x-api-key'];
+
+  try {
+    if (scheme === 'Bearer' && token) {
+      req.user = await findSessionUser(token);
+      if (!req.user) {
+        return unauthorized(res, 'Invalid or expired session');
+      }
+      req.sessionToken = token;
+    }
+
+    if (apiKey) {
+      req.apiKey = await findApiKey(apiKey);
+      if (!req.apiKey) {
+        return unauthorized(res, 'Invalid API key');
+      }
+    }
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    return res.status(500).json({ message: 'Failed to authenticate request' });
+  }
+
+  const deviceId = req.headers['x-device-id'];
+  if (deviceId && DEVICE_ID_PATTERN.test(deviceId)) {
+    req.deviceId = deviceId;
+  }
+
+  next();
+}
+
+// Middleware: require a logged-in user
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return unauthorized(res);
+  }
+  next();
+}
+
+// Middleware: require a logged-in user or an anonymous device ID
+function requireVoter(req, res, next) {
+  if (!req.user && !req.deviceId) {
+    return unauthorized(res, 'Log in or send an x-device-id header to vote');
+  }
+  next();
+}
+
+// Effective role of the request (API key wins over a session)
+function requestRole(req) {
+  if (req.apiKey) return req.apiKey.role;
+  if (req.user) return req.user.role;
+  return null;
+}
+
+// Middleware factory: require at least `minRole` (admin > moderator > user)
+function requireRole(minRole) {
+  return (req, res, next) => {
+    const role = requestRole(req);
+    if (!role) {
+      return unauthorized(res);
+    }
+    if (ROLES.indexOf(role) < ROLES.indexOf(minRole)) {
+      return forbidden(res);
+    }
+    next();
+  };
+}
+
+// Who performed an admin action, for audit columns like reviewed_by
+function actorId(req) {
+  if (req.apiKey) return `api-key:${req.apiKey.name}`;
+  if (req.user) return req.user.id;
+  return null;
+}
+
+// Key used in votes.user_id - device IDs are namespaced so they can
+// never collide with (or overwrite) an account's vote
+function voterKey(req) {
+  if (req.user) return { voterId: req.user.id, voterType: 'user' };
+  if (req.deviceId) return { voterId: `device:${req.deviceId}`, voterType: 'device' };
+  return null;
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  revokeSession,
+  createApiKey,
+  authenticate,
+  requireUser,
+  requireVoter,
+  requireRole,
+  requestRole,
+  actorId,
+  voterKey,
+};
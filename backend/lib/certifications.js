@@ -0,0 +1,537 @@
+/**
+ * HALAL CERTIFICATIONS
+ *
+ * The certifier registry (HMA, HFSAA, ISNA, ...) and the certificates they
+ * issued to restaurants (schema-certifications.sql), managed by admins.
+ * A certificate is current through its expires_on unless revoked, and
+ * while its certifier is active; current certificates make a restaurant
+ * verified, lapsed ones downgrade it (see lib/scoring.js). Every change
+ * here rescores the restaurants it touches.
+ *
+ * Evidence (a photo or PDF of the certificate) is stored on disk in
+ * CERTIFICATE_EVIDENCE_DIR and only served to moderators.
+ */
+
+const path = require('path');
+const pool = require('./db');
+const { rescoreRestaurant } = require('./scoring');
+const { MAX_UPLOAD_BYTES, IMAGE_TYPES, createUploadStore } = require('./uploads');
+const { badRequest, notFound, conflict, validationError } = require('./errors');
+const { isBlank, validText } = require('./validation');
+
+const CERTIFICATION_STATES = ['active', 'expired', 'revoked', 'not_recognised'];
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MAX_LENGTHS = {
+  name: 200,
+  country: 100,
+  website: 500,
+  certificate_number: 100,
+  scope: 200,
+  revoked_reason: 1000,
+};
+
+const evidence = createUploadStore({
+  dir: process.env.CERTIFICATE_EVIDENCE_DIR || path.join(__dirname, '..', 'uploads', 'certificates'),
+  types: { ...IMAGE_TYPES, 'application/pdf': 'pdf' },
+  label: 'Evidence',
+});
+
+const CERTIFIER_COLUMNS = 'id, slug, name, country, website, active, created_at, updated_at';
+
+const CERTIFICATION_COLUMNS = `
+  rc.id,
+  rc.restaurant_id,
+  r.name AS restaurant_name,
+  r.city AS restaurant_city,
+  ce.slug AS certifier_slug,
+  ce.name AS certifier_name,
+  ce.active AS certifier_active,
+  rc.certificate_number,
+  rc.scope,
+  rc.issued_on::text AS issued_on,
+  rc.expires_on::text AS expires_on,
+  COALESCE(rc.expires_on < CURRENT_DATE, false) AS expired,
+  rc.evidence_file,
+  rc.evidence_content_type,
+  rc.revoked_at,
+  rc.revoked_reason,
+  rc.created_by,
+  rc.created_at,
+  rc.updated_at
+`;
+
+const CERTIFICATION_FROM = `
+  restaurant_certifications rc
+  JOIN certifiers ce ON ce.id = rc.certifier_id
+  JOIN restaurants r ON r.id = rc.restaurant_id
+`;
+
+// Certificates (rc, joined to its certifier ce) that count today
+const CURRENT_CERTIFICATE = `rc.revoked_at IS NULL
+            AND (rc.expires_on IS NULL OR rc.expires_on >= CURRENT_DATE)
+            AND ce.active`;
+
+/**
+ * SQL condition: restaurant `restaurantId` (SQL expression) holds a
+ * current certificate, from one of the certifier slugs in `slugs` (SQL
+ * expression for a text[]) or from any certifier when slugs is null.
+ */
+function certifiedSql(restaurantId, slugs = null) {
+  return `EXISTS (
+          SELECT 1
+          FROM restaurant_certifications rc
+          JOIN certifiers ce ON ce.id = rc.certifier_id
+          WHERE rc.restaurant_id = ${restaurantId}
+            AND ${CURRENT_CERTIFICATE}${slugs ? `
+            AND ce.slug = ANY(${slugs})` : ''}
+        )`;
+}
+
+// SQL text[] of the certifiers currently certifying restaurant `restaurantId`
+function certifiedBySql(restaurantId) {
+  return `ARRAY(
+          SELECT DISTINCT ce.slug
+          FROM restaurant_certifications rc
+          JOIN certifiers ce ON ce.id = rc.certifier_id
+          WHERE rc.restaurant_id = ${restaurantId}
+            AND ${CURRENT_CERTIFICATE}
+        )`;
+}
+
+function certificationState(row) {
+  if (row.revoked_at) return 'revoked';
+  if (row.expired) return 'expired';
+  if (!row.certifier_active) return 'not_recognised';
+  return 'active';
+}
+
+/**
+ * Row -> API shape. The public view (restaurant details) leaves out the
+ * evidence file and who recorded it.
+ */
+function formatCertification(row, { admin = false } = {}) {
+  const certification = {
+    id: row.id,
+    restaurant_id: row.restaurant_id,
+    certifier: { slug: row.certifier_slug, name: row.certifier_name },
+    certificate_number: row.certificate_number,
+    scope: row.scope,
+    issued_on: row.issued_on,
+    expires_on: row.expires_on,
+    state: certificationState(row),
+    has_evidence: row.evidence_file !== null,
+  };
+  if (row.revoked_at) {
+    certification.revoked_at = row.revoked_at;
+    certification.revoked_reason = row.revoked_reason;
+  }
+  if (admin) {
+    certification.restaurant = { name: row.restaurant_name, city: row.restaurant_city };
+    certification.created_by = row.created_by;
+    certification.created_at = row.created_at;
+    certification.updated_at = row.updated_at;
+  }
+  return certification;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function validDate(input, field, values, errors) {
+  if (isBlank(input[field])) {
+    values[field] = null;
+    return;
+  }
+  const value = String(input[field]).trim();
+  const date = new Date(`${value}T00:00:00Z`);
+  if (!DATE_PATTERN.test(value) || isNaN(date) || date.toISOString().slice(0, 10) !== value) {
+    errors.push({ field, message: 'must be a date, YYYY-MM-DD' });
+    return;
+  }
+  values[field] = value;
+}
+
+/**
+ * Validate certifier fields: { slug, name, country, website, active }.
+ * With partial (edits) only the fields present are checked and returned.
+ * Returns { values, errors: [{ field, message }] }
+ */
+function validateCertifierInput(input, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+  const present = (field) => !partial || input[field] !== undefined;
+
+  if (!partial) {
+    values.slug = isBlank(input.slug) ? null : String(input.slug).trim().toLowerCase();
+    if (!values.slug || !SLUG_PATTERN.test(values.slug)) {
+      errors.push({ field: 'slug', message: 'must be 2-40 characters: a-z, 0-9 and -' });
+    }
+  }
+
+  Object.assign(values, validText(input, ['name', 'country', 'website'], { maxLengths: MAX_LENGTHS, errors, present }));
+  if (present('name') && !values.name) {
+    errors.push({ field: 'name', message: 'is required' });
+  }
+  if (values.website && !/^https?:\/\//i.test(values.website)) {
+    errors.push({ field: 'website', message: 'must be an http(s) URL' });
+  }
+
+  if (present('active') && input.active !== undefined) {
+    if (typeof input.active !== 'boolean') {
+      errors.push({ field: 'active', message: 'must be true or false' });
+    }
+    values.active = input.active;
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Validate certificate fields:
+ * { certifier, certificate_number, scope, issued_on, expires_on }, and on
+ * edits { revoked, revoked_reason } (revoked: false reinstates it).
+ * Returns { values, errors: [{ field, message }] }
+ */
+function validateCertificationInput(input, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+  const present = (field) => !partial || input[field] !== undefined;
+
+  if (present('certifier')) {
+    values.certifier = isBlank(input.certifier) ? null : String(input.certifier).trim().toLowerCase();
+    if (!values.certifier) {
+      errors.push({ field: 'certifier', message: 'is required (a certifier slug, e.g. hma)' });
+    }
+  }
+
+  Object.assign(values, validText(input, ['certificate_number', 'scope'], { maxLengths: MAX_LENGTHS, errors, present }));
+
+  for (const field of ['issued_on', 'expires_on']) {
+    if (present(field)) validDate(input, field, values, errors);
+  }
+  if (values.issued_on && values.expires_on && values.expires_on < values.issued_on) {
+    errors.push({ field: 'expires_on', message: 'must not be before issued_on' });
+  }
+
+  if (partial && input.revoked !== undefined) {
+    if (typeof input.revoked !== 'boolean') {
+      errors.push({ field: 'revoked', message: 'must be true or false' });
+    }
+    values.revoked = input.revoked;
+    Object.assign(values, validText(input, ['revoked_reason'], { maxLengths: MAX_LENGTHS, errors, present }));
+  }
+
+  return { values, errors };
+}
+
+// ============================================
+// CERTIFIERS
+// ============================================
+
+async function listCertifiers({ includeInactive = false } = {}) {
+  const result = await pool.query(`
+    SELECT ${CERTIFIER_COLUMNS}
+    FROM certifiers
+    ${includeInactive ? '' : 'WHERE active'}
+    ORDER BY name
+  `);
+  return result.rows;
+}
+
+async function findCertifier(slug) {
+  const result = await pool.query(`SELECT ${CERTIFIER_COLUMNS} FROM certifiers WHERE slug = $1`, [String(slug).toLowerCase()]);
+  return result.rows[0] || null;
+}
+
+async function createCertifier(input) {
+  const { values, errors } = validateCertifierInput(input);
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+  if (await findCertifier(values.slug)) {
+    throw conflict(`Certifier "${values.slug}" already exists`);
+  }
+
+  const result = await pool.query(`
+    INSERT INTO certifiers (slug, name, country, website, active)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING ${CERTIFIER_COLUMNS}
+  `, [values.slug, values.name, values.country, values.website, values.active ?? true]);
+  return result.rows[0];
+}
+
+// Rescore every restaurant holding a certificate matching condition
+async function rescoreCertified(condition, params) {
+  const result = await pool.query(
+    `SELECT DISTINCT restaurant_id FROM restaurant_certifications WHERE ${condition}`,
+    params
+  );
+  for (const row of result.rows) {
+    await rescoreRestaurant(pool, row.restaurant_id);
+  }
+  return result.rows.length;
+}
+
+/**
+ * Edit a certifier (the slug can't change). Deactivating one stops its
+ * certificates counting; its restaurants are rescored.
+ * Returns the certifier plus rescored (restaurants rescored).
+ */
+async function updateCertifier(slug, input) {
+  const certifier = await findCertifier(slug);
+  if (!certifier) {
+    throw notFound(`Certifier "${slug}" not found`);
+  }
+
+  const { slug: newSlug, ...fields } = input;
+  if (newSlug !== undefined && String(newSlug).trim().toLowerCase() !== certifier.slug) {
+    throw validationError([{ field: 'slug', message: 'cannot be changed' }]);
+  }
+
+  const { values, errors } = validateCertifierInput(fields, { partial: true });
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+
+  const sets = [];
+  const params = [certifier.id];
+  for (const [column, value] of Object.entries(values)) {
+    params.push(value);
+    sets.push(`${column} = $${params.length}`);
+  }
+  if (sets.length === 0) {
+    return { ...certifier, rescored: 0 };
+  }
+
+  const result = await pool.query(`
+    UPDATE certifiers
+    SET ${sets.join(', ')}, updated_at = NOW()
+    WHERE id = $1
+    RETURNING ${CERTIFIER_COLUMNS}
+  `, params);
+
+  const rescored = 'active' in values && values.active !== certifier.active
+    ? await rescoreCertified('certifier_id = $1', [certifier.id])
+    : 0;
+  return { ...result.rows[0], rescored };
+}
+
+// ============================================
+// CERTIFICATES
+// ============================================
+
+async function findCertificationRow(id) {
+  const result = await pool.query(`SELECT ${CERTIFICATION_COLUMNS} FROM ${CERTIFICATION_FROM} WHERE rc.id = $1`, [id]);
+  if (result.rows.length === 0) {
+    throw notFound('Certification not found');
+  }
+  return result.rows[0];
+}
+
+// A restaurant's certificates for its details, current ones first
+async function getCertifications(client, restaurantId) {
+  const result = await client.query(`
+    SELECT ${CERTIFICATION_COLUMNS}
+    FROM ${CERTIFICATION_FROM}
+    WHERE rc.restaurant_id = $1
+    ORDER BY (${CURRENT_CERTIFICATE}) DESC,
+             rc.expires_on DESC NULLS FIRST, rc.id DESC
+  `, [restaurantId]);
+  return result.rows.map(row => formatCertification(row));
+}
+
+/**
+ * Certificates for admins, soonest expiry first.
+ * filters: state (see CERTIFICATION_STATES), certifier (slug),
+ *          expiringWithinDays (current ones expiring in the next n days)
+ */
+async function listCertifications({ state = null, certifier = null, expiringWithinDays = null } = {}) {
+  if (state !== null && !CERTIFICATION_STATES.includes(state)) {
+    throw badRequest(`state must be one of: ${CERTIFICATION_STATES.join(', ')}`);
+  }
+  if (expiringWithinDays !== null && (!Number.isInteger(expiringWithinDays) || expiringWithinDays < 0)) {
+    throw badRequest('expiring_within_days must be a non-negative integer');
+  }
+
+  const params = [];
+  const conditions = [];
+  if (certifier) {
+    params.push(String(certifier).toLowerCase());
+    conditions.push(`ce.slug = $${params.length}`);
+  }
+  if (expiringWithinDays !== null) {
+    params.push(expiringWithinDays);
+    conditions.push(`rc.revoked_at IS NULL AND rc.expires_on BETWEEN CURRENT_DATE AND CURRENT_DATE + $${params.length}::int`);
+  }
+
+  const result = await pool.query(`
+    SELECT ${CERTIFICATION_COLUMNS}
+    FROM ${CERTIFICATION_FROM}
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY rc.expires_on ASC NULLS LAST, rc.id
+  `, params);
+
+  return result.rows
+    .map(row => formatCertification(row, { admin: true }))
+    .filter(certification => state === null || certification.state === state);
+}
+
+// Rescore after a certificate change -> { halal_status, halal_confidence_score }
+async function rescore(restaurantId) {
+  const score = await rescoreRestaurant(pool, restaurantId);
+  return { halal_status: score.status, halal_confidence_score: score.score };
+}
+
+/**
+ * Record a certificate for a restaurant.
+ * input: { certifier (slug), certificate_number, scope, issued_on, expires_on }
+ * Returns { certification, halal_status, halal_confidence_score } - the
+ * restaurant's status / score after rescoring.
+ */
+async function addCertification(restaurantId, input, { createdBy = null } = {}) {
+  const { values, errors } = validateCertificationInput(input);
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+
+  const restaurant = await pool.query('SELECT id FROM restaurants WHERE id = $1', [restaurantId]);
+  if (restaurant.rows.length === 0) {
+    throw notFound('Restaurant not found');
+  }
+  const certifier = await findCertifier(values.certifier);
+  if (!certifier) {
+    throw validationError([{ field: 'certifier', message: `unknown certifier "${values.certifier}"` }]);
+  }
+
+  if (values.certificate_number) {
+    const existing = await pool.query(`
+      SELECT id FROM restaurant_certifications
+      WHERE restaurant_id = $1 AND certifier_id = $2 AND certificate_number = $3 AND revoked_at IS NULL
+    `, [restaurantId, certifier.id, values.certificate_number]);
+    if (existing.rows.length > 0) {
+      throw conflict(`Certificate ${values.certificate_number} is already recorded (id ${existing.rows[0].id}); edit it instead`);
+    }
+  }
+
+  const result = await pool.query(`
+    INSERT INTO restaurant_certifications
+      (restaurant_id, certifier_id, certificate_number, scope, issued_on, expires_on, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id
+  `, [restaurantId, certifier.id, values.certificate_number, values.scope, values.issued_on, values.expires_on, createdBy]);
+
+  const row = await findCertificationRow(result.rows[0].id);
+  return { certification: formatCertification(row, { admin: true }), ...await rescore(restaurantId) };
+}
+
+/**
+ * Edit a certificate - e.g. a renewal's new expires_on, or revoked: true.
+ * Only the fields present change. Returns the same shape as addCertification.
+ */
+async function updateCertification(id, input) {
+  const row = await findCertificationRow(id);
+
+  const { values, errors } = validateCertificationInput(input, { partial: true });
+  const issuedOn = 'issued_on' in values ? values.issued_on : row.issued_on;
+  const expiresOn = 'expires_on' in values ? values.expires_on : row.expires_on;
+  if (issuedOn && expiresOn && expiresOn < issuedOn && !errors.some(error => error.field === 'expires_on')) {
+    errors.push({ field: 'expires_on', message: 'must not be before issued_on' });
+  }
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+
+  const sets = [];
+  const params = [id];
+  const set = (column, value) => {
+    params.push(value);
+    sets.push(`${column} = $${params.length}`);
+  };
+
+  if ('certifier' in values) {
+    const certifier = await findCertifier(values.certifier);
+    if (!certifier) {
+      throw validationError([{ field: 'certifier', message: `unknown certifier "${values.certifier}"` }]);
+    }
+    set('certifier_id', certifier.id);
+  }
+  for (const field of ['certificate_number', 'scope', 'issued_on', 'expires_on']) {
+    if (field in values) set(field, values[field]);
+  }
+  if (values.revoked === true && !row.revoked_at) {
+    sets.push('revoked_at = NOW()');
+    set('revoked_reason', values.revoked_reason ?? null);
+  } else if (values.revoked === false) {
+    sets.push('revoked_at = NULL');
+    set('revoked_reason', null);
+  } else if ('revoked_reason' in values && row.revoked_at) {
+    set('revoked_reason', values.revoked_reason);
+  }
+
+  if (sets.length > 0) {
+    await pool.query(`
+      UPDATE restaurant_certifications
+      SET ${sets.join(', ')}, updated_at = NOW()
+      WHERE id = $1
+    `, params);
+  }
+
+  const updated = await findCertificationRow(id);
+  return { certification: formatCertification(updated, { admin: true }), ...await rescore(row.restaurant_id) };
+}
+
+// ============================================
+// EVIDENCE
+// ============================================
+
+/**
+ * Store a photo / PDF of the certificate, replacing any earlier one.
+ * upload: { contentType, data (Buffer) }
+ */
+async function saveEvidence(id, upload) {
+  const row = await findCertificationRow(id);
+  const file = evidence.save(id, upload);
+
+  await pool.query(`
+    UPDATE restaurant_certifications
+    SET evidence_file = $2, evidence_content_type = $3, updated_at = NOW()
+    WHERE id = $1
+  `, [id, file.fileName, file.contentType]);
+
+  if (row.evidence_file) {
+    evidence.remove(row.evidence_file);
+  }
+
+  return formatCertification(await findCertificationRow(id), { admin: true });
+}
+
+// The certificate's evidence file -> { contentType, data }
+async function getEvidence(id) {
+  const row = await findCertificationRow(id);
+  if (!row.evidence_file) {
+    throw notFound('No evidence uploaded for this certification');
+  }
+
+  return { contentType: row.evidence_content_type, data: evidence.read(row.evidence_file) };
+}
+
+module.exports = {
+  CERTIFICATION_STATES,
+  EVIDENCE_TYPES: evidence.types,
+  MAX_EVIDENCE_BYTES: MAX_UPLOAD_BYTES,
+  certifiedSql,
+  certifiedBySql,
+  listCertifiers,
+  createCertifier,
+  updateCertifier,
+  getCertifications,
+  listCertifications,
+  addCertification,
+  updateCertification,
+  saveEvidence,
+  getEvidence,
+};
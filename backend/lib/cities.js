@@ -0,0 +1,417 @@
+/**
+ * CITY REGISTRY
+ *
+ * Centers, bounds / polygons and time zones live in the cities table
+ * (schema-cities.sql). The admin API creates and edits them, and the
+ * hydration jobs read them through resolveCity, so a new city needs no
+ * code change.
+ */
+
+const pool = require('./db');
+const places = require('./places');
+const { polygonBounds } = require('./geo');
+const { notFound, conflict, upstreamError, validationError } = require('./errors');
+const { isBlank, parseNumber, validText } = require('./validation');
+
+const MAX_LENGTHS = {
+  city: 100,
+  country: 100,
+};
+
+const BOUND_SIDES = ['north', 'south', 'east', 'west'];
+
+const CITY_COLUMNS = `
+  city, country, lat, lng,
+  bounds_north, bounds_south, bounds_east, bounds_west,
+  polygon, timezone, hydrated_at, restaurant_count, source, created_at, updated_at
+`;
+
+// DECIMAL columns come back from pg as strings
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Registry row -> { city, country, lat, lng, bounds, polygon, timezone, ... }
+ * (the cityData shape the hydration jobs use)
+ */
+function formatCity(row) {
+  const hasBounds = BOUND_SIDES.every(side => row[`bounds_${side}`] !== null);
+
+  return {
+    city: row.city,
+    country: row.country,
+    lat: toNumber(row.lat),
+    lng: toNumber(row.lng),
+    bounds: hasBounds ? {
+      north: toNumber(row.bounds_north),
+      south: toNumber(row.bounds_south),
+      east: toNumber(row.bounds_east),
+      west: toNumber(row.bounds_west),
+    } : null,
+    polygon: row.polygon,
+    timezone: row.timezone,
+    hydrated_at: row.hydrated_at,
+    restaurant_count: row.restaurant_count || 0,
+    source: row.source,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+async function findCityRow(name) {
+  const result = await pool.query(`
+    SELECT ${CITY_COLUMNS}
+    FROM cities
+    WHERE LOWER(city) = LOWER($1)
+    ORDER BY (bounds_north IS NOT NULL) DESC, hydrated_at DESC NULLS LAST
+    LIMIT 1
+  `, [name]);
+  return result.rows[0] || null;
+}
+
+// Registry entry for a city (case-insensitive), or null
+async function getCity(name) {
+  const row = await findCityRow(name);
+  return row ? formatCity(row) : null;
+}
+
+async function listCities() {
+  const result = await pool.query(`SELECT ${CITY_COLUMNS} FROM cities ORDER BY city`);
+  return result.rows.map(formatCity);
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function validBounds(bounds, errors) {
+  if (typeof bounds !== 'object' || Array.isArray(bounds)) {
+    errors.push({ field: 'bounds', message: 'must be an object with north, south, east and west' });
+    return null;
+  }
+
+  const values = {};
+  for (const side of BOUND_SIDES) {
+    values[side] = parseNumber(bounds[side]);
+    const limit = side === 'north' || side === 'south' ? 90 : 180;
+    if (values[side] === null || Number.isNaN(values[side]) || Math.abs(values[side]) > limit) {
+      errors.push({ field: `bounds.${side}`, message: `must be a number between -${limit} and ${limit}` });
+      return null;
+    }
+  }
+
+  if (values.north <= values.south) {
+    errors.push({ field: 'bounds', message: 'north must be greater than south' });
+    return null;
+  }
+  if (values.east <= values.west) {
+    errors.push({ field: 'bounds', message: 'east must be greater than west' });
+    return null;
+  }
+  return values;
+}
+
+function isPosition(position) {
+  return Array.isArray(position) && position.length >= 2 &&
+    Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+    Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+}
+
+function isRing(ring) {
+  return Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition);
+}
+
+function isPolygonCoordinates(rings) {
+  return Array.isArray(rings) && rings.length > 0 && rings.every(isRing);
+}
+
+function validPolygon(polygon, errors) {
+  const valid = polygon && typeof polygon === 'object' && (
+    (polygon.type === 'Polygon' && isPolygonCoordinates(polygon.coordinates)) ||
+    (polygon.type === 'MultiPolygon' && Array.isArray(polygon.coordinates) &&
+      polygon.coordinates.length > 0 && polygon.coordinates.every(isPolygonCoordinates))
+  );
+
+  if (!valid) {
+    errors.push({ field: 'polygon', message: 'must be a GeoJSON Polygon or MultiPolygon with [lng, lat] rings of at least 4 positions' });
+    return null;
+  }
+  return { type: polygon.type, coordinates: polygon.coordinates };
+}
+
+/**
+ * Validate registry fields.
+ * input: { city, country, lat, lng, bounds: { north, south, east, west }, polygon, timezone }
+ *
+ * With partial (edits) only the fields present in input are checked and
+ * returned, and null clears bounds / polygon / timezone.
+ * Returns { values, errors: [{ field, message }] }
+ */
+function validateCityInput(input, { partial = false } = {}) {
+  const errors = [];
+  const present = (field) => !partial || input[field] !== undefined;
+  const values = validText(input, ['city', 'country'], { maxLengths: MAX_LENGTHS, errors, present });
+  if (present('city') && !values.city) {
+    errors.push({ field: 'city', message: 'is required' });
+  }
+
+  if (present('lat') || present('lng')) {
+    values.lat = parseNumber(input.lat);
+    values.lng = parseNumber(input.lng);
+
+    if (Number.isNaN(values.lat) || (values.lat !== null && Math.abs(values.lat) > 90)) {
+      errors.push({ field: 'lat', message: 'must be a number between -90 and 90' });
+    }
+    if (Number.isNaN(values.lng) || (values.lng !== null && Math.abs(values.lng) > 180)) {
+      errors.push({ field: 'lng', message: 'must be a number between -180 and 180' });
+    }
+    if ((values.lat === null) !== (values.lng === null)) {
+      errors.push({ field: values.lat === null ? 'lat' : 'lng', message: 'lat and lng must be given together' });
+    }
+  }
+
+  if (present('bounds')) {
+    values.bounds = isBlank(input.bounds) ? null : validBounds(input.bounds, errors);
+  }
+  if (present('polygon')) {
+    values.polygon = isBlank(input.polygon) ? null : validPolygon(input.polygon, errors);
+  }
+
+  if (present('timezone')) {
+    values.timezone = isBlank(input.timezone) ? null : String(input.timezone).trim();
+    if (values.timezone && !isValidTimezone(values.timezone)) {
+      errors.push({ field: 'timezone', message: 'must be an IANA time zone, e.g. America/Toronto' });
+    }
+  }
+
+  return { values, errors };
+}
+
+// ============================================
+// CREATE / EDIT
+// ============================================
+
+// Default geocoding hook - the places provider's geocoder (null if not found)
+async function geocodeCity(city, country) {
+  try {
+    return await places.geocode(country ? `${city}, ${country}` : city);
+  } catch (error) {
+    throw upstreamError(`Geocoding failed: ${error.message}`);
+  }
+}
+
+/**
+ * Add a city to the registry.
+ *
+ * The center and bounds are geocoded from "<city>, <country>" when not
+ * given; bounds fall back to the polygon's extent.
+ *
+ * options:
+ *   requestId - approve this city_requests row (its city / country fill
+ *               blanks); an already registered city is just returned
+ *   geocode   - (city, country) => { lat, lng, bounds } | null
+ *   source    - cities.source for the new row (default 'manual')
+ *
+ * Returns the registry entry (see formatCity) plus created and geocoded.
+ */
+async function createCity(input, { requestId = null, geocode = geocodeCity, source = 'manual' } = {}) {
+  let request = null;
+  if (requestId) {
+    request = await getCityRequest(requestId);
+    input = { city: request.city, country: request.country, ...stripBlank(input) };
+  }
+
+  const { values, errors } = validateCityInput(input);
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+
+  const existing = await findCityRow(values.city);
+  if (existing && request) {
+    // Already registered - approving the request is all that's left
+    await approveCityRequest(pool, request.id);
+    return { ...formatCity(existing), created: false, geocoded: false };
+  }
+  if (existing) {
+    throw conflict(`City "${values.city}" already exists`);
+  }
+
+  if (!values.bounds && values.polygon) {
+    values.bounds = polygonBounds(values.polygon);
+  }
+
+  let geocoded = false;
+  if (values.lat === null || !values.bounds) {
+    const match = await geocode(values.city, values.country);
+    if (match) {
+      geocoded = true;
+      if (values.lat === null) {
+        values.lat = match.lat;
+        values.lng = match.lng;
+      }
+      values.bounds = values.bounds || match.bounds || null;
+    }
+  }
+  if (values.lat === null) {
+    throw validationError([{ field: 'lat', message: 'is required (the city could not be geocoded)' }]);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const bounds = values.bounds || {};
+    const result = await client.query(`
+      INSERT INTO cities (city, country, lat, lng, bounds_north, bounds_south, bounds_east, bounds_west, polygon, timezone, source)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING ${CITY_COLUMNS}
+    `, [
+      values.city,
+      values.country,
+      values.lat,
+      values.lng,
+      bounds.north ?? null,
+      bounds.south ?? null,
+      bounds.east ?? null,
+      bounds.west ?? null,
+      values.polygon ? JSON.stringify(values.polygon) : null,
+      values.timezone,
+      source
+    ]);
+
+    if (request) {
+      await approveCityRequest(client, request.id);
+    }
+
+    await client.query('COMMIT');
+    return { ...formatCity(result.rows[0]), created: true, geocoded };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+function stripBlank(input) {
+  return Object.fromEntries(Object.entries(input).filter(([, value]) => !isBlank(value)));
+}
+
+/**
+ * Edit a registry entry. Only the fields present in input change; null
+ * clears bounds, polygon or timezone. Renaming isn't supported (restaurants
+ * reference cities by name).
+ */
+async function updateCity(name, input) {
+  const row = await findCityRow(name);
+  if (!row) {
+    throw notFound(`City "${name}" not found`);
+  }
+
+  const { city, ...fields } = input;
+  if (city !== undefined && String(city).trim().toLowerCase() !== row.city.toLowerCase()) {
+    throw validationError([{ field: 'city', message: 'cannot be changed' }]);
+  }
+
+  const { values, errors } = validateCityInput(fields, { partial: true });
+  if (values.lat === null) {
+    errors.push({ field: 'lat', message: 'cannot be cleared' });
+  }
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+
+  const sets = [];
+  const params = [];
+  const set = (column, value) => {
+    params.push(value);
+    sets.push(`${column} = $${params.length}`);
+  };
+
+  if ('country' in values) set('country', values.country);
+  if ('lat' in values) {
+    set('lat', values.lat);
+    set('lng', values.lng);
+  }
+  if ('bounds' in values) {
+    for (const side of BOUND_SIDES) {
+      set(`bounds_${side}`, values.bounds ? values.bounds[side] : null);
+    }
+  }
+  if ('polygon' in values) set('polygon', values.polygon ? JSON.stringify(values.polygon) : null);
+  if ('timezone' in values) set('timezone', values.timezone);
+
+  if (sets.length === 0) {
+    return formatCity(row);
+  }
+
+  params.push(row.city);
+  const result = await pool.query(`
+    UPDATE cities
+    SET ${sets.join(', ')}, updated_at = NOW()
+    WHERE city = $${params.length}
+    RETURNING ${CITY_COLUMNS}
+  `, params);
+
+  return formatCity(result.rows[0]);
+}
+
+// ============================================
+// CITY REQUESTS
+// ============================================
+
+async function getCityRequest(id) {
+  const result = await pool.query('SELECT * FROM city_requests WHERE id = $1', [id]);
+
+  if (result.rows.length === 0) {
+    throw notFound('City request not found');
+  }
+  return result.rows[0];
+}
+
+async function approveCityRequest(db, id) {
+  await db.query(`
+    UPDATE city_requests
+    SET status = 'approved', approved_at = COALESCE(approved_at, NOW())
+    WHERE id = $1
+  `, [id]);
+}
+
+/**
+ * City for a hydration job: the registry entry, or - for an approved
+ * city_requests row that isn't registered yet - a new entry geocoded from
+ * the request. Returns null if neither exists.
+ */
+async function resolveCity(name, { geocode = geocodeCity } = {}) {
+  const city = await getCity(name);
+  if (city) return city;
+
+  const result = await pool.query(`
+    SELECT id FROM city_requests
+    WHERE LOWER(city) = LOWER($1) AND status = 'approved'
+  `, [name]);
+  if (result.rows.length === 0) return null;
+
+  return createCity({}, { requestId: result.rows[0].id, geocode, source: 'city-request' });
+}
+
+module.exports = {
+  formatCity,
+  getCity,
+  listCities,
+  validateCityInput,
+  createCity,
+  updateCity,
+  getCityRequest,
+  resolveCity,
+};
@@ -0,0 +1,39 @@
+/**
+ * CLI HELPERS
+ *
+ * Argument parsing shared by the jobs/ scripts.
+ */
+
+/**
+ * Split argv into positional args and --flags. Flags in valueFlags take
+ * the next argument as their value (--days 30); any flag can also be
+ * given as --flag=value, and the rest are true.
+ * Returns { positional, flags }
+ */
+function parseArgs(argv, valueFlags = []) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [key, inlineValue] = arg.slice(2).split('=');
+    if (inlineValue !== undefined) {
+      flags[key] = inlineValue;
+    } else if (valueFlags.includes(key)) {
+      flags[key] = argv[++i];
+    } else {
+      flags[key] = true;
+    }
+  }
+
+  return { positional, flags };
+}
+
+module.exports = {
+  parseArgs,
+};
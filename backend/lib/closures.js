@@ -0,0 +1,201 @@
+/**
+ * CLOSURES
+ *
+ * Restaurant business status and "this place has closed" reports.
+ *
+ * restaurants.business_status comes from Google (Place Details
+ * business_status, see fromGoogleStatus) and from user reports, which wait
+ * in closure_reports until a moderator - or a metadata refresh that finds
+ * Google agrees - confirms them.
+ */
+
+const pool = require('./db');
+const { badRequest, notFound, conflict } = require('./errors');
+
+const BUSINESS_STATUSES = ['operational', 'temporarily_closed', 'permanently_closed'];
+const CLOSED_STATUSES = ['temporarily_closed', 'permanently_closed'];
+const REPORT_STATUSES = ['pending', 'confirmed', 'dismissed'];
+
+const MAX_NOTES_LENGTH = 1000;
+
+const GOOGLE_STATUSES = {
+  OPERATIONAL: 'operational',
+  CLOSED_TEMPORARILY: 'temporarily_closed',
+  CLOSED_PERMANENTLY: 'permanently_closed',
+};
+
+// Google's business_status -> ours (null when Google didn't say)
+function fromGoogleStatus(googleStatus) {
+  return GOOGLE_STATUSES[googleStatus] || null;
+}
+
+async function setBusinessStatus(client, restaurantId, status) {
+  await client.query(
+    `UPDATE restaurants
+     SET business_status = $2, business_status_updated_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND business_status <> $2`,
+    [restaurantId, status]
+  );
+}
+
+/**
+ * Queue a closure report for a moderator.
+ * reporter: { voterId, voterType } (see voterKey in lib/auth.js)
+ * Returns the report row.
+ */
+async function reportClosed(restaurantId, { status = 'permanently_closed', notes = null, reporter }) {
+  if (!CLOSED_STATUSES.includes(status)) {
+    throw badRequest(`status must be one of: ${CLOSED_STATUSES.join(', ')}`);
+  }
+  if (notes !== null && String(notes).length > MAX_NOTES_LENGTH) {
+    throw badRequest(`notes must be at most ${MAX_NOTES_LENGTH} characters`);
+  }
+
+  const restaurant = await pool.query('SELECT business_status FROM restaurants WHERE id = $1', [restaurantId]);
+  if (restaurant.rows.length === 0) {
+    throw notFound('Restaurant not found');
+  }
+  if (restaurant.rows[0].business_status === status) {
+    throw conflict(`Restaurant is already marked ${status.replace('_', ' ')}`);
+  }
+
+  const existing = await pool.query(
+    `SELECT 1 FROM closure_reports WHERE restaurant_id = $1 AND reporter_id = $2 AND status = 'pending'`,
+    [restaurantId, reporter.voterId]
+  );
+  if (existing.rows.length > 0) {
+    throw conflict('You have already reported this restaurant; it is waiting for review');
+  }
+
+  const result = await pool.query(
+    `INSERT INTO closure_reports (restaurant_id, reported_status, notes, reporter_id, reporter_type)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, restaurant_id, reported_status, notes, status, created_at`,
+    [restaurantId, status, notes ? String(notes).trim() : null, reporter.voterId, reporter.voterType]
+  );
+  return result.rows[0];
+}
+
+// Reports with their restaurant, oldest first (status: pending by default)
+async function listReports({ status = 'pending' } = {}) {
+  if (!REPORT_STATUSES.includes(status)) {
+    throw badRequest(`status must be one of: ${REPORT_STATUSES.join(', ')}`);
+  }
+
+  const result = await pool.query(`
+    SELECT
+      cr.id,
+      cr.restaurant_id,
+      cr.reported_status,
+      cr.notes,
+      cr.reporter_type,
+      cr.status,
+      cr.created_at,
+      cr.reviewed_at,
+      cr.reviewed_by,
+      cr.dismissal_reason,
+      r.name,
+      r.city,
+      r.address,
+      r.business_status,
+      gm.business_status AS google_business_status,
+      gm.last_verified_at AS google_verified_at,
+      (SELECT COUNT(*) FROM closure_reports other
+       WHERE other.restaurant_id = cr.restaurant_id AND other.status = 'pending')::int AS pending_reports
+    FROM closure_reports cr
+    JOIN restaurants r ON r.id = cr.restaurant_id
+    LEFT JOIN google_metadata gm ON gm.restaurant_id = cr.restaurant_id
+    WHERE cr.status = $1
+    ORDER BY cr.created_at ASC
+  `, [status]);
+  return result.rows;
+}
+
+async function getPendingReport(client, id) {
+  const result = await client.query('SELECT * FROM closure_reports WHERE id = $1', [id]);
+  const report = result.rows[0];
+  if (!report) {
+    throw notFound('Closure report not found');
+  }
+  if (report.status !== 'pending') {
+    throw conflict(`Closure report is already ${report.status}`);
+  }
+  return report;
+}
+
+/**
+ * Confirm a report: the restaurant takes the reported status, and every
+ * other pending report for it that says the same is confirmed with it.
+ * Returns { restaurant_id, business_status, confirmed } (reports confirmed).
+ */
+async function confirmReport(id, { reviewedBy = null } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const report = await getPendingReport(client, id);
+
+    await setBusinessStatus(client, report.restaurant_id, report.reported_status);
+    const confirmed = await client.query(
+      `UPDATE closure_reports
+       SET status = 'confirmed', reviewed_at = NOW(), reviewed_by = $3
+       WHERE restaurant_id = $1 AND reported_status = $2 AND status = 'pending'`,
+      [report.restaurant_id, report.reported_status, reviewedBy]
+    );
+
+    await client.query('COMMIT');
+    return {
+      restaurant_id: report.restaurant_id,
+      business_status: report.reported_status,
+      confirmed: confirmed.rowCount,
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function dismissReport(id, { reason = null, reviewedBy = null } = {}) {
+  const report = await getPendingReport(pool, id);
+
+  await pool.query(
+    `UPDATE closure_reports
+     SET status = 'dismissed', reviewed_at = NOW(), reviewed_by = $2, dismissal_reason = $3
+     WHERE id = $1`,
+    [report.id, reviewedBy, reason]
+  );
+}
+
+/**
+ * Apply a business_status Google just reported for a restaurant. Closures
+ * also confirm pending reports that say the same; 'operational' leaves
+ * them for a moderator (Google can lag behind).
+ * Returns the number of reports confirmed.
+ */
+async function applyGoogleStatus(restaurantId, googleStatus) {
+  const status = fromGoogleStatus(googleStatus);
+  if (!status) return 0;
+
+  await setBusinessStatus(pool, restaurantId, status);
+  if (!CLOSED_STATUSES.includes(status)) return 0;
+
+  const confirmed = await pool.query(
+    `UPDATE closure_reports
+     SET status = 'confirmed', reviewed_at = NOW(), reviewed_by = 'refresh-metadata'
+     WHERE restaurant_id = $1 AND reported_status = $2 AND status = 'pending'`,
+    [restaurantId, status]
+  );
+  return confirmed.rowCount;
+}
+
+module.exports = {
+  BUSINESS_STATUSES,
+  CLOSED_STATUSES,
+  fromGoogleStatus,
+  reportClosed,
+  listReports,
+  confirmReport,
+  dismissReport,
+  applyGoogleStatus,
+};
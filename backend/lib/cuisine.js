@@ -0,0 +1,30 @@
+// Detect cuisine from a restaurant name
+function detectCuisine(name) {
+  const n = name.toLowerCase();
+  if (n.includes('pakistani') || n.includes('karahi') || n.includes('nihari')) return 'Pakistani';
+  if (n.includes('indian') || n.includes('biryani') || n.includes('tandoori')) return 'Indian';
+  if (n.includes('bangladeshi') || n.includes('bengali')) return 'Bangladeshi';
+  if (n.includes('afghan') || n.includes('kabul')) return 'Afghan';
+  if (n.includes('somali')) return 'Somali';
+  if (n.includes('yemeni') || n.includes('mandi')) return 'Yemeni';
+  if (n.includes('korean')) return 'Korean';
+  if (n.includes('chinese')) return 'Chinese';
+  if (n.includes('thai')) return 'Thai';
+  if (n.includes('turkish') || n.includes('kebab') || n.includes('doner')) return 'Turkish';
+  if (n.includes('lebanese') || n.includes('shawarma')) return 'Lebanese';
+  if (n.includes('middle eastern') || n.includes('arab')) return 'Middle Eastern';
+  if (n.includes('mediterranean') || n.includes('falafel')) return 'Mediterranean';
+  if (n.includes('moroccan')) return 'Moroccan';
+  if (n.includes('egyptian')) return 'Egyptian';
+  if (n.includes('persian') || n.includes('iranian')) return 'Persian';
+  if (n.includes('syrian')) return 'Syrian';
+  if (n.includes('palestinian')) return 'Palestinian';
+  if (n.includes('pizza')) return 'Pizza';
+  if (n.includes('burger')) return 'Burgers';
+  if (n.includes('chicken') || n.includes('wing')) return 'Fried Chicken';
+  if (n.includes('caribbean') || n.includes('jamaican')) return 'Caribbean';
+  if (n.includes('african')) return 'African';
+  return 'Restaurant';
+}
+
+module.exports = { detectCuisine };
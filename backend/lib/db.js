@@ -0,0 +1,16 @@
+// Shared PostgreSQL connection pool
+
+const { Pool } = require('pg');
+const { WORD_SIMILARITY_THRESHOLD } = require('./text-match');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Default pg_trgm threshold (0.6) misses common misspellings like "shwarma"
+pool.on('connect', (client) => {
+  client.query(`SET pg_trgm.word_similarity_threshold = ${WORD_SIMILARITY_THRESHOLD}`);
+});
+
+module.exports = pool;
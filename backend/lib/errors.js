@@ -0,0 +1,29 @@
+// Errors thrown by lib/ modules.
+// server.js maps them to HTTP responses; CLI jobs print the message.
+
+class ApiError extends Error {
+  constructor(status, message, code, errors = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+const badRequest = (message) => new ApiError(400, message, 'bad_request');
+const notFound = (message) => new ApiError(404, message, 'not_found');
+const conflict = (message) => new ApiError(409, message, 'conflict');
+const upstreamError = (message) => new ApiError(502, message, 'upstream_error');
+
+// Field-level problems: errors = [{ field, message }]
+const validationError = (errors, message = 'Validation failed') => new ApiError(400, message, 'validation_failed', errors);
+
+module.exports = {
+  ApiError,
+  badRequest,
+  notFound,
+  conflict,
+  upstreamError,
+  validationError,
+};
@@ -0,0 +1,65 @@
+// Geo helpers
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (deg) => deg * Math.PI / 180;
+
+// Great-circle distance between two { lat, lng } points in km
+function haversineKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+// "350 m" / "4.2 km"
+function formatDistance(km) {
+  if (km < 1) return `${Math.round(km * 1000)} m`;
+  return `${km.toFixed(1)} km`;
+}
+
+// Ray casting over one [lng, lat] ring
+function pointInRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > point.lat) !== (yj > point.lat) &&
+        point.lng < (xj - xi) * (point.lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Polygons of a GeoJSON Polygon / MultiPolygon, each [outer ring, ...holes]
+function polygonsOf(geometry) {
+  return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+}
+
+// Is the { lat, lng } point inside a GeoJSON Polygon / MultiPolygon?
+function pointInPolygon(point, geometry) {
+  return polygonsOf(geometry).some(([outer, ...holes]) =>
+    pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole)));
+}
+
+// { north, south, east, west } around a GeoJSON Polygon / MultiPolygon
+function polygonBounds(geometry) {
+  const positions = polygonsOf(geometry).flatMap(([outer]) => outer);
+  const lats = positions.map(([, lat]) => lat);
+  const lngs = positions.map(([lng]) => lng);
+  return {
+    north: Math.max(...lats),
+    south: Math.min(...lats),
+    east: Math.max(...lngs),
+    west: Math.min(...lngs),
+  };
+}
+
+module.exports = {
+  haversineKm,
+  formatDistance,
+  pointInPolygon,
+  polygonBounds,
+};
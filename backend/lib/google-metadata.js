@@ -0,0 +1,158 @@
+/**
+ * GOOGLE METADATA REFRESH
+ *
+ * Re-verifying cached Google data (google_metadata) against Place Details -
+ * used by jobs/refresh-metadata.js
+ */
+
+const pool = require('./db');
+const { parseOpeningHours, saveHours } = require('./opening-hours');
+const { savePhotos } = require('./photos');
+
+const REFRESH_FIELDS = 'place_id,rating,user_ratings_total,formatted_phone_number,website,opening_hours,business_status,photos';
+
+// Google business_status values that mean the place isn't serving
+const CLOSED_STATUSES = ['CLOSED_TEMPORARILY', 'CLOSED_PERMANENTLY'];
+
+// Which stale rows to refresh first
+const PRIORITIES = {
+  traffic: 'r.view_count DESC, gm.rating DESC NULLS LAST',
+  rating: 'gm.rating DESC NULLS LAST, gm.review_count DESC',
+  oldest: 'gm.last_verified_at ASC NULLS FIRST',
+};
+
+// Fields compared to report what changed
+const TRACKED_FIELDS = ['rating', 'review_count', 'phone', 'website', 'hours', 'business_status'];
+
+/**
+ * google_metadata rows not verified in maxAgeDays, in priority order.
+ * Restaurants with pending closure reports (lib/closures.js) come first,
+ * however recently they were verified.
+ * options: { maxAgeDays, city, priority (traffic | rating | oldest), limit }
+ */
+async function findStale({ maxAgeDays, city = null, priority = 'traffic', limit }) {
+  const params = [maxAgeDays, limit];
+  let cityFilter = '';
+  if (city) {
+    params.push(city);
+    cityFilter = `AND LOWER(r.city) = LOWER($${params.length})`;
+  }
+
+  const result = await pool.query(`
+    SELECT
+      gm.restaurant_id,
+      gm.place_id,
+      gm.rating,
+      gm.review_count,
+      gm.phone,
+      gm.website,
+      gm.hours,
+      gm.business_status,
+      gm.last_verified_at,
+      r.name,
+      r.city,
+      r.view_count,
+      reports.pending_reports
+    FROM google_metadata gm
+    JOIN restaurants r ON r.id = gm.restaurant_id
+    CROSS JOIN LATERAL (
+      SELECT COUNT(*)::int AS pending_reports
+      FROM closure_reports cr
+      WHERE cr.restaurant_id = gm.restaurant_id AND cr.status = 'pending'
+    ) reports
+    WHERE gm.place_id IS NOT NULL
+      AND (gm.last_verified_at IS NULL
+        OR gm.last_verified_at < NOW() - make_interval(days => $1)
+        OR reports.pending_reports > 0)
+      ${cityFilter}
+    ORDER BY reports.pending_reports > 0 DESC, ${PRIORITIES[priority]}, gm.last_verified_at ASC NULLS FIRST
+    LIMIT $2
+  `, params);
+
+  return result.rows;
+}
+
+// google_metadata columns from a Place Details result, plus the opening
+// hours periods and photos applyRefresh saves alongside them
+function metadataFromDetails(details) {
+  return {
+    rating: details.rating ?? null,
+    review_count: details.user_ratings_total || 0,
+    phone: details.formatted_phone_number || null,
+    website: details.website || null,
+    hours: details.opening_hours?.weekday_text || null,
+    business_status: details.business_status || null,
+    // Not compared: hours covers the periods, and photos aren't news
+    periods: parseOpeningHours(details.opening_hours),
+    photos: details.photos || null,
+  };
+}
+
+// Names of the tracked fields that differ between a stale row and fresh values
+function changedFields(row, fresh) {
+  return TRACKED_FIELDS.filter(field => {
+    const before = row[field] === null || row[field] === undefined ? null : String(row[field]);
+    const after = fresh[field] === null || fresh[field] === undefined ? null : String(fresh[field]);
+    // DECIMAL(2,1) comes back as "4.5"
+    if (field === 'rating' && before !== null && after !== null) {
+      return parseFloat(before) !== parseFloat(after);
+    }
+    return before !== after;
+  });
+}
+
+/**
+ * Write fresh values for a stale row (from findStale) and mark it verified.
+ * Returns the names of the fields that changed. (The restaurant's own
+ * business_status is lib/closures.js's job.)
+ */
+async function applyRefresh(row, fresh) {
+  const changes = changedFields(row, fresh);
+  // A first OPERATIONAL for rows saved before business_status was stored isn't news
+  const statusChanged = changes.includes('business_status') &&
+    (row.business_status !== null || CLOSED_STATUSES.includes(fresh.business_status));
+
+  await pool.query(`
+    UPDATE google_metadata
+    SET rating = $2,
+        review_count = $3,
+        phone = $4,
+        website = $5,
+        hours = $6,
+        business_status = $7,
+        business_status_changed_at = CASE WHEN $8 THEN NOW() ELSE business_status_changed_at END,
+        last_verified_at = NOW()
+    WHERE restaurant_id = $1
+  `, [
+    row.restaurant_id,
+    fresh.rating,
+    fresh.review_count,
+    fresh.phone,
+    fresh.website,
+    fresh.hours,
+    fresh.business_status,
+    statusChanged
+  ]);
+  await saveHours(pool, row.restaurant_id, fresh.periods);
+  await savePhotos(pool, row.restaurant_id, fresh.photos);
+
+  return changes;
+}
+
+// Place no longer on Google: keep the old data, but don't retry it every run
+async function markVerified(row) {
+  await pool.query(
+    'UPDATE google_metadata SET last_verified_at = NOW() WHERE restaurant_id = $1',
+    [row.restaurant_id]
+  );
+}
+
+module.exports = {
+  REFRESH_FIELDS,
+  CLOSED_STATUSES,
+  PRIORITIES,
+  findStale,
+  metadataFromDetails,
+  applyRefresh,
+  markVerified,
+};
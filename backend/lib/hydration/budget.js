@@ -0,0 +1,114 @@
+// Places API budget for hydration runs.
+//
+// Two caps, both optional:
+//   maxCost       USD for this run (--max-cost / HYDRATE_BUDGET_USD)
+//   monthlyLimit  USD for all runs this month (--monthly-budget /
+//                 HYDRATE_MONTHLY_BUDGET_USD), against the spend recorded in
+//                 hydration_spend
+//
+// The pipeline asks before every call; once the next call would cross a cap
+// it stops scheduling searches and details calls.
+
+const pool = require('../db');
+const { PRICES } = require('./stats');
+
+const OPERATIONS = Object.keys(PRICES);
+
+// "12.50" -> 12.5; blank -> null. Throws on anything that isn't a positive amount.
+function parseUsd(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error(`${name} must be a positive amount in USD (got "${value}")`);
+  }
+  return amount;
+}
+
+// Spend recorded so far this month: { month: 'YYYY-MM', cost, calls: { <operation>: n } }
+async function monthlySpend() {
+  const result = await pool.query(`
+    SELECT TO_CHAR(month, 'YYYY-MM') AS month, operation, calls, cost_usd
+    FROM hydration_spend
+    WHERE month = DATE_TRUNC('month', NOW())::date
+  `);
+
+  const spend = { month: new Date().toISOString().slice(0, 7), cost: 0, calls: {} };
+  for (const row of result.rows) {
+    spend.month = row.month;
+    spend.cost += parseFloat(row.cost_usd);
+    spend.calls[row.operation] = row.calls;
+  }
+  return spend;
+}
+
+// Add calls ({ <operation>: n }) to this month's spend
+async function recordSpend(calls) {
+  for (const operation of OPERATIONS) {
+    const count = calls[operation] || 0;
+    if (count === 0) continue;
+
+    await pool.query(`
+      INSERT INTO hydration_spend (month, operation, calls, cost_usd)
+      VALUES (DATE_TRUNC('month', NOW())::date, $1, $2, $3)
+      ON CONFLICT (month, operation) DO UPDATE SET
+        calls = hydration_spend.calls + EXCLUDED.calls,
+        cost_usd = hydration_spend.cost_usd + EXCLUDED.cost_usd,
+        updated_at = NOW()
+    `, [operation, count, count * PRICES[operation]]);
+  }
+}
+
+/**
+ * Budget for one run, tracking its apiStats (see stats.js).
+ * Calls already in apiStats (a resumed run) count as recorded.
+ */
+async function createBudget(apiStats, { maxCost = null, monthlyLimit = null } = {}) {
+  const month = monthlyLimit !== null ? await monthlySpend() : null;
+  let flushed = { ...apiStats.calls };
+
+  const unrecordedCalls = () => Object.fromEntries(
+    OPERATIONS.map(operation => [operation, apiStats.calls[operation] - (flushed[operation] || 0)])
+  );
+  const unrecordedCost = () => OPERATIONS.reduce(
+    (sum, operation) => sum + unrecordedCalls()[operation] * PRICES[operation], 0
+  );
+
+  return {
+    maxCost,
+    monthlyLimit,
+    month,
+
+    // Why another call of this type can't be made, or null if it can
+    blockReason(operation) {
+      const price = PRICES[operation];
+      if (maxCost !== null && apiStats.totalCost + price > maxCost + 1e-9) {
+        return `run budget of $${maxCost.toFixed(2)} reached ($${apiStats.totalCost.toFixed(2)} spent)`;
+      }
+      if (month && month.cost + unrecordedCost() + price > monthlyLimit + 1e-9) {
+        return `monthly budget of $${monthlyLimit.toFixed(2)} reached ($${this.monthlySpent.toFixed(2)} spent in ${month.month})`;
+      }
+      return null;
+    },
+
+    get monthlySpent() {
+      return month ? month.cost + unrecordedCost() : null;
+    },
+
+    // Persist the calls made since the last flush, and pick up what other
+    // runs spent meanwhile
+    async flush() {
+      await recordSpend(unrecordedCalls());
+      flushed = { ...apiStats.calls };
+      if (month) {
+        Object.assign(month, await monthlySpend());
+      }
+    },
+  };
+}
+
+module.exports = {
+  parseUsd,
+  monthlySpend,
+  recordSpend,
+  createBudget,
+};
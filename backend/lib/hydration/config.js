@@ -0,0 +1,185 @@
+// Hydration presets - JSON files in config/hydration/ describing the phases
+// to run, their queries / grids, and the status + confidence they save with.
+//
+// Preset:
+//   details        fetch Place Details for each new place (false = save search results as-is)
+//   seen_places    skip places checked by earlier runs (false = only within this run)
+//   city_requests  move the city's city_requests row to hydrating -> approved
+//   city_source    cities.source for the hydrated city
+//   phases         run in order, each:
+//     name, title, description
+//     classify     fixed   - save everything with halal_status
+//                  reviews - save only if a review mentions one of review_keywords
+//                  name    - halal_status if the name contains name_keyword, else fallback_status
+//     halal_status, confidence, discovered_via  (a source can override any of these)
+//     sources      [{ type: 'text', queries }]
+//                  [{ type: 'grid', grid: 'bounds' | 'center', size, radius, keyword, spacing }]
+//                  [{ type: 'grid', grid: 'quadtree', size, keyword, min_cell_m, full_page }]
+//                    quadtree: size x size cells over the city bounds, each split in
+//                    four while its search returns full_page results (default 20,
+//                    a full Nearby page) and its quarters would still be at least
+//                    min_cell_m meters wide; the radius follows the cell size
+
+const fs = require('fs');
+const path = require('path');
+const { HALAL_STATUSES, DISCOVERY_SOURCES } = require('../restaurant-listing');
+
+const PRESETS_DIR = path.join(__dirname, '../../config/hydration');
+const DEFAULT_PRESET = 'default';
+
+const CLASSIFIERS = ['fixed', 'reviews', 'name'];
+const GRIDS = ['bounds', 'center', 'quadtree'];
+
+const PRESET_DEFAULTS = {
+  details: true,
+  seen_places: true,
+  city_requests: false,
+  city_source: 'hydrate',
+};
+
+function listPresets() {
+  return fs.readdirSync(PRESETS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'));
+}
+
+const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+
+// Check the status / confidence / discovered_via a source will save with
+function validateSaveSettings(settings, where, errors) {
+  if (!HALAL_STATUSES.includes(settings.halal_status)) {
+    errors.push(`${where}: halal_status must be one of ${HALAL_STATUSES.join(', ')}`);
+  }
+  if (!Number.isInteger(settings.confidence) || settings.confidence < 0 || settings.confidence > 100) {
+    errors.push(`${where}: confidence must be an integer 0-100`);
+  }
+  if (!DISCOVERY_SOURCES.includes(settings.discovered_via)) {
+    errors.push(`${where}: discovered_via must be one of ${DISCOVERY_SOURCES.join(', ')}`);
+  }
+}
+
+function validateSource(source, where, errors) {
+  if (source.type === 'text') {
+    if (!Array.isArray(source.queries) || source.queries.length === 0) {
+      errors.push(`${where}: text sources need a non-empty queries list`);
+    }
+  } else if (source.type === 'grid') {
+    if (!GRIDS.includes(source.grid)) {
+      errors.push(`${where}: grid must be one of ${GRIDS.join(', ')}`);
+    }
+    if (!isPositiveInt(source.size)) errors.push(`${where}: size must be a positive integer`);
+    if (source.grid === 'quadtree') {
+      if (!(source.min_cell_m > 0)) errors.push(`${where}: quadtree grids need a min_cell_m (meters)`);
+      if (source.full_page !== undefined && !(isPositiveInt(source.full_page) && source.full_page <= 20)) {
+        errors.push(`${where}: full_page must be an integer 1-20`);
+      }
+    } else if (!isPositiveInt(source.radius)) {
+      errors.push(`${where}: radius must be a positive integer (meters)`);
+    }
+    if (source.grid === 'center' && !(source.spacing > 0)) {
+      errors.push(`${where}: center grids need a spacing (degrees)`);
+    }
+  } else {
+    errors.push(`${where}: type must be text or grid`);
+  }
+}
+
+function validatePreset(preset) {
+  const errors = [];
+
+  if (!Array.isArray(preset.phases) || preset.phases.length === 0) {
+    errors.push('phases must be a non-empty list');
+  }
+
+  const names = new Set();
+  for (const [i, phase] of (preset.phases || []).entries()) {
+    const where = `phase ${phase.name || i + 1}`;
+
+    if (!phase.name) errors.push(`phase ${i + 1}: name is required`);
+    if (names.has(phase.name)) errors.push(`${where}: duplicate phase name`);
+    names.add(phase.name);
+
+    if (!CLASSIFIERS.includes(phase.classify)) {
+      errors.push(`${where}: classify must be one of ${CLASSIFIERS.join(', ')}`);
+    }
+    if (phase.classify === 'reviews') {
+      if (!preset.details) errors.push(`${where}: review checks need details: true (search results have no reviews)`);
+      if (!Array.isArray(phase.review_keywords) || phase.review_keywords.length === 0) {
+        errors.push(`${where}: review checks need review_keywords`);
+      }
+    }
+    if (phase.classify === 'name') {
+      if (!phase.name_keyword) errors.push(`${where}: name checks need name_keyword`);
+      if (!HALAL_STATUSES.includes(phase.fallback_status)) {
+        errors.push(`${where}: fallback_status must be one of ${HALAL_STATUSES.join(', ')}`);
+      }
+    }
+
+    if (!Array.isArray(phase.sources) || phase.sources.length === 0) {
+      errors.push(`${where}: sources must be a non-empty list`);
+      continue;
+    }
+    for (const [j, source] of phase.sources.entries()) {
+      validateSource(source, `${where}, source ${j + 1}`, errors);
+      validateSaveSettings(sourceSettings(phase, source), `${where}, source ${j + 1}`, errors);
+    }
+  }
+
+  return errors;
+}
+
+// What a source saves with: its own settings, falling back to the phase's
+function sourceSettings(phase, source) {
+  return {
+    halal_status: source.halal_status ?? phase.halal_status,
+    confidence: source.confidence ?? phase.confidence,
+    discovered_via: source.discovered_via ?? phase.discovered_via,
+  };
+}
+
+/**
+ * Load a preset by name (config/hydration/<name>.json) or file path.
+ * Throws with every validation problem listed.
+ */
+function loadPreset(nameOrPath = process.env.HYDRATE_PRESET || DEFAULT_PRESET) {
+  const isPath = nameOrPath.includes('/') || nameOrPath.endsWith('.json');
+  const file = isPath ? path.resolve(nameOrPath) : path.join(PRESETS_DIR, `${nameOrPath}.json`);
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`Hydration preset "${nameOrPath}" not found (available: ${listPresets().join(', ')})`);
+  }
+
+  let preset;
+  try {
+    preset = { ...PRESET_DEFAULTS, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+  }
+
+  const errors = validatePreset(preset);
+  if (errors.length > 0) {
+    throw new Error(`Invalid hydration preset ${file}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return { ...preset, name: preset.name || path.basename(file, '.json'), file };
+}
+
+// Only the named phases, in preset order
+function selectPhases(preset, names) {
+  if (!names || names.length === 0) return preset.phases;
+
+  const unknown = names.filter(name => !preset.phases.some(phase => phase.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown phase(s): ${unknown.join(', ')} (preset has: ${preset.phases.map(p => p.name).join(', ')})`);
+  }
+  return preset.phases.filter(phase => names.includes(phase.name));
+}
+
+module.exports = {
+  PRESETS_DIR,
+  listPresets,
+  loadPreset,
+  validatePreset,
+  selectPhases,
+  sourceSettings,
+};
@@ -0,0 +1,240 @@
+/**
+ * HYDRATION FORECAST
+ *
+ * Estimates the Places calls and cost of running a preset for a city,
+ * without calling the API:
+ *
+ *   searches   text queries x pages per query, or the exact grid points
+ *              (quadtree grids: root cells x the growth seen in earlier runs)
+ *   results    searches x results per search
+ *   unique     results minus the share that repeat within a run
+ *   details    unique x (1 - share already in seen_places), if the preset
+ *              fetches details
+ *
+ * Pages per query, results per search and the repeat share come from
+ * earlier runs in hydration_runs (this city's first, then every city's,
+ * then DEFAULTS). The seen_places share is what this city's last
+ * incremental run skipped, or - after only a first run - how much of the
+ * expected results seen_places already covers.
+ */
+
+const pool = require('../db');
+const { gridPoints } = require('./grid');
+const { PRICES } = require('./stats');
+
+// Without history: Google returns up to 3 pages of 20, most queries fill 2
+const DEFAULTS = {
+  pagesPerQuery: 2,
+  resultsPerPage: 20,
+  resultsPerPoint: 20,
+  duplicateRatio: 0,
+};
+
+const HISTORY_LIMIT = 200;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Recent runs with per-phase counters: [{ id, city, status, phases: { <name>: counts } }]
+async function loadHistory() {
+  const result = await pool.query(`
+    SELECT id, city, status, counters
+    FROM hydration_runs
+    ORDER BY updated_at DESC
+    LIMIT $1
+  `, [HISTORY_LIMIT]);
+
+  return result.rows.map(row => ({
+    id: row.id,
+    city: row.city,
+    status: row.status,
+    phases: (row.counters && row.counters.phases) || {},
+  }));
+}
+
+async function seenPlacesCount(city) {
+  const result = await pool.query(
+    'SELECT COUNT(*) AS count FROM seen_places WHERE LOWER(city) = LOWER($1)',
+    [city]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+function sumCounts(entries, key) {
+  return entries.reduce((sum, counts) => sum + (counts[key] || 0), 0);
+}
+
+// Ratios observed for a phase: this city's runs, else any city's, else defaults
+function phaseRates(history, city, phaseName) {
+  const withPhase = history.filter(run => run.phases[phaseName]);
+  const cityRuns = withPhase.filter(run => run.city.toLowerCase() === city.toLowerCase());
+  const runs = cityRuns.length > 0 ? cityRuns : withPhase;
+  const entries = runs.map(run => run.phases[phaseName]);
+
+  const queries = sumCounts(entries, 'text_queries');
+  const pages = sumCounts(entries, 'text_pages');
+  const points = sumCounts(entries, 'grid_points');
+  const results = sumCounts(entries, 'text_results') + sumCounts(entries, 'grid_results');
+  const duplicates = sumCounts(entries, 'duplicate');
+  // Each split adds 4 cells: points searched per root cell
+  const splits = sumCounts(entries, 'grid_splits');
+  const roots = points - 4 * splits;
+
+  return {
+    basis: runs.length === 0 ? 'defaults' : `${cityRuns.length > 0 ? 'this city' : 'all cities'}, ${runs.length} run(s)`,
+    pagesPerQuery: queries > 0 ? pages / queries : DEFAULTS.pagesPerQuery,
+    resultsPerPage: pages > 0 ? sumCounts(entries, 'text_results') / pages : DEFAULTS.resultsPerPage,
+    resultsPerPoint: points > 0 ? sumCounts(entries, 'grid_results') / points : DEFAULTS.resultsPerPoint,
+    duplicateRatio: results > 0 ? duplicates / results : DEFAULTS.duplicateRatio,
+    quadtreeGrowth: splits > 0 && roots > 0 ? points / roots : 1,
+  };
+}
+
+// Share of a phase's (unique) results this city's last incremental run
+// found in seen_places, or null if it hasn't had one
+function observedSeenRatio(history, city, phaseName) {
+  const last = history.find(run =>
+    run.city.toLowerCase() === city.toLowerCase() &&
+    run.phases[phaseName] &&
+    run.phases[phaseName].skipped > 0);
+  if (!last) return null;
+
+  const counts = last.phases[phaseName];
+  const unique = (counts.text_results || 0) + (counts.grid_results || 0) - (counts.duplicate || 0);
+  return unique > 0 ? Math.min(1, counts.skipped / unique) : null;
+}
+
+function forecastSearches(phase, rates, cityData) {
+  const searches = { text_queries: 0, text_pages: 0, grid_points: 0, results: 0, warnings: [] };
+
+  for (const source of phase.sources) {
+    if (source.type === 'text') {
+      const pages = source.queries.length * rates.pagesPerQuery;
+      searches.text_queries += source.queries.length;
+      searches.text_pages += pages;
+      searches.results += pages * rates.resultsPerPage;
+      continue;
+    }
+
+    try {
+      let points = gridPoints(source, cityData).length;
+      if (source.grid === 'quadtree') {
+        points = Math.ceil(points * rates.quadtreeGrowth);
+        if (rates.basis === 'defaults') {
+          searches.warnings.push('quadtree grid counted as its root cells only - no earlier runs to tell how often cells split');
+        }
+      }
+      searches.grid_points += points;
+      searches.results += points * rates.resultsPerPoint;
+    } catch (error) {
+      searches.warnings.push(`${source.grid} grid skipped: ${error.message}`);
+    }
+  }
+  return searches;
+}
+
+/**
+ * Forecast one city.
+ * cityData: registry entry (lib/cities.js); phases default to all of the preset's.
+ *
+ * Returns { city, preset, seen_places, phases: [{ name, basis, text_queries,
+ *   text_pages, grid_points, results, unique, seen_ratio, details, calls, cost }],
+ *   total: { calls, cost } } - calls / cost per textsearch, nearbysearch, details.
+ */
+async function forecastHydration({ city, cityData, preset, phases = preset.phases, history = null }) {
+  history = history || await loadHistory();
+  const seenCount = preset.seen_places ? await seenPlacesCount(city) : 0;
+
+  const estimates = phases.map(phase => {
+    const rates = phaseRates(history, city, phase.name);
+    const searches = forecastSearches(phase, rates, cityData);
+    return { phase, rates, searches, unique: searches.results * (1 - rates.duplicateRatio) };
+  });
+
+  // Fallback seen share: how much of a run's results seen_places covers
+  const expectedUnique = estimates.reduce((sum, estimate) => sum + estimate.unique, 0);
+  const coverage = expectedUnique > 0 ? Math.min(1, seenCount / expectedUnique) : 0;
+
+  const total = {
+    calls: { textsearch: 0, nearbysearch: 0, details: 0 },
+    cost: { textsearch: 0, nearbysearch: 0, details: 0, total: 0 },
+  };
+
+  const phaseForecasts = estimates.map(({ phase, rates, searches, unique }) => {
+    let seenRatio = 0;
+    if (seenCount > 0) {
+      seenRatio = observedSeenRatio(history, city, phase.name) ?? coverage;
+    }
+
+    const calls = {
+      textsearch: Math.ceil(searches.text_pages),
+      nearbysearch: searches.grid_points,
+      details: preset.details ? Math.ceil(unique * (1 - seenRatio)) : 0,
+    };
+    const cost = {};
+    for (const operation of Object.keys(calls)) {
+      cost[operation] = round(calls[operation] * PRICES[operation]);
+      total.calls[operation] += calls[operation];
+      total.cost[operation] = round(total.cost[operation] + cost[operation]);
+    }
+    cost.total = round(cost.textsearch + cost.nearbysearch + cost.details);
+    total.cost.total = round(total.cost.total + cost.total);
+
+    return {
+      name: phase.name,
+      basis: rates.basis,
+      text_queries: searches.text_queries,
+      pages_per_query: round(rates.pagesPerQuery),
+      text_pages: calls.textsearch,
+      grid_points: searches.grid_points,
+      results: Math.round(searches.results),
+      duplicate_ratio: round(rates.duplicateRatio),
+      unique: Math.round(unique),
+      seen_ratio: round(seenRatio),
+      details: calls.details,
+      calls,
+      cost,
+      warnings: searches.warnings,
+    };
+  });
+
+  return {
+    city,
+    preset: preset.name,
+    seen_places: seenCount,
+    phases: phaseForecasts,
+    total,
+  };
+}
+
+function printForecast(forecast) {
+  console.log(`💰 FORECAST: ${forecast.city} (preset: ${forecast.preset}, ${forecast.seen_places} places in seen_places)\n`);
+  console.log('   Phase          | Searches             |  Unique | Seen | Details |   Cost');
+  console.log('   ' + '─'.repeat(75));
+
+  for (const phase of forecast.phases) {
+    const searches = [
+      phase.text_queries ? `${phase.text_pages} pages` : null,
+      phase.grid_points ? `${phase.grid_points} points` : null,
+    ].filter(Boolean).join(' + ') || '-';
+
+    console.log(`   ${phase.name.padEnd(14)} | ${searches.padEnd(20)} | ${String(phase.unique).padStart(7)} | ${`${Math.round(phase.seen_ratio * 100)}%`.padStart(4)} | ${String(phase.details).padStart(7)} | $${phase.cost.total.toFixed(2).padStart(6)}`);
+    for (const warning of phase.warnings) {
+      console.log(`   ⚠️  ${warning}`);
+    }
+  }
+
+  const { calls, cost } = forecast.total;
+  console.log('   ' + '─'.repeat(75));
+  console.log(`   Text Searches:   ${calls.textsearch} calls = $${cost.textsearch.toFixed(2)}`);
+  console.log(`   Nearby Searches: ${calls.nearbysearch} calls = $${cost.nearbysearch.toFixed(2)}`);
+  console.log(`   Place Details:   ${calls.details} calls = $${cost.details.toFixed(2)}`);
+  console.log(`   TOTAL:           ~$${cost.total.toFixed(2)}`);
+  console.log(`\n   Rates from: ${[...new Set(forecast.phases.map(phase => phase.basis))].join('; ')}\n`);
+}
+
+module.exports = {
+  DEFAULTS,
+  loadHistory,
+  forecastHydration,
+  printForecast,
+};
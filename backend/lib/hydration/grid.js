@@ -0,0 +1,166 @@
+// Grid points for nearby searches
+
+const { pointInPolygon } = require('../geo');
+
+// Uniform grid covering the city bounds: (size + 1)^2 cell centers
+function boundsGrid(bounds, size) {
+  const points = [];
+  const latStep = (bounds.north - bounds.south) / size;
+  const lngStep = (bounds.east - bounds.west) / size;
+
+  for (let i = 0; i <= size; i++) {
+    for (let j = 0; j <= size; j++) {
+      points.push({
+        lat: bounds.south + (i * latStep) + (latStep / 2),
+        lng: bounds.west + (j * lngStep) + (lngStep / 2)
+      });
+    }
+  }
+
+  return points;
+}
+
+// size x size grid around the city center, `spacing` degrees apart
+// (longitude spacing stretched 1.4x for mid latitudes)
+function centerGrid(center, size, spacing) {
+  const points = [];
+  const half = Math.floor(size / 2);
+
+  for (let latOff = -half; latOff < size - half; latOff++) {
+    for (let lngOff = -half; lngOff < size - half; lngOff++) {
+      points.push({
+        lat: center.lat + (latOff * spacing),
+        lng: center.lng + (lngOff * spacing * 1.4),
+      });
+    }
+  }
+  return points;
+}
+
+// ============================================
+// QUADTREE
+// Cells of { north, south, east, west, depth }, searched from their center
+// and split in four while a search comes back full (see pipeline.js)
+// ============================================
+
+const METERS_PER_DEGREE = 111320;
+const MAX_RADIUS_M = 50000; // Nearby Search limit
+
+// Width / height of a cell in meters (width at its middle latitude)
+function cellSize(cell) {
+  const midLat = (cell.north + cell.south) / 2;
+  return {
+    width: (cell.east - cell.west) * METERS_PER_DEGREE * Math.cos(midLat * Math.PI / 180),
+    height: (cell.north - cell.south) * METERS_PER_DEGREE,
+  };
+}
+
+// Center of a cell, with the radius that reaches its corners
+function cellSearchPoint(cell) {
+  const { width, height } = cellSize(cell);
+  return {
+    lat: (cell.north + cell.south) / 2,
+    lng: (cell.east + cell.west) / 2,
+    radius: Math.min(MAX_RADIUS_M, Math.ceil(Math.hypot(width, height) / 2)),
+  };
+}
+
+// Would splitting leave cells at least minCellM on each side?
+function canSplit(cell, minCellM) {
+  const { width, height } = cellSize(cell);
+  return Math.min(width, height) / 2 >= minCellM;
+}
+
+function splitCell(cell) {
+  const midLat = (cell.north + cell.south) / 2;
+  const midLng = (cell.east + cell.west) / 2;
+  const depth = cell.depth + 1;
+  return [
+    { north: cell.north, south: midLat, east: midLng, west: cell.west, depth },
+    { north: cell.north, south: midLat, east: cell.east, west: midLng, depth },
+    { north: midLat, south: cell.south, east: midLng, west: cell.west, depth },
+    { north: midLat, south: cell.south, east: cell.east, west: midLng, depth },
+  ];
+}
+
+// Does any of the cell's center / corners fall inside the polygon?
+function cellInPolygon(cell, polygon) {
+  const { lat, lng } = cellSearchPoint(cell);
+  return [
+    { lat, lng },
+    { lat: cell.north, lng: cell.west },
+    { lat: cell.north, lng: cell.east },
+    { lat: cell.south, lng: cell.west },
+    { lat: cell.south, lng: cell.east },
+  ].some(point => pointInPolygon(point, polygon));
+}
+
+// Keep the cells that overlap the city (all of them without a polygon)
+function cellsInCity(cells, cityData) {
+  if (!cityData.polygon) return cells;
+  return cells.filter(cell => cellInPolygon(cell, cityData.polygon));
+}
+
+// size x size cells covering the city bounds
+function quadtreeRoots(source, cityData) {
+  if (!cityData.bounds) {
+    throw new Error('This grid needs city bounds');
+  }
+  const { north, south, east, west } = cityData.bounds;
+  const latStep = (north - south) / source.size;
+  const lngStep = (east - west) / source.size;
+
+  const cells = [];
+  for (let i = 0; i < source.size; i++) {
+    for (let j = 0; j < source.size; j++) {
+      cells.push({
+        north: south + (i + 1) * latStep,
+        south: south + i * latStep,
+        east: west + (j + 1) * lngStep,
+        west: west + j * lngStep,
+        depth: 0,
+      });
+    }
+  }
+  return cellsInCity(cells, cityData);
+}
+
+// km² of a cell
+function cellArea(cell) {
+  const { width, height } = cellSize(cell);
+  return (width * height) / 1e6;
+}
+
+// Points for a grid source of a preset. When the city has a polygon,
+// points outside it are dropped. For a quadtree these are only the root
+// cells - the rest depends on what the searches return.
+function gridPoints(source, cityData) {
+  if (source.grid === 'quadtree') {
+    return quadtreeRoots(source, cityData).map(cellSearchPoint);
+  }
+
+  let points;
+  if (source.grid === 'bounds') {
+    if (!cityData.bounds) {
+      throw new Error('This grid needs city bounds');
+    }
+    points = boundsGrid(cityData.bounds, source.size);
+  } else {
+    points = centerGrid(cityData, source.size, source.spacing);
+  }
+
+  if (!cityData.polygon) return points;
+  return points.filter(point => pointInPolygon(point, cityData.polygon));
+}
+
+module.exports = {
+  boundsGrid,
+  centerGrid,
+  gridPoints,
+  quadtreeRoots,
+  cellSearchPoint,
+  canSplit,
+  splitCell,
+  cellsInCity,
+  cellArea,
+};
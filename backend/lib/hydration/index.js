@@ -0,0 +1,16 @@
+// Hydration pipeline - see config.js for presets, pipeline.js for the run
+
+const { loadPreset, listPresets, selectPhases } = require('./config');
+const { runHydration, printSummary } = require('./pipeline');
+const { findResumableRun } = require('./runs');
+const { parseUsd } = require('./budget');
+
+module.exports = {
+  loadPreset,
+  listPresets,
+  selectPhases,
+  runHydration,
+  printSummary,
+  findResumableRun,
+  parseUsd,
+};
@@ -0,0 +1,653 @@
+/**
+ * HYDRATION PIPELINE
+ *
+ * Runs the phases of a preset (see config.js) for one city:
+ *   search (text queries with pagination, or a grid of nearby searches)
+ *   -> skip places already seen
+ *   -> Place Details (if the preset wants them)
+ *   -> classify (fixed / reviews / name)
+ *   -> save with the phase's status, confidence and discovered_via
+ *
+ * Each run is a hydration_runs row, checkpointed after every query / grid
+ * point (position + counters, plus the pending cells of a quadtree grid), so an interrupted or crashed run can be
+ * resumed where it stopped instead of paying for the same searches again.
+ *
+ * Every Places call is checked against the run's budget (budget.js) first;
+ * once the next call would cross a cap the run stops there, keeping what it
+ * found so far.
+ */
+
+const places = require('../places');
+const store = require('./store');
+const runs = require('./runs');
+const grid = require('./grid');
+const { sourceSettings } = require('./config');
+const { createApiStats } = require('./stats');
+const { createBudget } = require('./budget');
+
+const DETAILS_FIELDS = 'place_id,name,formatted_address,geometry,rating,user_ratings_total,reviews,photos,types,formatted_phone_number,website,opening_hours,business_status';
+
+// Results in one page of Nearby Search - a quadtree cell that fills it is split
+const NEARBY_PAGE_SIZE = 20;
+
+// Pacing between calls (no-ops with the fixture provider)
+const PAUSE_MS = {
+  nextPage: 2000,
+  query: 300,
+  gridPoint: 200,
+  place: 100,
+};
+
+// ============================================
+// SEARCH
+// ============================================
+
+// Thrown instead of making a call the budget can't cover
+class BudgetExceeded extends Error {
+  constructor(reason) {
+    super(`Budget reached: ${reason}`);
+    this.name = 'BudgetExceeded';
+    this.reason = reason;
+  }
+}
+
+// Count a Places call, or refuse it if it would go over budget
+function spend(run, operation) {
+  const reason = run.budget.blockReason(operation);
+  if (reason) {
+    throw new BudgetExceeded(reason);
+  }
+  run.apiStats.record(operation);
+}
+
+/**
+ * All pages of a text search: { results, budgetExceeded }. When the budget
+ * runs out before a later page, the pages already paid for are returned
+ * with the BudgetExceeded for the caller to throw once they're processed.
+ */
+async function textSearchAll(run, query, counts) {
+  const allResults = [];
+  let pageToken = null;
+
+  do {
+    try {
+      spend(run, 'textsearch');
+    } catch (error) {
+      if (!pageToken || !(error instanceof BudgetExceeded)) throw error;
+      return { results: allResults, budgetExceeded: error };
+    }
+    if (pageToken) {
+      await places.pause(PAUSE_MS.nextPage);
+    } else {
+      counts.text_queries++;
+    }
+
+    try {
+      const { results, nextPageToken } = await places.textSearch(`${query} in ${run.city}`, { pageToken });
+      counts.text_pages++;
+      counts.text_results += results.length;
+      allResults.push(...results);
+      pageToken = nextPageToken;
+    } catch (error) {
+      console.error('Search error:', error.message);
+      pageToken = null;
+    }
+  } while (pageToken);
+
+  return { results: allResults, budgetExceeded: null };
+}
+
+async function nearbySearch(run, point, source, counts) {
+  spend(run, 'nearbysearch');
+  counts.grid_points++;
+
+  try {
+    const { results } = await places.nearbySearch({
+      lat: point.lat,
+      lng: point.lng,
+      radius: point.radius || source.radius,
+      keyword: source.keyword
+    });
+    counts.grid_results += results.length;
+    return results;
+  } catch (error) {
+    console.error('Nearby search error:', error.message);
+    return [];
+  }
+}
+
+async function fetchDetails(run, placeId) {
+  spend(run, 'details');
+
+  try {
+    return await places.details(placeId, DETAILS_FIELDS);
+  } catch (error) {
+    console.error('Details error:', error.message);
+    return null;
+  }
+}
+
+// ============================================
+// CLASSIFY
+// ============================================
+
+function findReviewKeyword(reviews = [], keywords) {
+  for (const review of reviews) {
+    const text = (review.text || '').toLowerCase();
+    const keyword = keywords.find(k => text.includes(k.toLowerCase()));
+    if (keyword) return keyword;
+  }
+  return null;
+}
+
+/**
+ * Decide whether to save a place and with which status.
+ * Returns { save, isHalal, halalStatus, keywordFlags }
+ */
+function classify(phase, settings, place) {
+  const name = (place.name || '').toLowerCase();
+  const keywordFlags = name.includes('halal') ? ['name_contains_halal'] : [];
+
+  if (phase.classify === 'reviews') {
+    const keyword = findReviewKeyword(place.reviews, phase.review_keywords);
+    if (keyword) keywordFlags.push(`review_mentions_${keyword.toLowerCase()}`);
+    return { save: Boolean(keyword), isHalal: Boolean(keyword), halalStatus: settings.halal_status, keywordFlags };
+  }
+
+  if (phase.classify === 'name') {
+    const match = name.includes(phase.name_keyword.toLowerCase());
+    return {
+      save: true,
+      isHalal: match,
+      halalStatus: match ? settings.halal_status : phase.fallback_status,
+      keywordFlags
+    };
+  }
+
+  return { save: true, isHalal: true, halalStatus: settings.halal_status, keywordFlags };
+}
+
+// ============================================
+// PIPELINE
+// ============================================
+
+// Outcomes per place (skipped = in seen_places, duplicate = already seen
+// this run), plus search volume - what hydrate-check forecasts from.
+// grid_splits / grid_truncated: quadtree cells split, and cells still full
+// at the minimum size (results there may be cut off)
+function emptyCounts() {
+  return {
+    saved: 0,
+    skipped: 0,
+    duplicate: 0,
+    checked: 0,
+    rejected: 0,
+    existing: 0,
+    failed: 0,
+    text_queries: 0,
+    text_pages: 0,
+    text_results: 0,
+    grid_points: 0,
+    grid_results: 0,
+    grid_splits: 0,
+    grid_truncated: 0,
+  };
+}
+
+function addCounts(target, counts) {
+  for (const key of Object.keys(counts)) {
+    target[key] += counts[key];
+  }
+}
+
+// Process one search result; returns the outcome counter to bump
+async function processPlace(run, phase, settings, result) {
+  const placeId = result.place_id;
+
+  if (run.seenThisRun.has(placeId)) return 'duplicate';
+  if (run.preset.seen_places && await store.isPlaceSeen(placeId)) return 'skipped';
+  run.seenThisRun.add(placeId);
+
+  let place = result;
+  if (run.preset.details) {
+    place = await fetchDetails(run, placeId);
+    if (!place) return 'failed';
+  }
+
+  const verdict = classify(phase, settings, place);
+  let saved = false;
+
+  if (verdict.save) {
+    saved = await store.saveRestaurant(place, run.city, {
+      halalStatus: verdict.halalStatus,
+      confidence: settings.confidence,
+      discoveredVia: settings.discovered_via,
+      keywordFlags: verdict.keywordFlags
+    });
+    if (saved) {
+      run.savedByStatus[verdict.halalStatus] = (run.savedByStatus[verdict.halalStatus] || 0) + 1;
+    }
+  }
+
+  if (run.preset.seen_places) {
+    await store.markPlaceSeen(placeId, run.city, place.name, verdict.isHalal);
+  }
+  if (run.preset.details) {
+    await places.pause(PAUSE_MS.place);
+  }
+
+  if (!verdict.save) return 'rejected';
+  return saved ? 'saved' : 'existing';
+}
+
+async function processResults(run, phase, settings, results, counts) {
+  for (const result of results) {
+    let outcome;
+    try {
+      outcome = await processPlace(run, phase, settings, result);
+    } catch (error) {
+      if (error instanceof BudgetExceeded) throw error;
+      console.error(`Error saving ${result.name}:`, error.message);
+      outcome = 'failed';
+    }
+
+    counts[outcome]++;
+    if (!['skipped', 'duplicate', 'failed'].includes(outcome)) counts.checked++;
+  }
+}
+
+const totalSkipped = (counts) => counts.skipped + counts.duplicate;
+
+function formatCounts(phase, counts) {
+  if (phase.classify === 'reviews') {
+    return `${counts.checked} checked, ${counts.saved} halal found, ${totalSkipped(counts)} skipped`;
+  }
+  return `+${counts.saved} saved, ${totalSkipped(counts)} skipped`;
+}
+
+// Thrown at the next checkpoint once the run's signal is aborted (Ctrl-C)
+class HydrationInterrupted extends Error {
+  constructor() {
+    super('Hydration interrupted');
+    this.name = 'HydrationInterrupted';
+  }
+}
+
+async function checkpoint(run) {
+  await run.budget.flush();
+  await runs.saveCheckpoint(run.id, {
+    position: run.position,
+    phase: run.phases[run.position.phase]?.name ?? null,
+    currentItem: run.currentItem,
+    gridState: run.gridState,
+    counters: {
+      phases: run.phaseCounts,
+      saved_by_status: run.savedByStatus,
+      api_calls: run.apiStats.calls,
+    },
+  });
+}
+
+// Run one query / grid point. If the budget runs out part-way, what it
+// found is counted but the checkpoint stays on it, so a resume redoes it
+// (places already saved are skipped then).
+async function runItem(run, phase, counts, work) {
+  try {
+    await work();
+  } catch (error) {
+    if (error instanceof BudgetExceeded) {
+      addCounts(run.phaseCounts[phase.name], counts);
+      await checkpoint(run);
+    }
+    throw error;
+  }
+}
+
+// A query / grid point is done: count it, move the checkpoint past it, and
+// stop here if we've been asked to
+async function completeItem(run, phase, counts, nextItem, nextLabel) {
+  addCounts(run.phaseCounts[phase.name], counts);
+  run.position.item = nextItem;
+  run.currentItem = nextLabel;
+  await checkpoint(run);
+
+  if (run.signal?.aborted) {
+    throw new HydrationInterrupted();
+  }
+}
+
+async function runTextSource(run, phase, source, indent) {
+  const settings = sourceSettings(phase, source);
+  const { queries } = source;
+  const label = (i) => (i < queries.length ? `"${queries[i]}"` : null);
+
+  if (run.position.item > 0) {
+    console.log(`${indent}⏩ Resuming at query ${run.position.item + 1}/${queries.length}`);
+  }
+
+  for (let i = run.position.item; i < queries.length; i++) {
+    process.stdout.write(`${indent}🔍 "${queries[i]}"... `);
+
+    const counts = emptyCounts();
+    let budgetExceeded = null;
+    await runItem(run, phase, counts, async () => {
+      const search = await textSearchAll(run, queries[i], counts);
+      budgetExceeded = search.budgetExceeded;
+      await processResults(run, phase, settings, search.results, counts);
+    });
+
+    console.log(formatCounts(phase, counts));
+    await completeItem(run, phase, counts, i + 1, label(i + 1));
+    // Out of budget for its later pages: the query is done with what it found
+    if (budgetExceeded) throw budgetExceeded;
+    await places.pause(PAUSE_MS.query);
+  }
+}
+
+async function runGridSource(run, phase, source, indent) {
+  const settings = sourceSettings(phase, source);
+  const totals = emptyCounts();
+  const points = grid.gridPoints(source, run.cityData);
+  const label = (i) => (i < points.length ? `grid point ${i + 1}/${points.length}` : null);
+
+  console.log(`${indent}Searching ${points.length} grid points (${source.grid} grid, "${source.keyword}", ${source.radius} m)...`);
+  if (run.position.item > 0) {
+    console.log(`${indent}⏩ Resuming at point ${run.position.item + 1}/${points.length}`);
+  }
+
+  for (let i = run.position.item; i < points.length; i++) {
+    const counts = emptyCounts();
+    await runItem(run, phase, counts, async () => {
+      const results = await nearbySearch(run, points[i], source, counts);
+      await processResults(run, phase, settings, results, counts);
+    });
+    addCounts(totals, counts);
+
+    if ((i + 1) % 5 === 0) {
+      process.stdout.write(`${indent}Point ${i + 1}/${points.length}... +${totals.saved} new\r`);
+    }
+    await completeItem(run, phase, counts, i + 1, label(i + 1));
+    await places.pause(PAUSE_MS.gridPoint);
+  }
+
+  console.log(`\n${indent}Grid complete: ${formatCounts(phase, totals)}`);
+}
+
+// Coverage of a quadtree source so far
+function emptyCoverage() {
+  return { cells: 0, by_depth: {}, split: 0, truncated: 0, empty: 0, area_km2: 0, truncated_km2: 0 };
+}
+
+function printCoverage(coverage, source, indent) {
+  const depths = Object.keys(coverage.by_depth).map(Number).sort((a, b) => a - b);
+  const byDepth = depths.map(depth => `${coverage.by_depth[depth]} at depth ${depth}`).join(', ');
+  const share = coverage.area_km2 > 0 ? (coverage.truncated_km2 / coverage.area_km2) * 100 : 0;
+
+  console.log(`${indent}🗺️  Coverage: ${coverage.cells} cells searched (${byDepth || 'none'})`);
+  console.log(`${indent}   ${coverage.split} split, ${coverage.empty} empty, ${coverage.area_km2.toFixed(1)} km² covered`);
+  if (coverage.truncated > 0) {
+    console.log(`${indent}   ⚠️  ${coverage.truncated} cells still full at ${source.min_cell_m} m (${coverage.truncated_km2.toFixed(1)} km², ${share.toFixed(1)}%) - results there may be cut off`);
+  }
+}
+
+// Adaptive grid: search each cell, and split it in four while it comes back
+// full. The queue of cells still to search is checkpointed with the run
+// (grid_state); the position's item is the number of cells searched.
+async function runQuadtreeSource(run, phase, source, indent) {
+  const settings = sourceSettings(phase, source);
+  const totals = emptyCounts();
+  const fullPage = source.full_page || NEARBY_PAGE_SIZE;
+
+  if (run.position.item === 0 || !run.gridState) {
+    run.gridState = { queue: grid.quadtreeRoots(source, run.cityData), coverage: emptyCoverage() };
+  }
+  const { queue, coverage } = run.gridState;
+  const label = () => (queue.length > 0 ? `quadtree cell ${coverage.cells + 1} (${queue.length} queued)` : null);
+
+  console.log(`${indent}Searching quadtree grid ("${source.keyword}", ${source.size}x${source.size} cells, down to ${source.min_cell_m} m)...`);
+  if (coverage.cells > 0) {
+    console.log(`${indent}⏩ Resuming after ${coverage.cells} cells, ${queue.length} queued`);
+  }
+
+  while (queue.length > 0) {
+    const cell = queue[0];
+    const point = grid.cellSearchPoint(cell);
+    const counts = emptyCounts();
+    let found = 0;
+
+    await runItem(run, phase, counts, async () => {
+      const results = await nearbySearch(run, point, source, counts);
+      found = results.length;
+      await processResults(run, phase, settings, results, counts);
+    });
+    queue.shift();
+
+    const area = grid.cellArea(cell);
+    coverage.cells++;
+    coverage.by_depth[cell.depth] = (coverage.by_depth[cell.depth] || 0) + 1;
+    coverage.area_km2 += area;
+    if (found === 0) coverage.empty++;
+
+    if (found >= fullPage) {
+      if (grid.canSplit(cell, source.min_cell_m)) {
+        queue.push(...grid.cellsInCity(grid.splitCell(cell), run.cityData));
+        coverage.split++;
+        counts.grid_splits++;
+        // The quarters cover this cell again
+        coverage.area_km2 -= area;
+      } else {
+        coverage.truncated++;
+        coverage.truncated_km2 += area;
+        counts.grid_truncated++;
+      }
+    }
+    addCounts(totals, counts);
+
+    if (coverage.cells % 5 === 0) {
+      process.stdout.write(`${indent}Cell ${coverage.cells} (${queue.length} queued)... +${totals.saved} new\r`);
+    }
+    await completeItem(run, phase, counts, coverage.cells, label());
+    await places.pause(PAUSE_MS.gridPoint);
+  }
+
+  console.log(`\n${indent}Quadtree complete: ${formatCounts(phase, totals)}`);
+  printCoverage(coverage, source, indent);
+  run.gridState = null;
+}
+
+async function runPhase(run, phase) {
+  console.log(`\n${'─'.repeat(60)}`);
+  console.log(phase.title || `PHASE: ${phase.name.toUpperCase()}`);
+  if (phase.description) console.log(`   ${phase.description}`);
+  console.log(`${'─'.repeat(60)}\n`);
+
+  if (!run.phaseCounts[phase.name]) {
+    run.phaseCounts[phase.name] = emptyCounts();
+  }
+  const labelled = phase.sources.length > 1;
+
+  for (let i = run.position.source; i < phase.sources.length; i++) {
+    const source = phase.sources[i];
+    if (labelled) {
+      console.log(source.type === 'text' ? '   📝 Text Searches:\n' : '\n   📍 Grid Search (full city coverage):\n');
+    }
+    const indent = labelled ? '      ' : '   ';
+    if (source.type === 'text') {
+      await runTextSource(run, phase, source, indent);
+    } else if (source.grid === 'quadtree') {
+      await runQuadtreeSource(run, phase, source, indent);
+    } else {
+      await runGridSource(run, phase, source, indent);
+    }
+    run.position = { phase: run.position.phase, source: i + 1, item: 0 };
+  }
+}
+
+function summarize(run, status, stopReason = null) {
+  return {
+    runId: run.id,
+    status,
+    stopReason,
+    city: run.city,
+    preset: run.preset.name,
+    phases: run.phases
+      .filter(phase => run.phaseCounts[phase.name])
+      .map(phase => ({ name: phase.name, ...run.phaseCounts[phase.name] })),
+    savedByStatus: run.savedByStatus,
+    apiStats: run.apiStats,
+    budget: run.budget,
+  };
+}
+
+/**
+ * Hydrate one city with a preset.
+ * cityData: registry entry (lib/cities.js) - { lat, lng, country, bounds, polygon }
+ *
+ * options:
+ *   resume - hydration_runs row to continue from its checkpoint (preset and
+ *            phases must be the ones it was started with)
+ *   signal - AbortSignal; once aborted the run stops at the next checkpoint
+ *            and is recorded as interrupted
+ *   budget - { maxCost, monthlyLimit } in USD (see budget.js)
+ *
+ * Returns { runId, status: 'completed' | 'interrupted' | 'budget_exceeded',
+ *           stopReason, city, preset, phases: [{ name, saved, skipped, ... }],
+ *           savedByStatus, apiStats, budget }
+ */
+async function runHydration({
+  city,
+  cityData,
+  preset,
+  phases = preset.phases,
+  resume = null,
+  signal = null,
+  budget = {},
+}) {
+  const record = resume || await runs.createRun(city, preset, phases);
+  const counters = record.counters || {};
+
+  const run = {
+    id: record.id,
+    city,
+    cityData,
+    preset,
+    phases,
+    signal,
+    apiStats: createApiStats(counters.api_calls),
+    seenThisRun: new Set(),
+    savedByStatus: { ...counters.saved_by_status },
+    phaseCounts: {},
+    position: { phase: record.phase_index, source: record.source_index, item: record.item_index },
+    currentItem: record.current_item,
+    gridState: record.grid_state || null,
+  };
+  run.budget = await createBudget(run.apiStats, budget);
+  for (const [name, counts] of Object.entries(counters.phases || {})) {
+    run.phaseCounts[name] = { ...emptyCounts(), ...counts };
+  }
+
+  if (resume) {
+    await runs.markResumed(run.id);
+  }
+  if (preset.city_requests) {
+    await store.setCityRequestStatus(city, 'hydrating');
+  }
+
+  try {
+    while (run.position.phase < phases.length) {
+      await runPhase(run, phases[run.position.phase]);
+      run.position = { phase: run.position.phase + 1, source: 0, item: 0 };
+    }
+  } catch (error) {
+    if (error instanceof HydrationInterrupted) {
+      await runs.finishRun(run.id, 'interrupted');
+      return summarize(run, 'interrupted');
+    }
+    if (error instanceof BudgetExceeded) {
+      await runs.finishRun(run.id, 'budget_exceeded', error.reason);
+      return summarize(run, 'budget_exceeded', error.reason);
+    }
+    await run.budget.flush();
+    await runs.finishRun(run.id, 'failed', error.message);
+    throw error;
+  }
+
+  await store.updateCityStats(city, cityData, preset.city_source);
+
+  if (preset.city_requests) {
+    await store.setCityRequestStatus(city, 'approved');
+  }
+
+  await checkpoint(run);
+  await runs.finishRun(run.id, 'completed');
+  return summarize(run, 'completed');
+}
+
+function printSummary(summary) {
+  const { apiStats, savedByStatus } = summary;
+  const totalSaved = summary.phases.reduce((sum, phase) => sum + phase.saved, 0);
+  const skippedCount = summary.phases.reduce((sum, phase) => sum + totalSkipped(phase), 0);
+
+  const { budget } = summary;
+  const headings = {
+    completed: '🎉 HYDRATION COMPLETE',
+    interrupted: '⏸️  HYDRATION INTERRUPTED',
+    budget_exceeded: '💸 HYDRATION STOPPED (BUDGET)',
+  };
+
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`${headings[summary.status]}: ${summary.city.toUpperCase()} (preset: ${summary.preset}, run #${summary.runId})`);
+  console.log(`${'═'.repeat(60)}`);
+  if (summary.stopReason) {
+    console.log(`\n   ⚠️  Stopped: ${summary.stopReason}`);
+  }
+  console.log(`\n   📊 RESULTS:`);
+  console.log(`      ✅ Verified:    ${savedByStatus.verified || 0}`);
+  console.log(`      ⚠️  Unverified:  ${savedByStatus.unverified || 0}`);
+  if (savedByStatus.unknown) {
+    console.log(`      ❔ Unknown:     ${savedByStatus.unknown}`);
+  }
+  console.log(`      📝 Total saved: ${totalSaved}`);
+  console.log(`      ⏭️  Skipped:     ${skippedCount}`);
+
+  console.log(`\n   📋 BY PHASE:`);
+  for (const phase of summary.phases) {
+    console.log(`      ${phase.name.padEnd(14)} +${phase.saved} saved, ${phase.checked} checked, ${totalSkipped(phase)} skipped`);
+  }
+
+  const gridPhases = summary.phases.filter(phase => phase.grid_points > 0);
+  if (gridPhases.length > 0) {
+    console.log(`\n   🗺️  GRID COVERAGE:`);
+    for (const phase of gridPhases) {
+      const truncated = phase.grid_truncated > 0 ? `, ${phase.grid_truncated} still full at minimum size` : '';
+      console.log(`      ${phase.name.padEnd(14)} ${phase.grid_points} points, ${phase.grid_results} results, ${phase.grid_splits} cells split${truncated}`);
+    }
+  }
+
+  console.log(`\n   💰 API COSTS:`);
+  console.log(`      Text Searches:   ${apiStats.calls.textsearch} calls = $${apiStats.cost('textsearch').toFixed(2)}`);
+  console.log(`      Nearby Searches: ${apiStats.calls.nearbysearch} calls = $${apiStats.cost('nearbysearch').toFixed(2)}`);
+  console.log(`      Place Details:   ${apiStats.calls.details} calls = $${apiStats.detailsCost.toFixed(2)}`);
+  console.log(`      ─────────────────────────────────────`);
+  console.log(`      TOTAL:           $${apiStats.totalCost.toFixed(2)}`);
+  if (budget.maxCost !== null) {
+    console.log(`      Run budget:      $${budget.maxCost.toFixed(2)}`);
+  }
+  if (budget.monthlyLimit !== null) {
+    console.log(`      This month:      $${budget.monthlySpent.toFixed(2)} of $${budget.monthlyLimit.toFixed(2)} (${budget.month.month}, all runs)`);
+  }
+
+  if (summary.status === 'interrupted') {
+    console.log(`\n   ⏩ Continue with: node jobs/hydrate.js "${summary.city}" --resume`);
+  } else if (summary.status === 'budget_exceeded') {
+    console.log(`\n   ⏩ Continue with a bigger budget (or next month): node jobs/hydrate.js "${summary.city}" --resume`);
+  }
+
+  console.log(`\n${'═'.repeat(60)}\n`);
+}
+
+module.exports = {
+  classify,
+  runHydration,
+  printSummary,
+};
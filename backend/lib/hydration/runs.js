@@ -0,0 +1,77 @@
+// hydration_runs rows: one per run, checkpointed as it goes (see pipeline.js)
+
+const pool = require('../db');
+
+// Runs that --resume can pick up. 'running' covers a process that was
+// killed without getting to record anything else.
+const RESUMABLE_STATUSES = ['running', 'interrupted', 'failed', 'budget_exceeded'];
+
+async function createRun(city, preset, phases) {
+  const result = await pool.query(`
+    INSERT INTO hydration_runs (city, preset, preset_file, phases, phase)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [city, preset.name, preset.file, phases.map(phase => phase.name), phases[0].name]);
+  return result.rows[0];
+}
+
+// Latest unfinished run for a city, or null
+async function findResumableRun(city) {
+  const result = await pool.query(`
+    SELECT * FROM hydration_runs
+    WHERE LOWER(city) = LOWER($1) AND status = ANY($2)
+    ORDER BY updated_at DESC
+    LIMIT 1
+  `, [city, RESUMABLE_STATUSES]);
+  return result.rows[0] || null;
+}
+
+async function markResumed(id) {
+  await pool.query(`
+    UPDATE hydration_runs
+    SET status = 'running', error = NULL, resume_count = resume_count + 1, updated_at = NOW()
+    WHERE id = $1
+  `, [id]);
+}
+
+/**
+ * Record where the run is and its counters.
+ * checkpoint: { position: { phase, source, item }, phase, currentItem, gridState, counters }
+ */
+async function saveCheckpoint(id, checkpoint, status = 'running') {
+  const { position } = checkpoint;
+  await pool.query(`
+    UPDATE hydration_runs
+    SET phase_index = $2, source_index = $3, item_index = $4,
+        phase = $5, current_item = $6, counters = $7, status = $8, grid_state = $9, updated_at = NOW()
+    WHERE id = $1
+  `, [
+    id,
+    position.phase,
+    position.source,
+    position.item,
+    checkpoint.phase,
+    checkpoint.currentItem,
+    JSON.stringify(checkpoint.counters),
+    status,
+    checkpoint.gridState ? JSON.stringify(checkpoint.gridState) : null
+  ]);
+}
+
+async function finishRun(id, status, error = null) {
+  await pool.query(`
+    UPDATE hydration_runs
+    SET status = $2, error = $3, updated_at = NOW(),
+        finished_at = CASE WHEN $4 THEN NOW() ELSE finished_at END
+    WHERE id = $1
+  `, [id, status, error, status === 'completed']);
+}
+
+module.exports = {
+  RESUMABLE_STATUSES,
+  createRun,
+  findResumableRun,
+  markResumed,
+  saveCheckpoint,
+  finishRun,
+};
@@ -0,0 +1,31 @@
+// Places API call counters and cost (USD per call, Google list prices)
+
+const PRICES = {
+  textsearch: 0.032,
+  nearbysearch: 0.032,
+  details: 0.017,
+};
+
+// calls: counts to start from (a resumed run)
+function createApiStats(calls = {}) {
+  return {
+    calls: { textsearch: 0, nearbysearch: 0, details: 0, ...calls },
+
+    record(operation) {
+      this.calls[operation]++;
+    },
+
+    cost(operation) {
+      return this.calls[operation] * PRICES[operation];
+    },
+
+    get searchCost() { return this.cost('textsearch') + this.cost('nearbysearch'); },
+    get detailsCost() { return this.cost('details'); },
+    get totalCost() { return this.searchCost + this.detailsCost; }
+  };
+}
+
+module.exports = {
+  PRICES,
+  createApiStats,
+};
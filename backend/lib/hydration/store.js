@@ -0,0 +1,114 @@
+// Database writes for hydration runs
+
+const pool = require('../db');
+const { detectCuisine } = require('../cuisine');
+const { fromGoogleStatus } = require('../closures');
+const { parseOpeningHours, saveHours } = require('../opening-hours');
+const { savePhotos } = require('../photos');
+const { rescoreRestaurant } = require('../scoring');
+
+async function isPlaceSeen(placeId) {
+  const result = await pool.query('SELECT 1 FROM seen_places WHERE place_id = $1', [placeId]);
+  return result.rows.length > 0;
+}
+
+async function markPlaceSeen(placeId, city, name, isHalal) {
+  await pool.query(
+    `INSERT INTO seen_places (place_id, city, name, is_halal, checked_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (place_id) DO UPDATE SET checked_at = NOW()`,
+    [placeId, city, name, isHalal]
+  );
+}
+
+/**
+ * Save a place (Place Details result, or a search result when the preset
+ * skips details) with its Google metadata.
+ * Returns false when the place_id is already in the database.
+ */
+async function saveRestaurant(place, city, { halalStatus, confidence, discoveredVia, keywordFlags }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT 1 FROM google_metadata WHERE place_id = $1', [place.place_id]);
+    if (existing.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    const result = await client.query(
+      `INSERT INTO restaurants (name, address, city, lat, lng, cuisine, halal_status, halal_confidence_score, source_status, source_confidence, source, discovered_via, business_status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $7, $8, 'google', $9, $10)
+       RETURNING id`,
+      [
+        place.name,
+        place.formatted_address || place.vicinity || null,
+        city,
+        place.geometry?.location?.lat ?? null,
+        place.geometry?.location?.lng ?? null,
+        detectCuisine(place.name),
+        halalStatus,
+        confidence,
+        discoveredVia,
+        fromGoogleStatus(place.business_status) || 'operational'
+      ]
+    );
+
+    await client.query(
+      `INSERT INTO google_metadata (restaurant_id, place_id, rating, review_count, keyword_flags, phone, website, hours, business_status, last_verified_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())`,
+      [
+        result.rows[0].id,
+        place.place_id,
+        place.rating || null,
+        place.user_ratings_total || 0,
+        keywordFlags.length > 0 ? keywordFlags : null,
+        place.formatted_phone_number || null,
+        place.website || null,
+        place.opening_hours?.weekday_text || null,
+        place.business_status || null
+      ]
+    );
+    await saveHours(client, result.rows[0].id, parseOpeningHours(place.opening_hours));
+    await savePhotos(client, result.rows[0].id, place.photos);
+    await rescoreRestaurant(client, result.rows[0].id);
+
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function setCityRequestStatus(city, status) {
+  await pool.query(
+    `UPDATE city_requests
+     SET status = $2, approved_at = CASE WHEN $3 THEN NOW() ELSE approved_at END
+     WHERE LOWER(city) = LOWER($1)`,
+    [city, status, status === 'approved']
+  );
+}
+
+// Mark the city hydrated with its current restaurant count
+async function updateCityStats(city, cityData, source) {
+  await pool.query(
+    `INSERT INTO cities (city, country, lat, lng, hydrated_at, restaurant_count, source)
+     VALUES ($1, $2, $3, $4, NOW(), (SELECT COUNT(*) FROM restaurants WHERE LOWER(city) = LOWER($6)), $5)
+     ON CONFLICT (city) DO UPDATE SET
+       hydrated_at = NOW(),
+       restaurant_count = EXCLUDED.restaurant_count`,
+    [city, cityData.country, cityData.lat, cityData.lng, source, city]
+  );
+}
+
+module.exports = {
+  isPlaceSeen,
+  markPlaceSeen,
+  saveRestaurant,
+  setCityRequestStatus,
+  updateCityStats,
+};
@@ -0,0 +1,250 @@
+/**
+ * OPENING HOURS
+ *
+ * Google gives hours two ways: opening_hours.periods (structured, in Place
+ * Details) and weekday_text ("Friday: 11:00 AM – 3:00 AM"), which is all
+ * google_metadata.hours has kept. Both are turned into periods:
+ *
+ *   { day, open_minute, close_minute }
+ *
+ * day is the day it opens (0 = Sunday, as Google and Postgres' DOW), and
+ * the minutes count from midnight of that day in the restaurant's local
+ * time - close_minute > 1440 means it closes after midnight. Periods are
+ * stored in opening_hours; "open at" checks happen in SQL against the time
+ * zone of the restaurant's city (cities.timezone).
+ */
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTES_PER_DAY = 1440;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+// ============================================
+// PARSING
+// ============================================
+
+// "11:00 AM" / "5:00" / "23:30" -> { minutes, meridiem } or null
+function parseClock(text) {
+  const match = text.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*([AP]M)?$/i);
+  if (!match) return null;
+  const hours = parseInt(match[1]);
+  const minutes = match[2] ? parseInt(match[2]) : 0;
+  if (hours > 24 || minutes > 59) return null;
+  return { hours, minutes, meridiem: match[3] ? match[3].toUpperCase() : null };
+}
+
+function toMinutes({ hours, minutes }, meridiem) {
+  let h = hours;
+  if (meridiem === 'AM' && h === 12) h = 0;
+  if (meridiem === 'PM' && h !== 12) h += 12;
+  return h * 60 + minutes;
+}
+
+// "11:00 AM – 3:00 AM" -> [open, close] minutes, close past 1440 when overnight
+function parseRange(text) {
+  const [openText, closeText, extra] = text.split(/\s*[–—-]\s*/);
+  if (!closeText || extra !== undefined) return null;
+  const open = parseClock(openText);
+  const close = parseClock(closeText);
+  if (!open || !close) return null;
+
+  // "5:00 – 10:00 PM": the opening time shares the closing meridiem
+  const openMinutes = toMinutes(open, open.meridiem || close.meridiem);
+  let closeMinutes = toMinutes(close, close.meridiem);
+  if (closeMinutes <= openMinutes) closeMinutes += MINUTES_PER_DAY;
+  return [openMinutes, closeMinutes];
+}
+
+/**
+ * Periods from Google's weekday_text lines. Lines that can't be read are
+ * skipped; returns null if none could be.
+ */
+function parseWeekdayText(lines) {
+  if (!Array.isArray(lines)) return null;
+  const periods = [];
+  let understood = 0;
+
+  for (const rawLine of lines) {
+    // Newer responses use narrow / thin no-break spaces around times
+    const line = String(rawLine).replace(/[\u00a0\u2009\u202f]/g, ' ');
+    const match = line.match(/^\s*(\w+)\s*:\s*(.+?)\s*$/);
+    const day = match ? DAYS.indexOf(match[1].toLowerCase()) : -1;
+    if (day === -1) continue;
+
+    const body = match[2];
+    if (/^closed$/i.test(body)) {
+      understood++;
+      continue;
+    }
+    if (/^open 24 hours$/i.test(body)) {
+      periods.push({ day, open_minute: 0, close_minute: MINUTES_PER_DAY });
+      understood++;
+      continue;
+    }
+
+    const ranges = body.split(/\s*,\s*/).map(parseRange);
+    if (ranges.some(range => !range)) continue;
+    for (const [open, close] of ranges) {
+      periods.push({ day, open_minute: open, close_minute: close });
+    }
+    understood++;
+  }
+
+  return understood > 0 ? periods : null;
+}
+
+// "1730" -> 1050
+const hhmm = (time) => parseInt(time.slice(0, 2)) * 60 + parseInt(time.slice(2, 4));
+
+// Periods from Place Details opening_hours.periods (null if absent)
+function parseGooglePeriods(googlePeriods) {
+  if (!Array.isArray(googlePeriods) || googlePeriods.length === 0) return null;
+
+  // Open 24/7: a single period with no close
+  if (googlePeriods.length === 1 && !googlePeriods[0].close) {
+    return DAYS.map((_, day) => ({ day, open_minute: 0, close_minute: MINUTES_PER_DAY }));
+  }
+
+  const periods = [];
+  for (const { open, close } of googlePeriods) {
+    if (!open || !close || !open.time || !close.time) continue;
+    const openMinute = hhmm(open.time);
+    let closeMinute = ((close.day - open.day + 7) % 7) * MINUTES_PER_DAY + hhmm(close.time);
+    if (closeMinute <= openMinute) closeMinute += MINUTES_PER_WEEK;
+    periods.push({ day: open.day, open_minute: openMinute, close_minute: closeMinute });
+  }
+  return periods.length > 0 ? periods : null;
+}
+
+// Periods from a Place Details opening_hours object, preferring the structured form
+function parseOpeningHours(openingHours) {
+  if (!openingHours) return null;
+  return parseGooglePeriods(openingHours.periods) || parseWeekdayText(openingHours.weekday_text);
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+// Replace a restaurant's periods (null = hours unknown, store nothing)
+async function saveHours(client, restaurantId, periods) {
+  await client.query('DELETE FROM opening_hours WHERE restaurant_id = $1', [restaurantId]);
+  for (const period of periods || []) {
+    await client.query(
+      `INSERT INTO opening_hours (restaurant_id, day, open_minute, close_minute)
+       VALUES ($1, $2, $3, $4)`,
+      [restaurantId, period.day, period.open_minute, period.close_minute]
+    );
+  }
+}
+
+async function getHours(client, restaurantId) {
+  const result = await client.query(
+    `SELECT day, open_minute, close_minute
+     FROM opening_hours
+     WHERE restaurant_id = $1
+     ORDER BY day, open_minute`,
+    [restaurantId]
+  );
+  return result.rows;
+}
+
+// ============================================
+// QUERYING
+// ============================================
+
+// 1050 -> "17:30" (wraps past midnight)
+function formatMinute(minute) {
+  const m = minute % MINUTES_PER_DAY;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+// API shape: { day: 'friday', opens: '11:00', closes: '03:00', overnight: true }
+function formatPeriod(period) {
+  return {
+    day: DAYS[period.day],
+    opens: formatMinute(period.open_minute),
+    closes: period.close_minute === MINUTES_PER_DAY ? '24:00' : formatMinute(period.close_minute),
+    overnight: period.close_minute > MINUTES_PER_DAY,
+  };
+}
+
+/**
+ * SQL condition: restaurant `restaurantId` (SQL expression) has a period
+ * covering the local time `localTimestamp` (SQL timestamp expression).
+ * Periods that run past Saturday midnight are matched against next week.
+ * Never true when the time is unknown, e.g. the city has no time zone.
+ */
+function openAtSql(restaurantId, localTimestamp) {
+  // Minute of the week, 0 = Sunday 00:00
+  const minute = `EXTRACT(DOW FROM local_time.ts)::int * ${MINUTES_PER_DAY}
+            + EXTRACT(HOUR FROM local_time.ts)::int * 60 + EXTRACT(MINUTE FROM local_time.ts)::int`;
+  const start = `oh.day * ${MINUTES_PER_DAY} + oh.open_minute`;
+  const end = `oh.day * ${MINUTES_PER_DAY} + oh.close_minute`;
+  return `EXISTS (
+          SELECT 1
+          FROM (SELECT ${minute} AS minute FROM (SELECT ${localTimestamp} AS ts) local_time) week
+          JOIN opening_hours oh ON oh.restaurant_id = ${restaurantId}
+          WHERE (${start} <= week.minute AND week.minute < ${end})
+             OR (${start} <= week.minute + ${MINUTES_PER_WEEK} AND week.minute + ${MINUTES_PER_WEEK} < ${end})
+        )`;
+}
+
+/**
+ * Parse an open_at query value:
+ *   "19:45"              next time it's 19:45 in the restaurant's city (today or tomorrow)
+ *   "2027-02-20T19:45"   that local date and time in the restaurant's city
+ *   "2027-02-20T19:45Z"  that instant (also with an offset, e.g. +05:00)
+ * Returns { kind: 'time' | 'local' | 'instant', value } or null.
+ */
+function parseOpenAt(value) {
+  const text = String(value).trim();
+
+  if (/^\d{1,2}:\d{2}$/.test(text)) {
+    const [hours, minutes] = text.split(':').map(Number);
+    if (hours > 23 || minutes > 59) return null;
+    return { kind: 'time', value: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}` };
+  }
+
+  const match = text.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(?::\d{2})?(Z|[+-]\d{2}:?\d{2})?$/);
+  if (!match) return null;
+  // Date accepts impossible dates like 2027-02-30 (rolling them over); Postgres doesn't
+  const local = new Date(`${match[1]}T${match[2]}Z`);
+  if (isNaN(local) || local.toISOString().slice(0, 16) !== `${match[1]}T${match[2]}`) return null;
+  if (match[3]) {
+    const instant = new Date(text.replace(' ', 'T'));
+    return isNaN(instant) ? null : { kind: 'instant', value: instant.toISOString() };
+  }
+  return { kind: 'local', value: `${match[1]} ${match[2]}` };
+}
+
+/**
+ * Local timestamp SQL for an open_at (from parseOpenAt) or now (null), in
+ * the zone given by the `timezone` SQL expression. param() adds a query value.
+ */
+function localTimeSql(openAt, timezone, param) {
+  const localNow = `(NOW() AT TIME ZONE ${timezone})`;
+  if (!openAt) return localNow;
+
+  if (openAt.kind === 'instant') {
+    return `(${param(openAt.value)}::timestamptz AT TIME ZONE ${timezone})`;
+  }
+  if (openAt.kind === 'local') {
+    return `${param(openAt.value)}::timestamp`;
+  }
+  const time = param(openAt.value);
+  return `(${localNow}::date + ${time}::time
+          + CASE WHEN ${time}::time < ${localNow}::time THEN INTERVAL '1 day' ELSE INTERVAL '0' END)`;
+}
+
+module.exports = {
+  DAYS,
+  parseWeekdayText,
+  parseGooglePeriods,
+  parseOpeningHours,
+  saveHours,
+  getHours,
+  formatPeriod,
+  openAtSql,
+  parseOpenAt,
+  localTimeSql,
+};
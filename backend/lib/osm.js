@@ -0,0 +1,157 @@
+/**
+ * OPENSTREETMAP
+ *
+ * Halal restaurants from OSM: elements tagged diet:halal=yes|only, either
+ * fetched live from the Overpass API or read from a local extract.
+ *
+ * Supported inputs (both normalized to the same element shape):
+ * - Overpass JSON ({ elements: [...] }, with "out center" for ways)
+ * - GeoJSON FeatureCollection, e.g. from a .osm.pbf extract via
+ *   `osmium tags-filter` + `osmium export -f geojson`
+ */
+
+const { detectCuisine } = require('./cuisine');
+
+const OVERPASS_URL = process.env.OVERPASS_URL || 'https://overpass-api.de/api/interpreter';
+
+const FOOD_AMENITIES = ['restaurant', 'fast_food', 'cafe', 'food_court'];
+const HALAL_VALUES = ['yes', 'only'];
+
+// diet:halal=only -> everything is halal; yes -> halal options available
+const STATUS_BY_DIET = {
+  only: { halalStatus: 'verified', confidence: 85 },
+  yes: { halalStatus: 'unverified', confidence: 70 },
+};
+
+// Overpass QL for halal food places inside { south, west, north, east }
+function buildOverpassQuery(bounds) {
+  const bbox = [bounds.south, bounds.west, bounds.north, bounds.east].join(',');
+  return `[out:json][timeout:120];
+nwr["amenity"~"^(${FOOD_AMENITIES.join('|')})$"]["diet:halal"~"^(${HALAL_VALUES.join('|')})$"](${bbox});
+out center tags;`;
+}
+
+async function fetchOverpass(bounds) {
+  const response = await fetch(OVERPASS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ data: buildOverpassQuery(bounds) }).toString(),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Overpass request failed: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+// GeoJSON feature -> Overpass-style element
+function featureToElement(feature) {
+  const props = feature.properties || {};
+  const tags = props.tags || props;
+
+  // "node/123" (osmtogeojson), or @type/@id, or osmium's "n123" / "w123"
+  let type = props.type || props['@type'];
+  let id = props.id || props['@id'];
+  const ref = String(feature.id || id || '');
+  const match = ref.match(/^(node|way|relation)\/(\d+)$/) || ref.match(/^([nwr])(\d+)$/);
+  if (match) {
+    type = { n: 'node', w: 'way', r: 'relation' }[match[1]] || match[1];
+    id = match[2];
+  }
+
+  let lat = null;
+  let lng = null;
+  const geometry = feature.geometry || {};
+  if (geometry.type === 'Point') {
+    [lng, lat] = geometry.coordinates;
+  } else if (geometry.coordinates) {
+    // Polygons: centroid of the outer ring's vertices is close enough
+    const ring = geometry.type === 'Polygon' ? geometry.coordinates[0]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates[0][0]
+      : geometry.coordinates;
+    lng = ring.reduce((sum, point) => sum + point[0], 0) / ring.length;
+    lat = ring.reduce((sum, point) => sum + point[1], 0) / ring.length;
+  }
+
+  return { type, id: Number(id), lat, lon: lng, tags };
+}
+
+// Overpass JSON or GeoJSON -> [{ type, id, lat, lon, tags }]
+function parseElements(data) {
+  if (Array.isArray(data.elements)) {
+    return data.elements.map(element => ({
+      type: element.type,
+      id: element.id,
+      lat: element.lat ?? element.center?.lat ?? null,
+      lon: element.lon ?? element.center?.lon ?? null,
+      tags: element.tags || {},
+    }));
+  }
+  if (Array.isArray(data.features)) {
+    return data.features.map(featureToElement);
+  }
+  throw new Error('Unrecognized OSM data - expected Overpass JSON or a GeoJSON FeatureCollection');
+}
+
+function formatAddress(tags) {
+  const street = [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+  const parts = [street, tags['addr:city'], tags['addr:postcode']].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+// "pakistani;indian" -> "Pakistani"
+function formatCuisine(value, name) {
+  const first = (value || '').split(';')[0].trim();
+  if (!first) return detectCuisine(name);
+  return first
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Map an element to restaurant columns + OSM metadata.
+ * Returns { skip: reason } for elements that can't be imported.
+ */
+function toRestaurant(element, city) {
+  const tags = element.tags || {};
+  const dietHalal = tags['diet:halal'];
+
+  if (!['node', 'way', 'relation'].includes(element.type) || !Number.isFinite(element.id)) {
+    return { skip: 'no OSM id' };
+  }
+  if (!tags.name) return { skip: 'unnamed' };
+  if (!STATUS_BY_DIET[dietHalal]) return { skip: `diet:halal=${dietHalal || 'missing'}` };
+  if (element.lat === null || element.lon === null) return { skip: 'no coordinates' };
+
+  const { halalStatus, confidence } = STATUS_BY_DIET[dietHalal];
+
+  return {
+    restaurant: {
+      name: tags.name,
+      address: formatAddress(tags),
+      city,
+      lat: element.lat,
+      lng: element.lon,
+      cuisine: formatCuisine(tags.cuisine, tags.name),
+      halal_status: halalStatus,
+      halal_confidence_score: confidence,
+      source: 'osm',
+      discovered_via: 'osm',
+    },
+    osm: {
+      osm_type: element.type,
+      osm_id: element.id,
+      diet_halal: dietHalal,
+      tags,
+    },
+  };
+}
+
+module.exports = {
+  OVERPASS_URL,
+  buildOverpassQuery,
+  fetchOverpass,
+  parseElements,
+  toRestaurant,
+};
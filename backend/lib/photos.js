@@ -0,0 +1,165 @@
+/**
+ * RESTAURANT PHOTOS
+ *
+ * Google photo URLs carry GOOGLE_API_KEY, so they're never stored or sent to
+ * clients. restaurants.photo_references keeps up to MAX_PHOTOS Google photo
+ * references, and image / image_url_2 / image_url_3 point at our proxy:
+ *
+ *   GET /api/photos/:restaurantId/:index?w=400
+ *
+ * which fetches the photo from Places at one of WIDTHS (Google does the
+ * resizing) and caches it on disk in PHOTO_CACHE_DIR.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const pool = require('./db');
+const places = require('./places');
+const { badRequest, notFound, upstreamError } = require('./errors');
+
+const MAX_PHOTOS = 3;
+const IMAGE_COLUMNS = ['image', 'image_url_2', 'image_url_3'];
+
+// Sizes we fetch and cache; a requested width is rounded up to one of them
+const WIDTHS = [200, 400, 800, 1600];
+const DEFAULT_WIDTH = 400;
+
+const CACHE_DIR = process.env.PHOTO_CACHE_DIR || path.join(os.tmpdir(), 'halalcrave-photos');
+const CACHE_MAX_AGE_DAYS = 30;
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif' };
+const CONTENT_TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([type, ext]) => [ext, type]));
+
+// Photo references from a Places result's photos (at most MAX_PHOTOS)
+function photoReferences(photos) {
+  return (photos || [])
+    .map(photo => photo.photo_reference)
+    .filter(Boolean)
+    .slice(0, MAX_PHOTOS);
+}
+
+// Proxy path for a restaurant's nth photo
+function photoPath(restaurantId, index) {
+  return `/api/photos/${restaurantId}/${index}`;
+}
+
+/**
+ * Store a restaurant's photo references (from a Places result's photos) and
+ * point image / image_url_2 / image_url_3 at the proxy. Leaves the row
+ * alone when Google returned no photos.
+ */
+async function savePhotos(client, restaurantId, photos) {
+  const references = photoReferences(photos);
+  if (references.length === 0) return;
+
+  const paths = IMAGE_COLUMNS.map((_, index) => (index < references.length ? photoPath(restaurantId, index) : null));
+  await client.query(
+    `UPDATE restaurants
+     SET photo_references = $2, image = $3, image_url_2 = $4, image_url_3 = $5
+     WHERE id = $1`,
+    [restaurantId, references, ...paths]
+  );
+}
+
+// Smallest cached width that is at least the requested one
+function parseWidth(value) {
+  if (value === undefined) return DEFAULT_WIDTH;
+  const width = Number(value);
+  if (!Number.isInteger(width) || width < 1) {
+    throw badRequest('w must be a positive integer');
+  }
+  return WIDTHS.find(size => size >= width) || WIDTHS[WIDTHS.length - 1];
+}
+
+// Cache file stem: keyed by the reference, so a refreshed photo is a new file
+function cacheStem(reference, width) {
+  const hash = crypto.createHash('sha1').update(reference).digest('hex');
+  return path.join(CACHE_DIR, hash.slice(0, 2), `${hash}-${width}`);
+}
+
+function readCache(stem) {
+  for (const [ext, contentType] of Object.entries(CONTENT_TYPES)) {
+    const file = `${stem}.${ext}`;
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (error) {
+      continue;
+    }
+    if (Date.now() - stat.mtimeMs > CACHE_MAX_AGE_DAYS * 86400000) return null;
+    return { contentType, data: fs.readFileSync(file) };
+  }
+  return null;
+}
+
+function writeCache(stem, photo) {
+  const ext = EXTENSIONS[photo.contentType.split(';')[0].trim()] || 'jpg';
+  fs.mkdirSync(path.dirname(stem), { recursive: true });
+  // Write then rename, so a concurrent reader never sees half a file
+  const temp = `${stem}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, photo.data);
+  fs.renameSync(temp, `${stem}.${ext}`);
+}
+
+// Fetches in flight, so simultaneous requests for an uncached photo share one call
+const inFlight = new Map();
+
+/**
+ * A restaurant's nth photo at (about) width pixels - from the disk cache,
+ * or fetched from Places and cached.
+ * Returns { contentType, data, cached }.
+ */
+async function getPhoto(restaurantId, index, { width = DEFAULT_WIDTH } = {}) {
+  const photoIndex = Number(index);
+  if (!Number.isInteger(photoIndex) || photoIndex < 0 || photoIndex >= MAX_PHOTOS) {
+    throw badRequest(`index must be between 0 and ${MAX_PHOTOS - 1}`);
+  }
+
+  const result = await pool.query('SELECT photo_references FROM restaurants WHERE id = $1', [restaurantId]);
+  const reference = result.rows[0]?.photo_references?.[photoIndex];
+  if (!reference) {
+    throw notFound('Photo not found');
+  }
+
+  const stem = cacheStem(reference, width);
+  const cached = readCache(stem);
+  if (cached) return { ...cached, cached: true };
+
+  if (!inFlight.has(stem)) {
+    const fetchPhoto = places.photo(reference, { maxWidth: width })
+      .then(photo => {
+        if (photo) {
+          try {
+            writeCache(stem, photo);
+          } catch (error) {
+            console.error('Error caching photo:', error);
+          }
+        }
+        return photo;
+      })
+      .finally(() => inFlight.delete(stem));
+    inFlight.set(stem, fetchPhoto);
+  }
+
+  let photo;
+  try {
+    photo = await inFlight.get(stem);
+  } catch (error) {
+    throw upstreamError(`Places photo failed: ${error.message}`);
+  }
+  if (!photo) {
+    throw upstreamError('Places photo unavailable');
+  }
+  return { ...photo, cached: false };
+}
+
+module.exports = {
+  MAX_PHOTOS,
+  WIDTHS,
+  photoReferences,
+  savePhotos,
+  parseWidth,
+  getPhoto,
+};
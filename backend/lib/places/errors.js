@@ -0,0 +1,11 @@
+// A failed places lookup - an error status from the API, or an HTTP error
+
+class PlacesError extends Error {
+  constructor(operation, status, message) {
+    super(`${operation} failed: ${status}${message ? ` - ${message}` : ''}`);
+    this.name = 'PlacesError';
+    this.status = status;
+  }
+}
+
+module.exports = { PlacesError };
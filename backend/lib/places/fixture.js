@@ -0,0 +1,101 @@
+// Fixture places provider - replays recorded JSON instead of calling Google.
+// No API key, no cost; used for tests and local development.
+//
+// Responses live in PLACES_FIXTURES_DIR (default: fixtures/places), one file
+// per request: <operation>/<key>.json, where the key is built from the
+// request params (see fixtureKey). When there's no exact match,
+// <operation>/_default.json is used, so a handful of hand-written files is
+// enough to run hydration end-to-end. Photos are <ref>.jpg / _default.jpg
+// under photo/.
+//
+// Record real responses with PLACES_PROVIDER=google PLACES_RECORD=1.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FIXTURES_DIR = process.env.PLACES_FIXTURES_DIR || path.join(__dirname, '../../fixtures/places');
+
+// Params that don't change which place(s) come back
+const IGNORED_PARAMS = ['fields', 'maxwidth'];
+const MAX_KEY_LENGTH = 100;
+
+const EMPTY_RESPONSES = {
+  details: { status: 'NOT_FOUND' },
+  geocode: { status: 'ZERO_RESULTS', results: [] },
+};
+
+// File-name-safe key for a request, e.g.
+// textsearch { query: 'halal food in Calgary', type: 'restaurant' }
+//   -> "halal-food-in-Calgary_restaurant"
+function fixtureKey(params) {
+  const key = Object.keys(params)
+    .filter(name => !IGNORED_PARAMS.includes(name))
+    .sort()
+    .map(name => String(params[name]).replace(/[^A-Za-z0-9.-]+/g, '-'))
+    .join('_');
+
+  if (key.length <= MAX_KEY_LENGTH) return key;
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 10);
+  return `${key.slice(0, MAX_KEY_LENGTH - 11)}-${hash}`;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function isConfigured() {
+  return fs.existsSync(FIXTURES_DIR);
+}
+
+async function request(operation, params) {
+  const candidates = [
+    path.join(FIXTURES_DIR, operation, `${fixtureKey(params)}.json`),
+    path.join(FIXTURES_DIR, operation, '_default.json'),
+  ];
+
+  const file = candidates.find(candidate => fs.existsSync(candidate));
+  if (!file) {
+    return EMPTY_RESPONSES[operation] || { status: 'ZERO_RESULTS', results: [] };
+  }
+  return readJson(file);
+}
+
+async function photo(photoReference) {
+  const candidates = [
+    path.join(FIXTURES_DIR, 'photo', `${fixtureKey({ photoreference: photoReference })}.jpg`),
+    path.join(FIXTURES_DIR, 'photo', '_default.jpg'),
+  ];
+
+  const file = candidates.find(candidate => fs.existsSync(candidate));
+  if (!file) return null;
+  return { contentType: 'image/jpeg', data: fs.readFileSync(file) };
+}
+
+// Nothing to rate limit
+async function pause() {}
+
+// Save a real response so it can be replayed later
+function record(operation, params, data) {
+  const dir = path.join(FIXTURES_DIR, operation);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${fixtureKey(params)}.json`), JSON.stringify(data, null, 2) + '\n');
+}
+
+function recordPhoto(photoReference, photoData) {
+  const dir = path.join(FIXTURES_DIR, 'photo');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${fixtureKey({ photoreference: photoReference })}.jpg`), photoData.data);
+}
+
+module.exports = {
+  name: 'fixture',
+  FIXTURES_DIR,
+  fixtureKey,
+  isConfigured,
+  request,
+  photo,
+  pause,
+  record,
+  recordPhoto,
+};
@@ -0,0 +1,53 @@
+// Google Places API (legacy web service) provider
+
+const { PlacesError } = require('./errors');
+
+const BASE_URL = 'https://maps.googleapis.com/maps/api/place';
+const GEOCODE_URL = 'https://maps.googleapis.com/maps/api/geocode/json';
+
+function apiKey() {
+  return process.env.GOOGLE_API_KEY;
+}
+
+function isConfigured() {
+  return Boolean(apiKey());
+}
+
+function toQueryString(params) {
+  return new URLSearchParams({ ...params, key: apiKey() }).toString();
+}
+
+// Raw JSON response for an operation: textsearch, nearbysearch, details
+// or geocode (Geocoding API)
+async function request(operation, params) {
+  const url = operation === 'geocode' ? GEOCODE_URL : `${BASE_URL}/${operation}/json`;
+  const response = await fetch(`${url}?${toQueryString(params)}`);
+  // A 5xx / proxy error page isn't JSON
+  if (!response.ok) {
+    throw new PlacesError(operation, response.status, response.statusText);
+  }
+  return response.json();
+}
+
+// Photo bytes - { contentType, data } or null
+async function photo(photoReference, { maxWidth = 400 } = {}) {
+  const params = { photoreference: photoReference, maxwidth: maxWidth };
+  const response = await fetch(`${BASE_URL}/photo?${toQueryString(params)}`);
+  if (!response.ok) return null;
+
+  return {
+    contentType: response.headers.get('content-type') || 'image/jpeg',
+    data: Buffer.from(await response.arrayBuffer()),
+  };
+}
+
+// Real API calls need pacing (rate limits, next_page_token warm-up)
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+  name: 'google',
+  isConfigured,
+  request,
+  photo,
+  pause,
+};
@@ -0,0 +1,110 @@
+/**
+ * PLACES PROVIDER
+ *
+ * One interface for place lookups, whatever is behind it:
+ *   PLACES_PROVIDER=google   (default) Google Places API, needs GOOGLE_API_KEY
+ *   PLACES_PROVIDER=fixture  replays recorded JSON from fixtures/places -
+ *                            no API key, no cost (tests / local dev)
+ *
+ * With PLACES_RECORD=1 the Google provider also saves every response as a
+ * fixture, so a real run can be replayed later.
+ *
+ * Results keep Google's response shape (place_id, geometry.location, ...)
+ * whichever provider is used.
+ */
+
+const google = require('./google');
+const fixture = require('./fixture');
+const { PlacesError } = require('./errors');
+
+const PROVIDERS = { google, fixture };
+
+const DETAILS_FIELDS = 'place_id,name,formatted_address,geometry,rating,user_ratings_total,photos,formatted_phone_number,website,opening_hours,business_status';
+
+// Statuses that just mean "nothing found"
+const OK_STATUSES = ['OK', 'ZERO_RESULTS', 'NOT_FOUND'];
+
+const providerName = process.env.PLACES_PROVIDER || 'google';
+const provider = PROVIDERS[providerName];
+
+if (!provider) {
+  throw new Error(`Unknown PLACES_PROVIDER "${providerName}" (expected: ${Object.keys(PROVIDERS).join(', ')})`);
+}
+
+const recording = process.env.PLACES_RECORD === '1' && provider !== fixture;
+
+async function request(operation, params) {
+  const data = await provider.request(operation, params);
+
+  if (data.status && !OK_STATUSES.includes(data.status)) {
+    throw new PlacesError(operation, data.status, data.error_message);
+  }
+  if (recording) {
+    fixture.record(operation, params, data);
+  }
+  return data;
+}
+
+// Text search - one page of results: { results, nextPageToken }
+async function textSearch(query, { pageToken = null, type = 'restaurant' } = {}) {
+  const params = pageToken ? { pagetoken: pageToken } : { query, type };
+  const data = await request('textsearch', params);
+  return { results: data.results || [], nextPageToken: data.next_page_token || null };
+}
+
+// Nearby search around a point - one page of results: { results, nextPageToken }
+async function nearbySearch({ lat, lng, radius = 5000, keyword = null, type = 'restaurant' }) {
+  const params = { location: `${lat},${lng}`, radius, type };
+  if (keyword) params.keyword = keyword;
+
+  const data = await request('nearbysearch', params);
+  return { results: data.results || [], nextPageToken: data.next_page_token || null };
+}
+
+// Place details (null if not found)
+async function details(placeId, fields = DETAILS_FIELDS) {
+  const data = await request('details', { place_id: placeId, fields });
+  return data.result || null;
+}
+
+// Geocode an address - returns { lat, lng, formatted_address, bounds } or null
+// (bounds: the result's bounds / viewport, e.g. the extent of a city)
+async function geocode(address) {
+  const data = await request('geocode', { address });
+  const match = (data.results || [])[0];
+  if (!match) return null;
+  const box = match.geometry.bounds || match.geometry.viewport;
+  return {
+    lat: match.geometry.location.lat,
+    lng: match.geometry.location.lng,
+    formatted_address: match.formatted_address,
+    bounds: box ? {
+      north: box.northeast.lat,
+      south: box.southwest.lat,
+      east: box.northeast.lng,
+      west: box.southwest.lng
+    } : null
+  };
+}
+
+// Photo bytes - { contentType, data } or null
+async function photo(photoReference, options = {}) {
+  const result = await provider.photo(photoReference, options);
+  if (recording && result) {
+    fixture.recordPhoto(photoReference, result);
+  }
+  return result;
+}
+
+module.exports = {
+  name: provider.name,
+  isConfigured: provider.isConfigured,
+  pause: provider.pause,
+  DETAILS_FIELDS,
+  PlacesError,
+  textSearch,
+  nearbySearch,
+  details,
+  geocode,
+  photo,
+};
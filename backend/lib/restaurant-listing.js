@@ -0,0 +1,396 @@
+/**
+ * RESTAURANT LISTING QUERIES
+ *
+ * Shared by the city listing, nearby and search endpoints:
+ * - Validates filter / sort / pagination query params
+ * - Builds the SQL (filters, fuzzy search, keyset pagination)
+ * - Encodes the opaque next_cursor
+ */
+
+const { highlight } = require('./text-match');
+const { parseOpenAt, localTimeSql, openAtSql } = require('./opening-hours');
+const { certifiedSql, certifiedBySql } = require('./certifications');
+const { ATTRIBUTES } = require('./attributes');
+
+const HALAL_STATUSES = ['verified', 'unverified', 'community', 'unknown'];
+
+const DISCOVERY_SOURCES = [
+  'explicit',
+  'explicit-grid',
+  'cuisine',
+  'cuisine-likely',
+  'review',
+  'user',
+  'user-submission',
+  'osm',
+];
+
+// Sort keys: expression on the outer listing query + direction.
+// Every sort is tie-broken by id in the same direction so the
+// (sort value, id) pair is unique and can be used as a keyset cursor.
+const SORTS = {
+  rating: { expr: 'COALESCE(listing.rating, -1)', dir: 'DESC', type: 'numeric' },
+  review_count: { expr: 'COALESCE(listing.review_count, 0)', dir: 'DESC', type: 'integer' },
+  name: { expr: 'LOWER(listing.name)', dir: 'ASC', type: 'text' },
+  distance: { expr: "COALESCE(listing.distance_km, 'Infinity')", dir: 'ASC', type: 'float8' },
+  newest: { expr: 'listing.created_at', dir: 'DESC', type: 'timestamp' },
+  relevance: { expr: 'listing.relevance', dir: 'DESC', type: 'float8', searchOnly: true },
+};
+
+// Must match idx_restaurants_search in schema.sql exactly so the index is used
+const SEARCH_VECTOR = "to_tsvector('simple', COALESCE(r.name, '') || ' ' || COALESCE(r.cuisine, '') || ' ' || COALESCE(r.address, ''))";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const MAX_RADIUS_KM = 50;
+const MAX_QUERY_LENGTH = 100;
+
+// Split "a,b,c" into a trimmed, lower-cased list
+function parseList(value) {
+  return String(value)
+    .split(',')
+    .map(v => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function encodeCursor(sort, sortKey, id) {
+  return Buffer.from(JSON.stringify([sort, sortKey, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded) || decoded.length !== 3) return null;
+    const [sort, sortKey, id] = decoded;
+    if (!SORTS[sort] || typeof sortKey !== 'string' || typeof id !== 'string') return null;
+    return { sort, sortKey, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate listing query params.
+ * Returns { params, errors } - errors is a list of { param, message }.
+ *
+ * options.mode: 'city' (city required), 'nearby' (lat/lng required)
+ *               or 'search' (q required, city and lat/lng optional)
+ */
+function parseListingParams(query, { mode = 'city' } = {}) {
+  const errors = [];
+  const params = {};
+
+  if (mode === 'city') {
+    if (!query.city) {
+      errors.push({ param: 'city', message: 'City parameter is required' });
+    } else {
+      params.city = String(query.city);
+    }
+  } else if (mode === 'search' && query.city) {
+    params.city = String(query.city);
+  }
+
+  if (mode === 'search') {
+    params.q = String(query.q || '').trim();
+    if (params.q.length < 2 || params.q.length > MAX_QUERY_LENGTH) {
+      errors.push({ param: 'q', message: `q must be between 2 and ${MAX_QUERY_LENGTH} characters` });
+    }
+  }
+
+  // Location: required for nearby, optional for city (enables distance sort)
+  if (query.lat !== undefined || query.lng !== undefined || mode === 'nearby') {
+    const lat = parseFloat(query.lat);
+    const lng = parseFloat(query.lng);
+    if (isNaN(lat) || lat < -90 || lat > 90) {
+      errors.push({ param: 'lat', message: 'lat must be a number between -90 and 90' });
+    }
+    if (isNaN(lng) || lng < -180 || lng > 180) {
+      errors.push({ param: 'lng', message: 'lng must be a number between -180 and 180' });
+    }
+    params.location = { lat, lng };
+  }
+
+  if (mode === 'nearby' || (mode === 'search' && query.radius_km !== undefined)) {
+    const radiusKm = query.radius_km === undefined ? 5 : parseFloat(query.radius_km);
+    if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      errors.push({ param: 'radius_km', message: `radius_km must be greater than 0 and at most ${MAX_RADIUS_KM}` });
+    }
+    params.radiusKm = radiusKm;
+    if (!params.location) {
+      errors.push({ param: 'radius_km', message: 'radius_km requires lat and lng' });
+    }
+  }
+
+  if (query.halal_status !== undefined) {
+    params.halalStatuses = parseList(query.halal_status);
+    const invalid = params.halalStatuses.filter(s => !HALAL_STATUSES.includes(s));
+    if (invalid.length > 0 || params.halalStatuses.length === 0) {
+      errors.push({ param: 'halal_status', message: `halal_status must be one of: ${HALAL_STATUSES.join(', ')}` });
+    }
+  }
+
+  if (query.cuisine !== undefined) {
+    params.cuisines = parseList(query.cuisine);
+    if (params.cuisines.length === 0) {
+      errors.push({ param: 'cuisine', message: 'cuisine must not be empty' });
+    }
+  }
+
+  if (query.discovered_via !== undefined) {
+    params.discoveredVia = parseList(query.discovered_via);
+    const invalid = params.discoveredVia.filter(s => !DISCOVERY_SOURCES.includes(s));
+    if (invalid.length > 0 || params.discoveredVia.length === 0) {
+      errors.push({ param: 'discovered_via', message: `discovered_via must be one of: ${DISCOVERY_SOURCES.join(', ')}` });
+    }
+  }
+
+  // Certifier slugs (see GET /api/certifiers), or 'any' for any current certificate
+  if (query.certified_by !== undefined) {
+    params.certifiedBy = parseList(query.certified_by);
+    if (params.certifiedBy.length === 0 || params.certifiedBy.some(slug => !/^[a-z0-9-]+$/.test(slug))) {
+      errors.push({ param: 'certified_by', message: 'certified_by must be certifier slugs (e.g. hma,isna) or any' });
+    } else if (params.certifiedBy.includes('any')) {
+      params.certifiedBy = 'any';
+    }
+  }
+
+  // Halal attributes, e.g. alcohol_served=false&zabiha=true (unknown never matches)
+  for (const attribute of ATTRIBUTES) {
+    if (query[attribute] === undefined) continue;
+    if (!['true', 'false'].includes(String(query[attribute]))) {
+      errors.push({ param: attribute, message: `${attribute} must be true or false` });
+    }
+    params.attributes = { ...params.attributes, [attribute]: String(query[attribute]) === 'true' };
+  }
+
+  if (query.min_rating !== undefined) {
+    params.minRating = Number(query.min_rating);
+    if (query.min_rating === '' || isNaN(params.minRating) || params.minRating < 0 || params.minRating > 5) {
+      errors.push({ param: 'min_rating', message: 'min_rating must be a number between 0 and 5' });
+    }
+  }
+
+  // Closed restaurants are hidden unless asked for
+  params.includeClosed = false;
+  if (query.include_closed !== undefined) {
+    if (!['true', 'false'].includes(String(query.include_closed))) {
+      errors.push({ param: 'include_closed', message: 'include_closed must be true or false' });
+    }
+    params.includeClosed = String(query.include_closed) === 'true';
+  }
+
+  // Opening hours, in each restaurant's local time (its city's time zone)
+  if (query.open_now !== undefined) {
+    if (!['true', 'false'].includes(String(query.open_now))) {
+      errors.push({ param: 'open_now', message: 'open_now must be true or false' });
+    }
+    params.openNow = String(query.open_now) === 'true';
+  }
+  if (query.open_at !== undefined) {
+    params.openAt = parseOpenAt(query.open_at);
+    if (!params.openAt) {
+      errors.push({ param: 'open_at', message: 'open_at must be HH:MM, YYYY-MM-DDTHH:MM (local) or an ISO 8601 timestamp with an offset' });
+    } else if (params.openNow) {
+      errors.push({ param: 'open_at', message: 'Use open_now=true or open_at, not both' });
+    }
+  }
+
+  if (query.min_confidence !== undefined) {
+    params.minConfidence = Number(query.min_confidence);
+    if (!Number.isInteger(params.minConfidence) || params.minConfidence < 0 || params.minConfidence > 100) {
+      errors.push({ param: 'min_confidence', message: 'min_confidence must be an integer between 0 and 100' });
+    }
+  }
+
+  const defaultSort = { city: 'rating', nearby: 'distance', search: 'relevance' }[mode];
+  const allowedSorts = Object.keys(SORTS).filter(key => mode === 'search' || !SORTS[key].searchOnly);
+  params.sort = query.sort === undefined ? defaultSort : String(query.sort);
+  if (!allowedSorts.includes(params.sort)) {
+    errors.push({ param: 'sort', message: `sort must be one of: ${allowedSorts.join(', ')}` });
+  } else if (params.sort === 'distance' && !params.location) {
+    errors.push({ param: 'sort', message: 'sort=distance requires lat and lng' });
+  }
+
+  params.limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(params.limit) || params.limit < 1 || params.limit > MAX_LIMIT) {
+    errors.push({ param: 'limit', message: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+  }
+
+  if (query.cursor !== undefined) {
+    params.cursor = decodeCursor(query.cursor);
+    if (!params.cursor) {
+      errors.push({ param: 'cursor', message: 'cursor is invalid' });
+    } else if (params.cursor.sort !== params.sort) {
+      errors.push({ param: 'cursor', message: 'cursor was issued for a different sort' });
+    }
+  }
+
+  return { params, errors };
+}
+
+// Build the listing SQL for validated params
+function buildListingQuery(params) {
+  const values = [];
+  const param = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  const conditions = [];
+  let distanceExpr = 'NULL::float8';
+  let relevanceExpr = 'NULL::float8';
+
+  if (params.location) {
+    const lat = param(params.location.lat);
+    const lng = param(params.location.lng);
+    distanceExpr = `6371 * 2 * ASIN(SQRT(
+            POWER(SIN(RADIANS(r.lat - ${lat}) / 2), 2) +
+            COS(RADIANS(${lat})) * COS(RADIANS(r.lat)) * POWER(SIN(RADIANS(r.lng - ${lng}) / 2), 2)
+          ))`;
+  }
+
+  if (params.q) {
+    // Typo-tolerant: trigram word similarity on each field (gin_trgm_ops
+    // indexes) or a full-text match over name + cuisine + address
+    const q = param(params.q);
+    const tsquery = `websearch_to_tsquery('simple', ${q})`;
+    relevanceExpr = `GREATEST(
+            word_similarity(${q}, r.name),
+            word_similarity(${q}, COALESCE(r.cuisine, '')) * 0.8,
+            word_similarity(${q}, COALESCE(r.address, '')) * 0.5
+          ) + ts_rank(${SEARCH_VECTOR}, ${tsquery})`;
+    conditions.push(`(${q} <% r.name OR ${q} <% r.cuisine OR ${q} <% r.address OR ${SEARCH_VECTOR} @@ ${tsquery})`);
+  }
+
+  if (params.city) {
+    conditions.push(`LOWER(r.city) = LOWER(${param(params.city)})`);
+  }
+
+  if (params.radiusKm) {
+    // Bounding box pre-filter so idx_restaurants_location can be used
+    // before computing the exact (haversine) distance
+    const { lat, lng } = params.location;
+    const latDelta = params.radiusKm / 111.32;
+    const lngDelta = params.radiusKm / (111.32 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+    conditions.push(`r.lat BETWEEN ${param(lat - latDelta)} AND ${param(lat + latDelta)}`);
+    conditions.push(`r.lng BETWEEN ${param(lng - lngDelta)} AND ${param(lng + lngDelta)}`);
+  }
+
+  if (params.halalStatuses) {
+    conditions.push(`r.halal_status = ANY(${param(params.halalStatuses)})`);
+  }
+  if (params.cuisines) {
+    conditions.push(`LOWER(r.cuisine) = ANY(${param(params.cuisines)})`);
+  }
+  if (params.discoveredVia) {
+    conditions.push(`r.discovered_via = ANY(${param(params.discoveredVia)})`);
+  }
+  if (params.certifiedBy) {
+    conditions.push(certifiedSql('r.id', params.certifiedBy === 'any' ? null : param(params.certifiedBy)));
+  }
+  if (params.attributes) {
+    conditions.push(`r.halal_attributes @> ${param(JSON.stringify(params.attributes))}::jsonb`);
+  }
+  if (params.minRating !== undefined) {
+    conditions.push(`gm.rating >= ${param(params.minRating)}`);
+  }
+  if (params.minConfidence !== undefined) {
+    conditions.push(`r.halal_confidence_score >= ${param(params.minConfidence)}`);
+  }
+  if (!params.includeClosed) {
+    conditions.push(`r.business_status = 'operational'`);
+  }
+  if (params.openNow || params.openAt) {
+    // Restaurants without parsed hours, or in a city with no time zone, don't match
+    const timezone = "(SELECT c.timezone FROM cities c WHERE LOWER(c.city) = LOWER(r.city))";
+    conditions.push(openAtSql('r.id', localTimeSql(params.openAt || null, timezone, param)));
+  }
+
+  const outerConditions = [];
+  if (params.radiusKm) {
+    outerConditions.push(`listing.distance_km <= ${param(params.radiusKm)}`);
+  }
+
+  const sort = SORTS[params.sort];
+  if (params.cursor) {
+    const op = sort.dir === 'DESC' ? '<' : '>';
+    outerConditions.push(
+      `(${sort.expr}, listing.id) ${op} (${param(params.cursor.sortKey)}::${sort.type}, ${param(params.cursor.id)}::uuid)`
+    );
+  }
+
+  // Fetch one extra row to know whether there is a next page
+  const limit = param(params.limit + 1);
+
+  const text = `
+    SELECT listing.*, (${sort.expr})::text AS sort_key
+    FROM (
+      SELECT
+        r.id,
+        r.name,
+        r.address,
+        r.city,
+        r.lat,
+        r.lng,
+        r.cuisine,
+        r.halal_status,
+        r.halal_confidence_score,
+        r.halal_attributes,
+        ${certifiedBySql('r.id')} AS certified_by,
+        r.source,
+        r.discovered_via,
+        r.business_status,
+        r.image,
+        r.image_url_2,
+        r.image_url_3,
+        r.created_at,
+        gm.rating,
+        gm.review_count,
+        gm.phone,
+        ${distanceExpr} AS distance_km,
+        ${relevanceExpr} AS relevance
+      FROM restaurants r
+      LEFT JOIN google_metadata gm ON r.id = gm.restaurant_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join('\n        AND ')}` : ''}
+    ) listing
+    ${outerConditions.length > 0 ? `WHERE ${outerConditions.join('\n      AND ')}` : ''}
+    ORDER BY ${sort.expr} ${sort.dir}, listing.id ${sort.dir}
+    LIMIT ${limit}
+  `;
+
+  return { text, values };
+}
+
+// Trim the extra row, strip internal columns and build next_cursor
+function formatListingPage(rows, params) {
+  const hasMore = rows.length > params.limit;
+  const pageRows = hasMore ? rows.slice(0, params.limit) : rows;
+
+  const restaurants = pageRows.map(({ sort_key, distance_km, relevance, ...row }) => {
+    if (params.location) {
+      row.distance_km = Math.round(distance_km * 100) / 100;
+    }
+    if (params.q) {
+      row.relevance = Math.round(relevance * 1000) / 1000;
+      row.highlights = {
+        name: highlight(row.name, params.q),
+        cuisine: highlight(row.cuisine, params.q),
+        address: highlight(row.address, params.q),
+      };
+    }
+    return row;
+  });
+
+  const last = pageRows[pageRows.length - 1];
+  const nextCursor = hasMore ? encodeCursor(params.sort, last.sort_key, last.id) : null;
+
+  return { restaurants, next_cursor: nextCursor };
+}
+
+module.exports = {
+  HALAL_STATUSES,
+  DISCOVERY_SOURCES,
+  parseListingParams,
+  buildListingQuery,
+  formatListingPage,
+};
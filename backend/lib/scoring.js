@@ -0,0 +1,339 @@
+/**
+ * HALAL CONFIDENCE SCORING
+ *
+ * Computes restaurants.halal_status and halal_confidence_score from the
+ * evidence for a restaurant, strongest first:
+ *
+ *   certification  an unexpired certificate from a recognised certifier
+ *                  (restaurant_certifications) - verified, whatever else says
+ *   source         what it was saved with - a moderator's choice (approved
+ *                  submission / manual add) or its discovery source
+ *                  (hydration preset, OSM tag): source_status / source_confidence
+ *   corroboration  review keyword flags and OSM diet:halal tags agreeing with it
+ *   votes          weighted by the voter's reputation and the vote's age,
+ *                  and by what they checked (lib/verifications.js); votes
+ *                  quarantined by lib/abuse.js don't count
+ *
+ * Votes move the score within a cap set by the evidence they go against,
+ * and only decide the status of restaurants nothing stronger vouches for:
+ * they can't downgrade a certified, verified or moderator-set status -
+ * enough weight against one marks it `disputed` for a moderator instead.
+ *
+ * A certificate that has expired or been revoked (with no current one)
+ * counts against the restaurant: a verified status drops to unverified.
+ *
+ * The breakdown is stored in restaurants.halal_score_breakdown.
+ */
+
+// Confidence of a current certificate, and the most a lapsed one leaves
+const CERTIFIED_CONFIDENCE = 98;
+const CERTIFIED_SCOPED_CONFIDENCE = 90;   // only part of the menu, e.g. 'chicken only'
+const LAPSED_MAX_CONFIDENCE = 60;
+
+// Points added to the source confidence by corroborating evidence
+const CORROBORATION = {
+  name_contains_halal: 5,
+  review_mention: 3,     // per review_mentions_* flag
+  osm_only: 5,           // diet:halal=only on a linked OSM element
+  osm_yes: 3,
+  max: 10,
+};
+
+// Vote weights
+const VOTER_WEIGHTS = { user: 1, device: 0.3 };
+const ESTABLISHED_ACCOUNT_DAYS = 30;
+const ESTABLISHED_ACCOUNT_BONUS = 0.25;
+const HISTORY_MIN_VOTES = 3;           // other votes needed before history counts
+const VOTE_HALF_LIFE_DAYS = 180;
+const PRIOR_WEIGHT = 2;                // damps support when there are few votes
+
+// Weight multipliers for a vote backed by a verification (the larger applies)
+const VERIFIED_WEIGHTS = { saw_certificate: 1.5, asked_staff: 1.25 };
+
+// Most the votes can move the score, by the evidence they'd go against
+const MAX_VOTE_POINTS = { certified: 5, moderator: 10, verified: 20, other: 40 };
+
+// Weighted votes needed before they decide a status, and the support
+// that decides it - not the score, which votes can only move so far
+const MIN_DECIDING_WEIGHT = 3;
+const COMMUNITY_MIN_SUPPORT = 0.4;
+const UNKNOWN_MAX_SUPPORT = -0.4;
+const DISPUTED_MAX_SUPPORT = -0.5;
+
+// Discovery sources where a moderator chose the status
+const MODERATOR_SOURCES = ['user', 'user-submission'];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Reputation of the voter behind a vote, from:
+ *   voter_type          'user' | 'device'
+ *   account_age_days    for accounts
+ *   other_votes / agreeing_votes   their votes on other restaurants, and how
+ *                       many matched where those restaurants ended up
+ */
+function voterReputation(vote) {
+  let reputation = VOTER_WEIGHTS[vote.voter_type] ?? VOTER_WEIGHTS.device;
+  if (vote.voter_type === 'user' && vote.account_age_days >= ESTABLISHED_ACCOUNT_DAYS) {
+    reputation += ESTABLISHED_ACCOUNT_BONUS;
+  }
+  if (vote.other_votes >= HISTORY_MIN_VOTES) {
+    // 0.5x for a voter who always disagreed, 1.5x for one who always agreed
+    reputation *= 0.5 + vote.agreeing_votes / vote.other_votes;
+  }
+  return reputation;
+}
+
+// How much a vote's verification backs it: asking the staff backs either
+// answer, seeing a certificate only a yes
+function verificationBonus(vote) {
+  if (vote.saw_certificate && vote.vote === 'yes') return VERIFIED_WEIGHTS.saw_certificate;
+  if (vote.asked_staff) return VERIFIED_WEIGHTS.asked_staff;
+  return 1;
+}
+
+// A vote's weight: reputation and verification, halved every VOTE_HALF_LIFE_DAYS
+function voteWeight(vote) {
+  return voterReputation(vote) * verificationBonus(vote) * 0.5 ** (Math.max(vote.age_days, 0) / VOTE_HALF_LIFE_DAYS);
+}
+
+/**
+ * Certificate state from the restaurant's certificates:
+ * [{ certifier, scope, expires_on, expired, revoked, certifier_active }]
+ *   active  at least one unexpired, unrevoked certificate from an active certifier
+ *   lapsed  none current, but it had some
+ */
+function certification(certificates) {
+  const current = (certificates || []).filter(c => !c.expired && !c.revoked && c.certifier_active);
+  if (current.length > 0) {
+    return {
+      state: 'active',
+      certified_by: [...new Set(current.map(c => c.certifier))],
+      // Whole menu if any current certificate covers it
+      scope: current.some(c => !c.scope) ? null : current.map(c => c.scope).join('; '),
+    };
+  }
+  if (certificates && certificates.length > 0) {
+    return { state: 'lapsed', certified_by: [], scope: null };
+  }
+  return { state: null, certified_by: [], scope: null };
+}
+
+function corroboration({ keywordFlags, osmDiets, discoveredVia }) {
+  const flags = keywordFlags || [];
+  let points = 0;
+  if (flags.includes('name_contains_halal')) points += CORROBORATION.name_contains_halal;
+  points += flags.filter(flag => flag.startsWith('review_mentions_')).length * CORROBORATION.review_mention;
+
+  // An OSM import is the source itself, not a second opinion
+  const diets = discoveredVia === 'osm' ? [] : osmDiets || [];
+  const osm = diets.includes('only') ? 'only' : diets.includes('yes') ? 'yes' : null;
+  if (osm === 'only') points += CORROBORATION.osm_only;
+  if (osm === 'yes') points += CORROBORATION.osm_yes;
+
+  return { points: Math.min(points, CORROBORATION.max), review_flags: flags, osm };
+}
+
+/**
+ * Score a restaurant from its evidence:
+ *   { sourceStatus, sourceConfidence, discoveredVia, keywordFlags, osmDiets, certificates, votes }
+ * certificates: see certification()
+ * votes: [{ vote, voter_type, age_days, account_age_days, other_votes, agreeing_votes,
+ *           asked_staff, saw_certificate }]
+ * Returns { status, score, breakdown }.
+ */
+function scoreRestaurant(evidence) {
+  const certified = certification(evidence.certificates);
+  let tier = MODERATOR_SOURCES.includes(evidence.discoveredVia) ? 'moderator' : 'discovery';
+  let sourceStatus = evidence.sourceStatus || 'unknown';
+  let base = clamp(evidence.sourceConfidence || 0, 0, 100);
+
+  if (certified.state === 'active') {
+    tier = 'certified';
+    sourceStatus = 'verified';
+    base = Math.max(base, certified.scope ? CERTIFIED_SCOPED_CONFIDENCE : CERTIFIED_CONFIDENCE);
+  } else if (certified.state === 'lapsed') {
+    // Whatever vouched for it before, the certificate behind it is gone
+    if (sourceStatus === 'verified') sourceStatus = 'unverified';
+    base = Math.min(base, LAPSED_MAX_CONFIDENCE);
+  }
+  const support = corroboration(evidence);
+
+  let weightedYes = 0;
+  let weightedNo = 0;
+  for (const vote of evidence.votes) {
+    if (vote.vote === 'yes') weightedYes += voteWeight(vote);
+    else weightedNo += voteWeight(vote);
+  }
+  const weight = weightedYes + weightedNo;
+  // -1 (all against) .. 1 (all for), damped towards 0 while there are few votes
+  const voteSupport = (weightedYes - weightedNo) / (weight + PRIOR_WEIGHT);
+
+  const strongEvidence = certified.state !== 'lapsed' && (tier !== 'discovery' || sourceStatus === 'verified');
+  const maxVotePoints = !strongEvidence
+    ? MAX_VOTE_POINTS.other
+    : tier === 'discovery' ? MAX_VOTE_POINTS.verified : MAX_VOTE_POINTS[tier];
+  const votePoints = Math.round(voteSupport * maxVotePoints);
+
+  const score = Math.round(clamp(base + support.points + votePoints, 0, 100));
+  const deciding = weight >= MIN_DECIDING_WEIGHT;
+
+  let status = sourceStatus;
+  let disputed = false;
+  if (strongEvidence) {
+    disputed = deciding && voteSupport <= DISPUTED_MAX_SUPPORT;
+  } else if (deciding && voteSupport >= COMMUNITY_MIN_SUPPORT) {
+    status = 'community';
+  } else if (deciding && voteSupport <= UNKNOWN_MAX_SUPPORT) {
+    status = 'unknown';
+  }
+
+  return {
+    status,
+    score,
+    breakdown: {
+      score,
+      status,
+      disputed,
+      source: {
+        tier,
+        discovered_via: evidence.discoveredVia || null,
+        status: sourceStatus,
+        confidence: base,
+      },
+      certification: certified,
+      corroboration: support,
+      votes: {
+        yes: evidence.votes.filter(vote => vote.vote === 'yes').length,
+        no: evidence.votes.filter(vote => vote.vote === 'no').length,
+        verified: evidence.votes.filter(vote => verificationBonus(vote) > 1).length,
+        weighted_yes: round(weightedYes),
+        weighted_no: round(weightedNo),
+        support: round(voteSupport),
+        points: votePoints,
+        max_points: maxVotePoints,
+        deciding,
+      },
+    },
+  };
+}
+
+// Everything scoreRestaurant needs for one restaurant (null if it doesn't exist)
+async function loadEvidence(client, restaurantId) {
+  const restaurant = await client.query(`
+    SELECT
+      r.discovered_via,
+      COALESCE(r.source_status, r.halal_status) AS source_status,
+      COALESCE(r.source_confidence, r.halal_confidence_score, 0) AS source_confidence,
+      gm.keyword_flags,
+      ARRAY(SELECT om.diet_halal FROM osm_metadata om WHERE om.restaurant_id = r.id) AS osm_diets
+    FROM restaurants r
+    LEFT JOIN google_metadata gm ON gm.restaurant_id = r.id
+    WHERE r.id = $1
+  `, [restaurantId]);
+  if (restaurant.rows.length === 0) return null;
+
+  // Each vote with its voter's history on other restaurants (ignoring ones
+  // still 'unverified', where there's no outcome to agree with)
+  const votes = await client.query(`
+    SELECT
+      v.vote,
+      v.voter_type,
+      EXTRACT(EPOCH FROM NOW() - v.created_at) / 86400 AS age_days,
+      EXTRACT(EPOCH FROM NOW() - u.created_at) / 86400 AS account_age_days,
+      history.other_votes,
+      history.agreeing_votes,
+      vv.asked_staff,
+      vv.saw_certificate
+    FROM votes v
+    LEFT JOIN users u ON v.voter_type = 'user' AND u.id::text = v.user_id
+    LEFT JOIN vote_verifications vv ON vv.restaurant_id = v.restaurant_id AND vv.user_id = v.user_id
+    CROSS JOIN LATERAL (
+      SELECT
+        COUNT(*)::int AS other_votes,
+        COUNT(*) FILTER (
+          WHERE (o.vote = 'yes') = (other.halal_status IN ('verified', 'community'))
+        )::int AS agreeing_votes
+      FROM votes o
+      JOIN restaurants other ON other.id = o.restaurant_id
+      WHERE o.user_id = v.user_id
+        AND o.restaurant_id <> v.restaurant_id
+        AND o.quarantine_flag_id IS NULL
+        AND other.halal_status <> 'unverified'
+    ) history
+    WHERE v.restaurant_id = $1
+      AND v.quarantine_flag_id IS NULL
+  `, [restaurantId]);
+
+  // Expiry dates are inclusive: a certificate is good through expires_on
+  const certificates = await client.query(`
+    SELECT
+      ce.slug AS certifier,
+      rc.scope,
+      COALESCE(rc.expires_on < CURRENT_DATE, false) AS expired,
+      rc.revoked_at IS NOT NULL AS revoked,
+      ce.active AS certifier_active
+    FROM restaurant_certifications rc
+    JOIN certifiers ce ON ce.id = rc.certifier_id
+    WHERE rc.restaurant_id = $1
+  `, [restaurantId]);
+
+  const row = restaurant.rows[0];
+  return {
+    sourceStatus: row.source_status,
+    sourceConfidence: row.source_confidence,
+    discoveredVia: row.discovered_via,
+    keywordFlags: row.keyword_flags,
+    osmDiets: row.osm_diets,
+    certificates: certificates.rows,
+    votes: votes.rows.map(vote => ({
+      ...vote,
+      age_days: parseFloat(vote.age_days),
+      account_age_days: vote.account_age_days === null ? null : parseFloat(vote.account_age_days),
+    })),
+  };
+}
+
+/**
+ * Recompute and store a restaurant's status, score and breakdown.
+ * Returns { previous: { status, score }, status, score, breakdown }, or
+ * null if the restaurant doesn't exist. dryRun computes without writing.
+ */
+async function rescoreRestaurant(client, restaurantId, { dryRun = false } = {}) {
+  const evidence = await loadEvidence(client, restaurantId);
+  if (!evidence) return null;
+
+  const current = await client.query(
+    'SELECT halal_status, halal_confidence_score FROM restaurants WHERE id = $1',
+    [restaurantId]
+  );
+  const result = scoreRestaurant(evidence);
+
+  if (!dryRun) {
+    await client.query(`
+      UPDATE restaurants
+      SET halal_status = $2,
+          halal_confidence_score = $3,
+          halal_score_breakdown = $4,
+          halal_scored_at = NOW(),
+          source_status = COALESCE(source_status, $5),
+          source_confidence = COALESCE(source_confidence, $6)
+      WHERE id = $1
+    `, [restaurantId, result.status, result.score, result.breakdown, evidence.sourceStatus, evidence.sourceConfidence]);
+  }
+
+  return {
+    previous: {
+      status: current.rows[0].halal_status,
+      score: current.rows[0].halal_confidence_score,
+    },
+    ...result,
+  };
+}
+
+module.exports = {
+  voteWeight,
+  scoreRestaurant,
+  rescoreRestaurant,
+};
@@ -0,0 +1,431 @@
+/**
+ * SUBMISSION MODERATION
+ *
+ * Shared by the admin API (server.js) and jobs/approve-submission.js so
+ * both paths look up candidates, approve, reject and add restaurants
+ * manually the same way.
+ */
+
+const pool = require('./db');
+const places = require('./places');
+const { detectCuisine } = require('./cuisine');
+const { haversineKm } = require('./geo');
+const { HALAL_STATUSES } = require('./restaurant-listing');
+const { fromGoogleStatus } = require('./closures');
+const { parseOpeningHours, saveHours } = require('./opening-hours');
+const { photoReferences, savePhotos } = require('./photos');
+const { rescoreRestaurant } = require('./scoring');
+const { badRequest, notFound, conflict, upstreamError, validationError } = require('./errors');
+const { isBlank, parseNumber, validText } = require('./validation');
+
+const CONFIDENCE_BY_STATUS = {
+  verified: 85,
+  unverified: 70,
+  community: 70,
+  unknown: 0,
+};
+
+const MAX_CANDIDATES = 5;
+
+async function getSubmission(id) {
+  const result = await pool.query('SELECT * FROM restaurant_submissions WHERE id = $1', [id]);
+
+  if (result.rows.length === 0) {
+    throw notFound(`Submission #${id} not found`);
+  }
+  return result.rows[0];
+}
+
+function assertPending(submission) {
+  if (submission.status !== 'pending') {
+    throw conflict(`Submission #${submission.id} is already ${submission.status}`);
+  }
+}
+
+// Re-read a submission inside a transaction, locking it until COMMIT so a
+// concurrent approve / reject waits and then sees it's no longer pending
+async function lockPendingSubmission(client, id) {
+  const result = await client.query('SELECT * FROM restaurant_submissions WHERE id = $1 FOR UPDATE', [id]);
+  if (result.rows.length === 0) {
+    throw notFound(`Submission #${id} not found`);
+  }
+  assertPending(result.rows[0]);
+  return result.rows[0];
+}
+
+function toCandidate(place, origin) {
+  const lat = place.geometry?.location?.lat ?? null;
+  const lng = place.geometry?.location?.lng ?? null;
+  const distanceKm = origin && lat !== null && lng !== null
+    ? Math.round(haversineKm(origin, { lat, lng }) * 100) / 100
+    : null;
+
+  return {
+    place_id: place.place_id,
+    name: place.name,
+    address: place.formatted_address || place.vicinity || null,
+    lat,
+    lng,
+    rating: place.rating || null,
+    review_count: place.user_ratings_total || 0,
+    distance_km: distanceKm,
+  };
+}
+
+// Coordinates of the address the user submitted (null if none / not found)
+async function geocodeSubmission(submission) {
+  if (!submission.address) return null;
+  try {
+    return await places.geocode(`${submission.address}, ${submission.city}`);
+  } catch (error) {
+    console.error('Geocode error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Google Places matches for a submission (best match first), each with
+ * distance_km from the submitted address when it can be geocoded.
+ *
+ * Returns { submission, origin, candidates }
+ */
+async function findCandidates(id) {
+  const submission = await getSubmission(id);
+
+  let results;
+  try {
+    ({ results } = await places.textSearch(`${submission.restaurant_name} in ${submission.city}`));
+  } catch (error) {
+    throw upstreamError(`Places search failed: ${error.message}`);
+  }
+
+  const origin = await geocodeSubmission(submission);
+
+  return {
+    submission,
+    origin,
+    candidates: results.slice(0, MAX_CANDIDATES).map(place => toCandidate(place, origin)),
+  };
+}
+
+// INSERT a { column: value } row, returning the inserted row
+async function insertRow(client, table, row) {
+  const columns = Object.keys(row);
+  const placeholders = columns.map((_, i) => `$${i + 1}`);
+  const result = await client.query(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+    Object.values(row)
+  );
+  return result.rows[0];
+}
+
+/**
+ * Write a plan (built by approveSubmission / addManualRestaurant):
+ * restaurant (unless linking an existing one), google metadata, opening
+ * hours, photos, seen place, then mark the submission (if any) approved.
+ * Returns the restaurant id.
+ */
+async function applyPlan(client, plan) {
+  let restaurantId = plan.existing_restaurant_id;
+
+  if (plan.restaurant) {
+    restaurantId = (await insertRow(client, 'restaurants', plan.restaurant)).id;
+  }
+  if (plan.google_metadata) {
+    await insertRow(client, 'google_metadata', { restaurant_id: restaurantId, ...plan.google_metadata });
+  }
+  if (plan.opening_hours) {
+    await saveHours(client, restaurantId, plan.opening_hours);
+  }
+  if (plan.photos) {
+    await savePhotos(client, restaurantId, plan.photos.map(reference => ({ photo_reference: reference })));
+  }
+  if (plan.restaurant) {
+    await rescoreRestaurant(client, restaurantId);
+  }
+
+  // Mark as seen so hydration doesn't fetch it again
+  if (plan.seen_place) {
+    await client.query(
+      `INSERT INTO seen_places (place_id, city, name, is_halal, checked_at)
+       VALUES ($1, $2, $3, true, NOW())
+       ON CONFLICT (place_id) DO NOTHING`,
+      [plan.seen_place.place_id, plan.seen_place.city, plan.seen_place.name]
+    );
+  }
+
+  if (plan.submission) {
+    const approved = await client.query(
+      `UPDATE restaurant_submissions
+       SET status = 'approved', reviewed_at = NOW(), reviewed_by = $1, place_id = $2, restaurant_id = $3
+       WHERE id = $4 AND status = 'pending'`,
+      [plan.submission.reviewed_by, plan.submission.place_id, restaurantId, plan.submission.id]
+    );
+    if (approved.rowCount === 0) {
+      throw conflict(`Submission #${plan.submission.id} is no longer pending`);
+    }
+  }
+
+  return restaurantId;
+}
+
+// Run plan() inside a transaction; dry runs roll back without writing
+async function runPlan(buildPlan, dryRun) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const plan = await buildPlan(client);
+
+    if (dryRun) {
+      await client.query('ROLLBACK');
+      return { dry_run: true, created: Boolean(plan.restaurant), plan };
+    }
+
+    const restaurantId = await applyPlan(client, plan);
+    await client.query('COMMIT');
+    return { restaurant_id: restaurantId, name: plan.name, created: Boolean(plan.restaurant) };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Approve a submission using the chosen Google place.
+ * Creates the restaurant (or links the existing one with the same place_id)
+ * and marks the submission approved.
+ *
+ * Returns { restaurant_id, name, created }, or with dryRun
+ * { dry_run: true, created, plan } describing exactly what would be written.
+ */
+async function approveSubmission(id, { placeId, halalStatus = 'verified', reviewedBy = null, dryRun = false } = {}) {
+  if (!placeId) {
+    throw badRequest('place_id is required');
+  }
+  if (!HALAL_STATUSES.includes(halalStatus)) {
+    throw badRequest(`halal_status must be one of: ${HALAL_STATUSES.join(', ')}`);
+  }
+
+  const submission = await getSubmission(id);
+  assertPending(submission);
+
+  let details;
+  try {
+    details = await places.details(placeId);
+  } catch (error) {
+    throw upstreamError(`Places details failed: ${error.message}`);
+  }
+  if (!details) {
+    throw notFound(`Place ${placeId} not found`);
+  }
+
+  return runPlan(async (client) => {
+    await lockPendingSubmission(client, submission.id);
+
+    // google_metadata.place_id is unique - reuse the restaurant if we have it
+    const existing = await client.query(
+      'SELECT restaurant_id FROM google_metadata WHERE place_id = $1',
+      [details.place_id]
+    );
+    const existingId = existing.rows[0]?.restaurant_id || null;
+
+    return {
+      name: details.name,
+      existing_restaurant_id: existingId,
+      restaurant: existingId ? null : {
+        name: details.name,
+        address: details.formatted_address,
+        city: submission.city,
+        lat: details.geometry.location.lat,
+        lng: details.geometry.location.lng,
+        cuisine: detectCuisine(details.name),
+        halal_status: halalStatus,
+        halal_confidence_score: CONFIDENCE_BY_STATUS[halalStatus],
+        source_status: halalStatus,
+        source_confidence: CONFIDENCE_BY_STATUS[halalStatus],
+        source: 'google',
+        discovered_via: 'user-submission',
+        business_status: fromGoogleStatus(details.business_status) || 'operational',
+      },
+      google_metadata: existingId ? null : {
+        place_id: details.place_id,
+        rating: details.rating || null,
+        review_count: details.user_ratings_total || 0,
+        phone: details.formatted_phone_number || null,
+        website: details.website || null,
+        hours: details.opening_hours?.weekday_text || null,
+        business_status: details.business_status || null,
+      },
+      opening_hours: existingId ? null : parseOpeningHours(details.opening_hours),
+      photos: existingId ? null : photoReferences(details.photos),
+      seen_place: { place_id: details.place_id, city: submission.city, name: details.name },
+      submission: { id: submission.id, status: 'approved', place_id: details.place_id, reviewed_by: reviewedBy },
+    };
+  }, dryRun);
+}
+
+const MAX_LENGTHS = { name: 255, address: 1000, city: 100, cuisine: 100 };
+
+/**
+ * Validate manually entered restaurant details.
+ * input: { name, address, city, lat, lng, cuisine, halal_status }
+ *
+ * Returns { values, errors } - errors is a list of { field, message }.
+ * Coordinates are optional here; addManualRestaurant geocodes the address
+ * when they are missing.
+ */
+function validateRestaurantInput(input) {
+  const errors = [];
+  const values = validText(input, ['name', 'address', 'city', 'cuisine'], { maxLengths: MAX_LENGTHS, errors });
+
+  if (!values.name) errors.push({ field: 'name', message: 'is required' });
+  if (!values.city) errors.push({ field: 'city', message: 'is required' });
+
+  values.lat = parseNumber(input.lat);
+  values.lng = parseNumber(input.lng);
+
+  if (Number.isNaN(values.lat) || (values.lat !== null && Math.abs(values.lat) > 90)) {
+    errors.push({ field: 'lat', message: 'must be a number between -90 and 90' });
+  }
+  if (Number.isNaN(values.lng) || (values.lng !== null && Math.abs(values.lng) > 180)) {
+    errors.push({ field: 'lng', message: 'must be a number between -180 and 180' });
+  }
+  if ((values.lat === null) !== (values.lng === null)) {
+    errors.push({ field: values.lat === null ? 'lat' : 'lng', message: 'lat and lng must be given together' });
+  }
+
+  values.halal_status = isBlank(input.halal_status) ? 'unverified' : String(input.halal_status).trim();
+  if (!HALAL_STATUSES.includes(values.halal_status)) {
+    errors.push({ field: 'halal_status', message: `must be one of: ${HALAL_STATUSES.join(', ')}` });
+  }
+
+  return { values, errors };
+}
+
+// Default geocoding hook - the places provider's geocoder (null if not found)
+async function geocodeAddress(address, city) {
+  return places.geocode(`${address}, ${city}`);
+}
+
+/**
+ * Create a restaurant from manually entered details (source = 'user'), for
+ * places that aren't on Google Places.
+ *
+ * options:
+ *   submissionId - approve this pending submission and link it to the new
+ *                  restaurant; its name / address / city fill any blanks
+ *   geocode      - (address, city) => { lat, lng } | null, used when no
+ *                  coordinates are given (default: places provider)
+ *
+ * Returns { restaurant_id, name, created, geocoded }, or with dryRun
+ * { dry_run: true, created, plan, geocoded }.
+ */
+async function addManualRestaurant(input, {
+  submissionId = null,
+  reviewedBy = null,
+  dryRun = false,
+  geocode = geocodeAddress,
+} = {}) {
+  let submission = null;
+  if (submissionId !== null) {
+    submission = await getSubmission(submissionId);
+    assertPending(submission);
+  }
+
+  const { values, errors } = validateRestaurantInput({
+    ...input,
+    name: isBlank(input.name) ? submission?.restaurant_name : input.name,
+    address: isBlank(input.address) ? submission?.address : input.address,
+    city: isBlank(input.city) ? submission?.city : input.city,
+  });
+  if (errors.length > 0) {
+    throw validationError(errors, 'Invalid restaurant details');
+  }
+
+  let geocoded = false;
+  if (values.lat === null && values.address) {
+    let point = null;
+    try {
+      point = await geocode(values.address, values.city);
+    } catch (error) {
+      console.error('Geocode error:', error.message);
+    }
+    if (point) {
+      values.lat = point.lat;
+      values.lng = point.lng;
+      geocoded = true;
+    }
+  }
+  if (values.lat === null) {
+    throw validationError(
+      [{ field: 'lat', message: values.address ? 'is required (the address could not be geocoded)' : 'is required (or give an address to geocode)' }],
+      'Invalid restaurant details'
+    );
+  }
+
+  const result = await runPlan(async (client) => {
+    const duplicate = await client.query(
+      'SELECT id, name, city FROM restaurants WHERE LOWER(name) = LOWER($1) AND LOWER(city) = LOWER($2)',
+      [values.name, values.city]
+    );
+    if (duplicate.rows.length > 0) {
+      const { id, name, city } = duplicate.rows[0];
+      throw conflict(`"${name}" already exists in ${city} (${id})`);
+    }
+
+    return {
+      name: values.name,
+      existing_restaurant_id: null,
+      restaurant: {
+        name: values.name,
+        address: values.address,
+        city: values.city,
+        lat: values.lat,
+        lng: values.lng,
+        cuisine: values.cuisine || detectCuisine(values.name),
+        halal_status: values.halal_status,
+        halal_confidence_score: CONFIDENCE_BY_STATUS[values.halal_status],
+        source_status: values.halal_status,
+        source_confidence: CONFIDENCE_BY_STATUS[values.halal_status],
+        source: 'user',
+        discovered_via: submission ? 'user-submission' : 'user',
+      },
+      google_metadata: null,
+      opening_hours: null,
+      photos: null,
+      seen_place: null,
+      submission: submission
+        ? { id: submission.id, status: 'approved', place_id: null, reviewed_by: reviewedBy }
+        : null,
+    };
+  }, dryRun);
+
+  return { ...result, geocoded };
+}
+
+async function rejectSubmission(id, { reason = null, reviewedBy = null } = {}) {
+  const submission = await getSubmission(id);
+  assertPending(submission);
+
+  // Guarded in case it was approved since it was read
+  const rejected = await pool.query(
+    `UPDATE restaurant_submissions
+     SET status = 'rejected', reviewed_at = NOW(), reviewed_by = $1, rejection_reason = $2
+     WHERE id = $3 AND status = 'pending'`,
+    [reviewedBy, reason, id]
+  );
+  if (rejected.rowCount === 0) {
+    throw conflict(`Submission #${id} is no longer pending`);
+  }
+}
+
+module.exports = {
+  getSubmission,
+  findCandidates,
+  approveSubmission,
+  validateRestaurantInput,
+  addManualRestaurant,
+  rejectSubmission,
+};
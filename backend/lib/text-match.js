@@ -0,0 +1,113 @@
+/**
+ * TEXT MATCHING HELPERS
+ *
+ * Trigram word similarity that mirrors Postgres pg_trgm, used where we
+ * need fuzzy matching outside SQL (search highlights).
+ */
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+function words(text) {
+  return (String(text || '').toLowerCase().match(WORD_PATTERN)) || [];
+}
+
+// pg_trgm.word_similarity_threshold, set on every connection (lib/db.js) -
+// the `<%` cut-off for search matches
+const WORD_SIMILARITY_THRESHOLD = 0.5;
+
+// Trigrams of each word, in order, padded like pg_trgm ("  w", " wo", ..., "rd ")
+function wordTrigrams(text) {
+  return words(text).map(word => {
+    const padded = `  ${word} `;
+    const list = [];
+    for (let i = 0; i < padded.length - 2; i++) {
+      list.push(padded.slice(i, i + 3));
+    }
+    return list;
+  });
+}
+
+/**
+ * word_similarity(query, text) as pg_trgm computes it: the best similarity
+ * between the query's trigrams and any run of trigrams in the text. Tries
+ * every run, so it is never below Postgres' (greedy) value.
+ * Returns { similarity, first, last } - the words of `text` the best run covers.
+ */
+function wordSimilarity(query, text) {
+  const queryTrigrams = new Set(wordTrigrams(query).flat());
+  const list = wordTrigrams(text).flatMap((trigrams, index) => trigrams.map(trigram => ({ trigram, index })));
+  let best = { similarity: 0, first: -1, last: -1 };
+  if (queryTrigrams.size === 0) return best;
+
+  for (let i = 0; i < list.length; i++) {
+    if (!queryTrigrams.has(list[i].trigram)) continue;
+
+    const seen = new Set();
+    let shared = 0;
+    for (let j = i; j < list.length; j++) {
+      const { trigram } = list[j];
+      if (seen.has(trigram)) continue;
+      seen.add(trigram);
+      if (!queryTrigrams.has(trigram)) continue;
+
+      shared++;
+      const similarity = shared / (queryTrigrams.size + seen.size - shared);
+      if (similarity > best.similarity) {
+        best = { similarity, first: list[i].index, last: list[j].index };
+      }
+    }
+  }
+  return best;
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * HTML-escape `text` and wrap its words that match the query in <mark></mark>:
+ * words equal to (or starting with) a query term, as the full-text search
+ * matches, and the words word_similarity matched at WORD_SIMILARITY_THRESHOLD,
+ * as `<%` does - so every search result gets a highlight.
+ * Returns null when nothing in the text matched.
+ */
+function highlight(text, query) {
+  if (!text) return null;
+
+  const terms = words(query);
+  if (terms.length === 0) return null;
+
+  const source = String(text);
+  const similar = wordSimilarity(query, source);
+  const fuzzy = similar.similarity >= WORD_SIMILARITY_THRESHOLD;
+
+  let matched = false;
+  let marked = '';
+  let last = 0;
+  let position = 0;
+  for (const { 0: word, index } of source.matchAll(WORD_PATTERN)) {
+    const w = word.toLowerCase();
+    const isMatch = (fuzzy && position >= similar.first && position <= similar.last) ||
+      terms.some(term => w === term || (term.length >= 3 && w.startsWith(term)));
+    marked += escapeHtml(source.slice(last, index));
+    if (isMatch) {
+      matched = true;
+      marked += `<mark>${escapeHtml(word)}</mark>`;
+    } else {
+      marked += escapeHtml(word);
+    }
+    last = index + word.length;
+    position++;
+  }
+  marked += escapeHtml(source.slice(last));
+
+  return matched ? marked : null;
+}
+
+module.exports = {
+  WORD_SIMILARITY_THRESHOLD,
+  wordSimilarity,
+  highlight,
+};
@@ -0,0 +1,81 @@
+/**
+ * UPLOADED FILES
+ *
+ * Files sent to the API (certificate evidence, verification photos) are
+ * kept on disk, one directory per kind, with only their file name and
+ * content type stored in the database. The request body is the file
+ * itself (express.raw), typed by its Content-Type header.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { badRequest, notFound } = require('./errors');
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+/**
+ * Store for one kind of upload.
+ *   dir    where the files go
+ *   types  accepted content types -> file extension
+ *   label  what the files are, for error messages
+ */
+function createUploadStore({ dir, types, label }) {
+  const filePath = (fileName) => path.join(dir, fileName);
+
+  return {
+    types,
+
+    /**
+     * Write an upload: { contentType, data (Buffer) }. The file is named
+     * prefix-<random>.<ext>. Returns { fileName, contentType }.
+     */
+    save(prefix, { contentType, data }) {
+      const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+      if (!types[type]) {
+        throw badRequest(`Content-Type must be one of: ${Object.keys(types).join(', ')}`);
+      }
+      if (!Buffer.isBuffer(data) || data.length === 0) {
+        throw badRequest('Send the file as the request body');
+      }
+
+      const fileName = `${prefix}-${crypto.randomBytes(8).toString('hex')}.${types[type]}`;
+      fs.mkdirSync(dir, { recursive: true });
+      // Write then rename, so a concurrent reader never sees half a file
+      const temp = `${filePath(fileName)}.tmp`;
+      fs.writeFileSync(temp, data);
+      fs.renameSync(temp, filePath(fileName));
+      return { fileName, contentType: type };
+    },
+
+    read(fileName) {
+      try {
+        return fs.readFileSync(filePath(fileName));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw notFound(`${label} file is missing from ${dir}`);
+        }
+        throw error;
+      }
+    },
+
+    // Delete a replaced file in the background
+    remove(fileName) {
+      fs.rm(filePath(fileName), { force: true }, error => {
+        if (error) console.error(`Error removing old ${label.toLowerCase()}:`, error);
+      });
+    },
+  };
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  IMAGE_TYPES,
+  createUploadStore,
+};
@@ -0,0 +1,41 @@
+/**
+ * REQUEST FIELD VALIDATION
+ *
+ * Checks shared by the lib/ validators. Problems are collected as
+ * [{ field, message }] for validationError (lib/errors.js).
+ */
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Number from a request field: null when blank, NaN when not a number
+function parseNumber(value) {
+  if (isBlank(value)) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+/**
+ * Optional text fields: trimmed, null when blank, at most maxLengths[field]
+ * characters. Only fields for which present(field) is true are checked.
+ * Returns { field: value }; problems are pushed onto errors.
+ */
+function validText(input, fields, { maxLengths, errors, present = () => true }) {
+  const values = {};
+  for (const field of fields) {
+    if (!present(field)) continue;
+    const value = isBlank(input[field]) ? null : String(input[field]).trim();
+    if (value && value.length > maxLengths[field]) {
+      errors.push({ field, message: `must be at most ${maxLengths[field]} characters` });
+    }
+    values[field] = value;
+  }
+  return values;
+}
+
+module.exports = {
+  isBlank,
+  parseNumber,
+  validText,
+};
@@ -0,0 +1,256 @@
+/**
+ * COMMUNITY VERIFICATIONS
+ *
+ * A yes/no vote can come with what the voter checked (vote_verifications):
+ *
+ *   askedStaff      they asked the staff whether the food is halal
+ *   sawCertificate  they saw a halal certificate on display - optionally
+ *                   with a photo of it, uploaded separately
+ *   alcoholServed   also counted as an alcohol_served attribute vote
+ *                   (lib/attributes.js)
+ *   note            free text for moderators
+ *
+ * Verified votes weigh more in the halal score (lib/scoring.js), and the
+ * counts are returned with the vote counts ("12 people saw a certificate").
+ * Photos and notes are only shown to moderators.
+ */
+
+const path = require('path');
+const pool = require('./db');
+const { voteAttributes } = require('./attributes');
+const { rescoreRestaurant } = require('./scoring');
+const { MAX_UPLOAD_BYTES, IMAGE_TYPES, createUploadStore } = require('./uploads');
+const { notFound, validationError } = require('./errors');
+
+const QUESTIONS = ['askedStaff', 'sawCertificate', 'alcoholServed'];
+const MAX_NOTE_LENGTH = 1000;
+
+const photos = createUploadStore({
+  dir: process.env.VERIFICATION_PHOTO_DIR || path.join(__dirname, '..', 'uploads', 'verifications'),
+  types: IMAGE_TYPES,
+  label: 'Verification photo',
+});
+
+/**
+ * Validate { askedStaff, sawCertificate, alcoholServed, note } from a
+ * request body. Answers are true, false or null (not answered); at least
+ * one answer or a note is needed.
+ * Returns the values, or throws a validationError.
+ */
+function validateVerification(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw validationError([{ field: 'verification', message: `must be an object with any of: ${[...QUESTIONS, 'note'].join(', ')}` }]);
+  }
+
+  const errors = [];
+  const values = { note: null };
+  for (const question of QUESTIONS) {
+    const value = input[question] ?? null;
+    if (value !== true && value !== false && value !== null) {
+      errors.push({ field: `verification.${question}`, message: 'must be true, false or null' });
+    }
+    values[question] = value;
+  }
+
+  if (input.note !== undefined && input.note !== null) {
+    if (typeof input.note !== 'string') {
+      errors.push({ field: 'verification.note', message: 'must be a string' });
+    } else if (input.note.trim().length > MAX_NOTE_LENGTH) {
+      errors.push({ field: 'verification.note', message: `must be at most ${MAX_NOTE_LENGTH} characters` });
+    } else {
+      values.note = input.note.trim() || null;
+    }
+  }
+
+  if (errors.length === 0 && values.note === null && QUESTIONS.every(question => values[question] === null)) {
+    errors.push({ field: 'verification', message: `answer at least one of ${QUESTIONS.join(', ')}, or add a note` });
+  }
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+  return values;
+}
+
+/**
+ * Store a voter's verification of a restaurant, replacing their earlier
+ * one (keeping its photo). values: from validateVerification(); null
+ * removes it. The alcohol_served vote it made follows alcoholServed, and
+ * is retracted along with it.
+ * voter: { voterId, voterType } (see voterKey in lib/auth.js)
+ * options.quarantineFlagId: the vote's quarantine flag, for the
+ * alcohol_served vote (see voteAttributes)
+ */
+async function saveVerification(restaurantId, values, voter, { quarantineFlagId = null } = {}) {
+  if (values === null) {
+    const removed = await pool.query(
+      'DELETE FROM vote_verifications WHERE restaurant_id = $1 AND user_id = $2 RETURNING photo_file, alcohol_served',
+      [restaurantId, voter.voterId]
+    );
+    const row = removed.rows[0];
+    if (row?.photo_file) {
+      photos.remove(row.photo_file);
+    }
+    if (row && row.alcohol_served !== null) {
+      await voteAttributes(restaurantId, { alcohol_served: null }, voter);
+    }
+    return;
+  }
+
+  const previous = await pool.query(
+    'SELECT alcohol_served FROM vote_verifications WHERE restaurant_id = $1 AND user_id = $2',
+    [restaurantId, voter.voterId]
+  );
+  const previousAlcoholServed = previous.rows[0]?.alcohol_served ?? null;
+
+  await pool.query(`
+    INSERT INTO vote_verifications
+      (restaurant_id, user_id, voter_type, asked_staff, saw_certificate, alcohol_served, note)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (restaurant_id, user_id)
+    DO UPDATE SET asked_staff = $4, saw_certificate = $5, alcohol_served = $6, note = $7, updated_at = NOW()
+  `, [
+    restaurantId, voter.voterId, voter.voterType,
+    values.askedStaff, values.sawCertificate, values.alcoholServed, values.note,
+  ]);
+
+  if (values.alcoholServed !== null) {
+    await voteAttributes(restaurantId, { alcohol_served: values.alcoholServed }, voter, { quarantineFlagId });
+  } else if (previousAlcoholServed !== null) {
+    await voteAttributes(restaurantId, { alcohol_served: null }, voter);
+  }
+}
+
+/**
+ * Counts across a restaurant's verifications:
+ * { reports, askedStaff, sawCertificate, alcoholServed: { yes, no }, certificatePhotos }
+ */
+async function getVerificationSummary(restaurantId) {
+  const result = await pool.query(`
+    SELECT
+      COUNT(*)::int AS reports,
+      COUNT(*) FILTER (WHERE asked_staff)::int AS asked_staff,
+      COUNT(*) FILTER (WHERE saw_certificate)::int AS saw_certificate,
+      COUNT(*) FILTER (WHERE alcohol_served)::int AS alcohol_yes,
+      COUNT(*) FILTER (WHERE NOT alcohol_served)::int AS alcohol_no,
+      COUNT(photo_file)::int AS certificate_photos
+    FROM vote_verifications vv
+    WHERE vv.restaurant_id = $1
+      -- Not from quarantined votes (lib/abuse.js)
+      AND NOT EXISTS (
+        SELECT 1 FROM votes v
+        WHERE v.restaurant_id = vv.restaurant_id AND v.user_id = vv.user_id AND v.quarantine_flag_id IS NOT NULL
+      )
+  `, [restaurantId]);
+
+  const row = result.rows[0];
+  return {
+    reports: row.reports,
+    askedStaff: row.asked_staff,
+    sawCertificate: row.saw_certificate,
+    alcoholServed: { yes: row.alcohol_yes, no: row.alcohol_no },
+    certificatePhotos: row.certificate_photos,
+  };
+}
+
+function formatVerification(row) {
+  return {
+    askedStaff: row.asked_staff,
+    sawCertificate: row.saw_certificate,
+    alcoholServed: row.alcohol_served,
+    note: row.note,
+    hasPhoto: row.photo_file !== null,
+    updatedAt: row.updated_at,
+  };
+}
+
+// A voter's own verification of a restaurant, or null
+async function getUserVerification(restaurantId, voter) {
+  const result = await pool.query(
+    'SELECT * FROM vote_verifications WHERE restaurant_id = $1 AND user_id = $2',
+    [restaurantId, voter.voterId]
+  );
+  return result.rows.length > 0 ? formatVerification(result.rows[0]) : null;
+}
+
+/**
+ * Attach a photo of the certificate to the voter's verification, replacing
+ * any earlier one. Seeing it counts as sawCertificate, so the restaurant
+ * is rescored.
+ * upload: { contentType, data (Buffer) }
+ */
+async function saveVerificationPhoto(restaurantId, voter, upload) {
+  const existing = await pool.query(
+    'SELECT id, photo_file FROM vote_verifications WHERE restaurant_id = $1 AND user_id = $2',
+    [restaurantId, voter.voterId]
+  );
+  if (existing.rows.length === 0) {
+    throw notFound('Vote with a verification before adding a photo');
+  }
+
+  const row = existing.rows[0];
+  const file = photos.save(row.id, upload);
+  const updated = await pool.query(`
+    UPDATE vote_verifications
+    SET photo_file = $2, photo_content_type = $3, saw_certificate = true, updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [row.id, file.fileName, file.contentType]);
+
+  if (row.photo_file) {
+    photos.remove(row.photo_file);
+  }
+  await rescoreRestaurant(pool, restaurantId);
+  return formatVerification(updated.rows[0]);
+}
+
+// Every verification of a restaurant with the vote it came with, newest first (moderators)
+async function listVerifications(restaurantId) {
+  const result = await pool.query(`
+    SELECT
+      vv.id,
+      vv.user_id,
+      vv.voter_type,
+      v.vote,
+      v.quarantine_flag_id,
+      vv.asked_staff,
+      vv.saw_certificate,
+      vv.alcohol_served,
+      vv.note,
+      vv.photo_file IS NOT NULL AS has_photo,
+      vv.created_at,
+      vv.updated_at
+    FROM vote_verifications vv
+    LEFT JOIN votes v ON v.restaurant_id = vv.restaurant_id AND v.user_id = vv.user_id
+    WHERE vv.restaurant_id = $1
+    ORDER BY vv.updated_at DESC
+  `, [restaurantId]);
+  return result.rows;
+}
+
+// The certificate photo of a verification: { contentType, data }
+async function getVerificationPhoto(id) {
+  const result = await pool.query(
+    'SELECT photo_file, photo_content_type FROM vote_verifications WHERE id = $1',
+    [id]
+  );
+  if (result.rows.length === 0) {
+    throw notFound('Verification not found');
+  }
+  const row = result.rows[0];
+  if (!row.photo_file) {
+    throw notFound('This verification has no photo');
+  }
+  return { contentType: row.photo_content_type, data: photos.read(row.photo_file) };
+}
+
+module.exports = {
+  PHOTO_TYPES: photos.types,
+  MAX_PHOTO_BYTES: MAX_UPLOAD_BYTES,
+  validateVerification,
+  saveVerification,
+  getVerificationSummary,
+  getUserVerification,
+  saveVerificationPhoto,
+  listVerifications,
+  getVerificationPhoto,
+};
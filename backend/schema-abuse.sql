@@ -0,0 +1,51 @@
+-- ============================================
+-- VOTE ANTI-ABUSE
+-- Every vote / report / submission request is logged with its IP and
+-- voter for the rate limits in lib/abuse.js. Rate limit hits, bursts of
+-- votes on one restaurant and several voters behind one IP are flagged
+-- for an admin; suspicious votes are quarantined (not counted) until the
+-- flag is approved or rejected.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS activity_log (
+  id BIGSERIAL PRIMARY KEY,
+  action VARCHAR(30) NOT NULL,                  -- vote | attribute_vote | closure_report | ...
+  ip VARCHAR(64) NOT NULL,
+  actor_id VARCHAR(255),                        -- as votes.user_id; NULL when anonymous
+  restaurant_id UUID,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_activity_log_ip ON activity_log(action, ip, created_at);
+CREATE INDEX IF NOT EXISTS idx_activity_log_actor ON activity_log(action, actor_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_activity_log_restaurant ON activity_log(restaurant_id, created_at);
+
+CREATE TABLE IF NOT EXISTS flagged_activity (
+  id SERIAL PRIMARY KEY,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('rate_limit', 'vote_burst', 'shared_ip')),
+  action VARCHAR(30) NOT NULL,
+  restaurant_id UUID REFERENCES restaurants(id) ON DELETE CASCADE,
+  ip VARCHAR(64),
+  actor_id VARCHAR(255),
+  details JSONB NOT NULL DEFAULT '{}',
+  occurrences INTEGER NOT NULL DEFAULT 1,       -- times seen while pending
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_seen_at TIMESTAMP DEFAULT NOW(),
+  reviewed_at TIMESTAMP,
+  reviewed_by VARCHAR(255)                      -- user id or 'api-key:<name>'
+);
+
+CREATE INDEX IF NOT EXISTS idx_flagged_activity_status ON flagged_activity(status, created_at);
+
+-- Quarantined votes are left out of the counts and the halal score
+ALTER TABLE votes ADD COLUMN IF NOT EXISTS quarantine_flag_id INTEGER
+  REFERENCES flagged_activity(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_votes_quarantine ON votes(quarantine_flag_id)
+  WHERE quarantine_flag_id IS NOT NULL;
+
+-- Quarantined attribute votes are left out of restaurants.halal_attributes
+ALTER TABLE attribute_votes ADD COLUMN IF NOT EXISTS quarantine_flag_id INTEGER
+  REFERENCES flagged_activity(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_attribute_votes_quarantine ON attribute_votes(quarantine_flag_id)
+  WHERE quarantine_flag_id IS NOT NULL;
@@ -0,0 +1,39 @@
+-- ============================================
+-- HALAL ATTRIBUTES
+-- Fully halal / partial menu, alcohol, pork on the premises, separate
+-- fryers, zabiha, hand-slaughtered: true / false / unknown per restaurant,
+-- set by moderators or decided by votes (lib/attributes.js). The resolved
+-- values are kept in restaurants.halal_attributes for the listing filters.
+-- ============================================
+
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS halal_attributes JSONB NOT NULL DEFAULT '{}';
+CREATE INDEX IF NOT EXISTS idx_restaurants_halal_attributes ON restaurants USING GIN (halal_attributes);
+
+-- Set by a moderator; overrides the votes
+CREATE TABLE IF NOT EXISTS restaurant_attributes (
+  restaurant_id UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  attribute VARCHAR(30) NOT NULL
+    CHECK (attribute IN ('fully_halal', 'partial_menu', 'alcohol_served', 'pork_on_premises',
+                         'separate_fryers', 'zabiha', 'hand_slaughtered')),
+  value BOOLEAN NOT NULL,
+  set_by VARCHAR(255),                          -- user id or 'api-key:<name>'
+  set_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (restaurant_id, attribute)
+);
+
+-- One vote per voter per attribute (user_id as in votes.user_id)
+CREATE TABLE IF NOT EXISTS attribute_votes (
+  id SERIAL PRIMARY KEY,
+  restaurant_id UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  attribute VARCHAR(30) NOT NULL
+    CHECK (attribute IN ('fully_halal', 'partial_menu', 'alcohol_served', 'pork_on_premises',
+                         'separate_fryers', 'zabiha', 'hand_slaughtered')),
+  value BOOLEAN NOT NULL,
+  user_id VARCHAR(255) NOT NULL,
+  voter_type VARCHAR(10) NOT NULL,              -- user | device
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (restaurant_id, attribute, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attribute_votes_restaurant ON attribute_votes(restaurant_id);
@@ -0,0 +1,40 @@
+-- ============================================
+-- USERS & SESSIONS
+-- Real accounts instead of the x-user-id header
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL,
+  password_hash TEXT NOT NULL,
+  display_name VARCHAR(100),
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_login_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email ON users(LOWER(email));
+
+-- Opaque session tokens (only the SHA-256 hash is stored)
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+
+-- Votes: who cast them
+-- 'user'   = logged-in account (votes.user_id = users.id)
+-- 'device' = anonymous device ID, lower trust (votes.user_id = 'device:<id>')
+ALTER TABLE votes ADD COLUMN IF NOT EXISTS voter_type VARCHAR(10) NOT NULL DEFAULT 'device';
+
+ALTER TABLE votes DROP CONSTRAINT IF EXISTS votes_voter_type_check;
+ALTER TABLE votes ADD CONSTRAINT votes_voter_type_check
+CHECK (voter_type IN ('user', 'device'));
+
+-- Existing votes came from the unauthenticated x-user-id header
+UPDATE votes SET user_id = 'device:' || user_id
+WHERE voter_type = 'device' AND user_id NOT LIKE 'device:%';
@@ -0,0 +1,52 @@
+-- ============================================
+-- BUSINESS STATUS + CLOSURE REPORTS
+-- Whether a restaurant is still open, from Place Details (hydration,
+-- submissions, jobs/refresh-metadata.js) and from user reports that a
+-- moderator confirms. Closed restaurants are left out of listings unless
+-- include_closed=true.
+-- ============================================
+
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS business_status VARCHAR(30) NOT NULL DEFAULT 'operational';
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS business_status_updated_at TIMESTAMP;
+
+ALTER TABLE restaurants DROP CONSTRAINT IF EXISTS restaurants_business_status_check;
+ALTER TABLE restaurants ADD CONSTRAINT restaurants_business_status_check
+  CHECK (business_status IN ('operational', 'temporarily_closed', 'permanently_closed'));
+
+CREATE INDEX IF NOT EXISTS idx_restaurants_business_status ON restaurants(business_status);
+
+-- Places Google already reported closed (schema-metadata-refresh.sql)
+UPDATE restaurants r
+SET business_status = CASE gm.business_status
+      WHEN 'CLOSED_TEMPORARILY' THEN 'temporarily_closed'
+      ELSE 'permanently_closed'
+    END,
+    business_status_updated_at = COALESCE(gm.business_status_changed_at, gm.last_verified_at)
+FROM google_metadata gm
+WHERE gm.restaurant_id = r.id
+  AND gm.business_status IN ('CLOSED_TEMPORARILY', 'CLOSED_PERMANENTLY')
+  AND r.business_status = 'operational';
+
+-- "This place has closed" reports, waiting for a moderator (or a Google
+-- refresh) to confirm them
+CREATE TABLE IF NOT EXISTS closure_reports (
+  id SERIAL PRIMARY KEY,
+  restaurant_id UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  reported_status VARCHAR(30) NOT NULL
+    CHECK (reported_status IN ('temporarily_closed', 'permanently_closed')),
+  notes TEXT,
+  reporter_id VARCHAR(255) NOT NULL,            -- user id or device:<id> (as votes.user_id)
+  reporter_type VARCHAR(10) NOT NULL,           -- user | device
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'confirmed', 'dismissed')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  reviewed_at TIMESTAMP,
+  reviewed_by VARCHAR(255),                     -- user id, 'api-key:<name>' or 'refresh-metadata'
+  dismissal_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_closure_reports_status ON closure_reports(status);
+CREATE INDEX IF NOT EXISTS idx_closure_reports_restaurant ON closure_reports(restaurant_id);
+-- One open report per person per restaurant
+CREATE UNIQUE INDEX IF NOT EXISTS idx_closure_reports_pending
+  ON closure_reports(restaurant_id, reporter_id) WHERE status = 'pending';
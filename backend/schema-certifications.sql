@@ -0,0 +1,48 @@
+-- ============================================
+-- HALAL CERTIFICATIONS
+-- Certifying bodies (HMA, HFSAA, ISNA, ...) and the certificates they
+-- issued to restaurants, managed over the admin API. An unexpired
+-- certificate is the strongest halal evidence lib/scoring.js knows; once
+-- it expires or is revoked the restaurant is downgraded
+-- (jobs/expire-certifications.js rescores them daily).
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS certifiers (
+  id SERIAL PRIMARY KEY,
+  slug VARCHAR(40) NOT NULL UNIQUE,             -- as used by certified_by, e.g. 'hma'
+  name VARCHAR(200) NOT NULL,
+  country VARCHAR(100),
+  website TEXT,
+  active BOOLEAN NOT NULL DEFAULT true,         -- false: its certificates no longer count
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+INSERT INTO certifiers (slug, name, country) VALUES
+  ('hma', 'Halal Monitoring Authority', 'Canada'),
+  ('hfsaa', 'Halal Food Standards Alliance of America', 'USA'),
+  ('isna', 'ISNA Halal Certification', 'Canada')
+ON CONFLICT (slug) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS restaurant_certifications (
+  id SERIAL PRIMARY KEY,
+  restaurant_id UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  certifier_id INTEGER NOT NULL REFERENCES certifiers(id),
+  certificate_number VARCHAR(100),
+  scope VARCHAR(200),                           -- e.g. 'chicken only'; NULL = the whole menu
+  issued_on DATE,
+  expires_on DATE,                              -- last valid day; NULL = no expiry printed
+  evidence_file VARCHAR(255),                   -- file in CERTIFICATE_EVIDENCE_DIR
+  evidence_content_type VARCHAR(100),
+  revoked_at TIMESTAMP,
+  revoked_reason TEXT,
+  created_by VARCHAR(255),                      -- user id or 'api-key:<name>'
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (expires_on IS NULL OR issued_on IS NULL OR expires_on >= issued_on)
+);
+
+CREATE INDEX IF NOT EXISTS idx_restaurant_certifications_restaurant ON restaurant_certifications(restaurant_id);
+CREATE INDEX IF NOT EXISTS idx_restaurant_certifications_certifier ON restaurant_certifications(certifier_id);
+CREATE INDEX IF NOT EXISTS idx_restaurant_certifications_expires ON restaurant_certifications(expires_on)
+  WHERE revoked_at IS NULL;
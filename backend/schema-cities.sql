@@ -0,0 +1,68 @@
+-- ============================================
+-- CITY REGISTRY
+-- Centers, bounds / polygons and time zones for the hydration jobs,
+-- managed over the admin API instead of CITY_COORDS in code
+-- ============================================
+
+ALTER TABLE cities ADD COLUMN IF NOT EXISTS bounds_north DECIMAL(10, 6);
+ALTER TABLE cities ADD COLUMN IF NOT EXISTS bounds_south DECIMAL(10, 6);
+ALTER TABLE cities ADD COLUMN IF NOT EXISTS bounds_east DECIMAL(10, 6);
+ALTER TABLE cities ADD COLUMN IF NOT EXISTS bounds_west DECIMAL(10, 6);
+-- GeoJSON Polygon / MultiPolygon ([lng, lat] rings) for cities that a box fits badly
+ALTER TABLE cities ADD COLUMN IF NOT EXISTS polygon JSONB;
+-- IANA zone, e.g. 'America/Toronto'
+ALTER TABLE cities ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+ALTER TABLE cities ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT NOW();
+ALTER TABLE cities ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_cities_city_lower ON cities(LOWER(city));
+
+-- Cities the hydration jobs used to hard-code. Existing rows (matched
+-- case-insensitively) only get their blanks filled.
+CREATE TEMP TABLE city_seed (
+  city VARCHAR(100),
+  country VARCHAR(100),
+  lat DECIMAL(10, 8),
+  lng DECIMAL(11, 8),
+  north DECIMAL(10, 6),
+  south DECIMAL(10, 6),
+  east DECIMAL(10, 6),
+  west DECIMAL(10, 6),
+  timezone VARCHAR(64)
+);
+
+INSERT INTO city_seed VALUES
+  ('Calgary', 'Canada', 51.0447, -114.0719, 51.18, 50.84, -113.86, -114.27, 'America/Edmonton'),
+  ('Toronto', 'Canada', 43.6532, -79.3832, 43.85, 43.58, -79.12, -79.64, 'America/Toronto'),
+  ('Vancouver', 'Canada', 49.2827, -123.1207, 49.35, 49.20, -123.02, -123.27, 'America/Vancouver'),
+  ('Edmonton', 'Canada', 53.5461, -113.4938, 53.67, 53.40, -113.27, -113.71, 'America/Edmonton'),
+  ('Montreal', 'Canada', 45.5017, -73.5673, 45.70, 45.40, -73.47, -73.98, 'America/Toronto'),
+  ('Ottawa', 'Canada', 45.4215, -75.6972, 45.54, 45.25, -75.50, -75.92, 'America/Toronto'),
+  ('Mississauga', 'Canada', 43.5890, -79.6441, 43.65, 43.52, -79.54, -79.79, 'America/Toronto'),
+  ('Brampton', 'Canada', 43.7315, -79.7624, 43.82, 43.65, -79.65, -79.87, 'America/Toronto'),
+  ('New York', 'USA', 40.7128, -74.0060, 40.92, 40.50, -73.70, -74.26, 'America/New_York'),
+  ('Los Angeles', 'USA', 34.0522, -118.2437, 34.34, 33.70, -118.16, -118.67, 'America/Los_Angeles'),
+  ('Chicago', 'USA', 41.8781, -87.6298, 42.02, 41.64, -87.52, -87.94, 'America/Chicago'),
+  ('Houston', 'USA', 29.7604, -95.3698, 30.11, 29.52, -95.01, -95.79, 'America/Chicago'),
+  ('London', 'UK', 51.5074, -0.1278, 51.69, 51.28, 0.33, -0.51, 'Europe/London'),
+  ('Birmingham', 'UK', 52.4862, -1.8904, 52.61, 52.38, -1.73, -2.03, 'Europe/London'),
+  ('Dubai', 'UAE', 25.2048, 55.2708, 25.36, 24.79, 55.55, 54.89, 'Asia/Dubai');
+
+UPDATE cities c SET
+  country = COALESCE(NULLIF(c.country, ''), s.country),
+  lat = COALESCE(c.lat, s.lat),
+  lng = COALESCE(c.lng, s.lng),
+  bounds_north = COALESCE(c.bounds_north, s.north),
+  bounds_south = COALESCE(c.bounds_south, s.south),
+  bounds_east = COALESCE(c.bounds_east, s.east),
+  bounds_west = COALESCE(c.bounds_west, s.west),
+  timezone = COALESCE(c.timezone, s.timezone)
+FROM city_seed s
+WHERE LOWER(c.city) = LOWER(s.city);
+
+INSERT INTO cities (city, country, lat, lng, bounds_north, bounds_south, bounds_east, bounds_west, timezone, source)
+SELECT s.city, s.country, s.lat, s.lng, s.north, s.south, s.east, s.west, s.timezone, 'manual'
+FROM city_seed s
+WHERE NOT EXISTS (SELECT 1 FROM cities c WHERE LOWER(c.city) = LOWER(s.city));
+
+DROP TABLE city_seed;
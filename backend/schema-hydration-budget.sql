@@ -0,0 +1,19 @@
+-- ============================================
+-- HYDRATION BUDGET
+-- Places API spend per month, shared by every hydration run, so a
+-- monthly cap holds across cities (see lib/hydration/budget.js)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS hydration_spend (
+  month DATE NOT NULL,                          -- first day of the month
+  operation VARCHAR(20) NOT NULL,               -- textsearch | nearbysearch | details
+  calls INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(10, 3) NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (month, operation)
+);
+
+-- Runs stopped by --max-cost / the monthly budget (resumable)
+ALTER TABLE hydration_runs DROP CONSTRAINT IF EXISTS hydration_runs_status_check;
+ALTER TABLE hydration_runs ADD CONSTRAINT hydration_runs_status_check
+  CHECK (status IN ('running', 'interrupted', 'failed', 'budget_exceeded', 'completed'));
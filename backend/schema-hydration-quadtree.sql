@@ -0,0 +1,9 @@
+-- ============================================
+-- HYDRATION QUADTREE GRIDS
+-- Where a run is inside a quadtree grid source: the cells still to search
+-- and the coverage so far, so `--resume` can continue it
+-- (see runQuadtreeSource in lib/hydration/pipeline.js)
+-- ============================================
+
+-- { queue: [{ north, south, east, west, depth }], coverage: { cells, by_depth, ... } }
+ALTER TABLE hydration_runs ADD COLUMN IF NOT EXISTS grid_state JSONB;
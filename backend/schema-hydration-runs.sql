@@ -0,0 +1,32 @@
+-- ============================================
+-- HYDRATION RUNS
+-- One row per jobs/hydrate.js run, checkpointed after every query / grid
+-- point so `--resume` can continue an interrupted or crashed run
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS hydration_runs (
+  id SERIAL PRIMARY KEY,
+  city VARCHAR(100) NOT NULL,
+  preset VARCHAR(100) NOT NULL,
+  preset_file TEXT NOT NULL,
+  phases TEXT[] NOT NULL,                       -- phase names selected for the run
+  status VARCHAR(20) NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'interrupted', 'failed', 'completed')),
+
+  -- Checkpoint: the next query / grid point to run
+  phase_index INTEGER NOT NULL DEFAULT 0,
+  source_index INTEGER NOT NULL DEFAULT 0,
+  item_index INTEGER NOT NULL DEFAULT 0,
+  phase VARCHAR(100),
+  current_item TEXT,                            -- e.g. '"halal restaurant"' or 'grid point 12/25'
+
+  -- { phases: { <name>: { saved, skipped, ... } }, saved_by_status, api_calls }
+  counters JSONB NOT NULL DEFAULT '{}',
+  error TEXT,
+  resume_count INTEGER NOT NULL DEFAULT 0,
+  started_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_hydration_runs_city ON hydration_runs(LOWER(city), status);
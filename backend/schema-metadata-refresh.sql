@@ -0,0 +1,16 @@
+-- ============================================
+-- GOOGLE METADATA REFRESH
+-- jobs/refresh-metadata.js re-fetches Place Details for restaurants whose
+-- google_metadata is older than N days, busiest first
+-- ============================================
+
+-- Google's business_status: OPERATIONAL | CLOSED_TEMPORARILY | CLOSED_PERMANENTLY
+ALTER TABLE google_metadata ADD COLUMN IF NOT EXISTS business_status VARCHAR(30);
+-- When business_status last changed (NULL = never reported as anything else)
+ALTER TABLE google_metadata ADD COLUMN IF NOT EXISTS business_status_changed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_google_metadata_last_verified ON google_metadata(last_verified_at);
+
+-- Traffic: restaurant page views (GET /api/restaurants/:id), used to refresh
+-- popular places first
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS view_count INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,11 @@
+-- ============================================
+-- SUBMISSION MODERATION
+-- Approve / reject over HTTP (and the CLI)
+-- ============================================
+
+ALTER TABLE restaurant_submissions ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+ALTER TABLE restaurant_submissions ADD COLUMN IF NOT EXISTS reviewed_by VARCHAR(255);
+-- reviewed_by: user id, 'api-key:<name>' or 'cli'
+
+-- Restaurant created (or matched) when the submission was approved
+ALTER TABLE restaurant_submissions ADD COLUMN IF NOT EXISTS restaurant_id UUID REFERENCES restaurants(id) ON DELETE SET NULL;
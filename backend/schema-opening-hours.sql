@@ -0,0 +1,23 @@
+-- ============================================
+-- OPENING HOURS
+-- google_metadata.hours keeps Google's weekday_text strings, which can't be
+-- queried. opening_hours holds them as periods (lib/opening-hours.js), in
+-- the restaurant's local time - the time zone is its city's
+-- (cities.timezone). Used by open_now / open_at on the listing endpoints
+-- and is_open_now on GET /api/restaurants/:id.
+--
+-- Existing restaurants: run `node jobs/backfill-hours.js` after this file.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS opening_hours (
+  id SERIAL PRIMARY KEY,
+  restaurant_id UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  day SMALLINT NOT NULL CHECK (day BETWEEN 0 AND 6),  -- day it opens, 0 = Sunday
+  open_minute SMALLINT NOT NULL CHECK (open_minute BETWEEN 0 AND 1439),
+  -- Minutes after midnight of `day`: past 1440 it closes the next day
+  close_minute SMALLINT NOT NULL,
+  overnight BOOLEAN GENERATED ALWAYS AS (close_minute > 1440) STORED,
+  CHECK (close_minute > open_minute AND close_minute <= open_minute + 10080)
+);
+
+CREATE INDEX IF NOT EXISTS idx_opening_hours_restaurant ON opening_hours(restaurant_id);
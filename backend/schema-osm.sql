@@ -0,0 +1,21 @@
+-- ============================================
+-- OPENSTREETMAP SOURCE
+-- Restaurants tagged diet:halal=yes|only, ingested by jobs/hydrate-osm.js
+-- ============================================
+
+-- One row per OSM element. Merged elements point at the existing
+-- (usually Google) restaurant instead of creating a duplicate.
+CREATE TABLE IF NOT EXISTS osm_metadata (
+  id SERIAL PRIMARY KEY,
+  restaurant_id UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  osm_type VARCHAR(10) NOT NULL CHECK (osm_type IN ('node', 'way', 'relation')),
+  osm_id BIGINT NOT NULL,
+  diet_halal VARCHAR(10) NOT NULL,
+  tags JSONB NOT NULL DEFAULT '{}',
+  merged BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_seen_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (osm_type, osm_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_osm_metadata_restaurant ON osm_metadata(restaurant_id);
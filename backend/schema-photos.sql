@@ -0,0 +1,36 @@
+-- ============================================
+-- PHOTOS
+-- restaurants.image used to hold Google photo URLs with GOOGLE_API_KEY in
+-- them, served as-is to clients. Photos are now kept as Google photo
+-- references (photo_references, up to 3) and image / image_url_2 /
+-- image_url_3 hold proxy paths, /api/photos/:restaurantId/:index
+-- (lib/photos.js). This moves existing URLs over and scrubs the key.
+-- ============================================
+
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS image_url_2 TEXT;
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS image_url_3 TEXT;
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS photo_references TEXT[];
+
+-- Google photo URLs -> their photo references + proxy paths
+WITH google_photos AS (
+  SELECT id, array_remove(ARRAY[
+    substring(image FROM 'maps\.googleapis\.com/maps/api/place/photo\?.*photoreference=([^&]+)'),
+    substring(image_url_2 FROM 'maps\.googleapis\.com/maps/api/place/photo\?.*photoreference=([^&]+)'),
+    substring(image_url_3 FROM 'maps\.googleapis\.com/maps/api/place/photo\?.*photoreference=([^&]+)')
+  ], NULL) AS refs
+  FROM restaurants
+  WHERE photo_references IS NULL
+    AND image LIKE 'https://maps.googleapis.com/maps/api/place/photo?%'
+)
+UPDATE restaurants r
+SET photo_references = gp.refs,
+    image = '/api/photos/' || r.id || '/0',
+    image_url_2 = CASE WHEN cardinality(gp.refs) >= 2 THEN '/api/photos/' || r.id || '/1' END,
+    image_url_3 = CASE WHEN cardinality(gp.refs) >= 3 THEN '/api/photos/' || r.id || '/2' END
+FROM google_photos gp
+WHERE gp.id = r.id AND cardinality(gp.refs) > 0;
+
+-- Anything else still carrying a Google key is unusable without it
+UPDATE restaurants SET image = NULL WHERE image ~ 'googleapis\.com/.*[?&]key=';
+UPDATE restaurants SET image_url_2 = NULL WHERE image_url_2 ~ 'googleapis\.com/.*[?&]key=';
+UPDATE restaurants SET image_url_3 = NULL WHERE image_url_3 ~ 'googleapis\.com/.*[?&]key=';
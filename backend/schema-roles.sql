@@ -0,0 +1,24 @@
+-- ============================================
+-- ROLES & API KEYS
+-- Protects admin endpoints (submissions, city requests)
+-- ============================================
+
+-- 'user' < 'moderator' < 'admin'
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user';
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+CHECK (role IN ('user', 'moderator', 'admin'));
+
+-- API keys for scripts / CLI jobs (sent as x-api-key)
+-- Only the SHA-256 hash is stored; key_prefix identifies a key in listings
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL,
+  key_hash VARCHAR(64) NOT NULL UNIQUE,
+  key_prefix VARCHAR(16) NOT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'admin' CHECK (role IN ('moderator', 'admin')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
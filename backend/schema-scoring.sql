@@ -0,0 +1,52 @@
+-- ============================================
+-- HALAL CONFIDENCE SCORING
+-- halal_status / halal_confidence_score are now computed by lib/scoring.js
+-- from all the evidence for a restaurant. source_status / source_confidence
+-- keep what the place was saved with (hydration preset, OSM tag, or the
+-- moderator who approved / added it), so recomputing never loses it, and
+-- halal_score_breakdown records how the score was reached.
+--
+-- Afterwards, score existing restaurants: node jobs/rescore.js
+-- ============================================
+
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS source_status VARCHAR(20);
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS source_confidence INTEGER;
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS halal_score_breakdown JSONB;
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS halal_scored_at TIMESTAMP;
+
+-- What each restaurant was saved with. The old vote handler overwrote
+-- halal_status with 'community' / 'unknown' once 5 votes were in; for those
+-- rows fall back to what their discovery source saves.
+UPDATE restaurants r
+SET source_status = CASE WHEN d.overwritten THEN d.status ELSE r.halal_status END,
+    source_confidence = CASE WHEN d.overwritten THEN d.confidence ELSE COALESCE(r.halal_confidence_score, 0) END
+FROM (
+  SELECT
+    id,
+    overwritten,
+    CASE
+      WHEN discovered_via IN ('explicit', 'explicit-grid', 'cuisine') OR osm_only THEN 'verified'
+      ELSE 'unverified'
+    END AS status,
+    CASE
+      WHEN discovered_via = 'explicit' THEN 95
+      WHEN discovered_via = 'explicit-grid' THEN 90
+      WHEN discovered_via = 'cuisine' OR osm_only THEN 85
+      WHEN discovered_via = 'cuisine-likely' THEN 75
+      ELSE 70
+    END AS confidence
+  FROM (
+    SELECT
+      r2.id,
+      r2.discovered_via,
+      r2.halal_status = 'community'
+        OR (r2.halal_status = 'unknown' AND (SELECT COUNT(*) FROM votes v WHERE v.restaurant_id = r2.id) >= 5) AS overwritten,
+      r2.discovered_via = 'osm' AND EXISTS (
+        SELECT 1 FROM osm_metadata om WHERE om.restaurant_id = r2.id AND om.diet_halal = 'only'
+      ) AS osm_only
+    FROM restaurants r2
+  ) discovery
+) d
+WHERE d.id = r.id AND r.source_status IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_votes_user ON votes(user_id);
@@ -0,0 +1,26 @@
+-- ============================================
+-- COMMUNITY VERIFICATIONS
+-- What a voter checked before voting: whether they asked the staff, saw
+-- a halal certificate (optionally with a photo of it), and whether
+-- alcohol is served, plus a free-text note. Sent with a vote
+-- (POST /api/votes/:restaurantId), one per voter per restaurant, and
+-- counted as stronger votes by lib/scoring.js.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS vote_verifications (
+  id SERIAL PRIMARY KEY,
+  restaurant_id UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+  user_id VARCHAR(255) NOT NULL,                -- as votes.user_id
+  voter_type VARCHAR(10) NOT NULL,              -- user | device
+  asked_staff BOOLEAN,                          -- NULL = not answered
+  saw_certificate BOOLEAN,
+  alcohol_served BOOLEAN,
+  note TEXT,
+  photo_file VARCHAR(255),                      -- certificate photo in VERIFICATION_PHOTO_DIR
+  photo_content_type VARCHAR(100),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (restaurant_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vote_verifications_restaurant ON vote_verifications(restaurant_id);
@@ -1,6 +1,11 @@
 -- HalalCrave Database Schema
 -- PostgreSQL
 
+-- ============ EXTENSIONS ============
+
+-- Trigram matching for typo-tolerant restaurant search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- ============ TABLES ============
 
 -- Restaurants table - Main source of truth
@@ -77,6 +82,14 @@ CREATE INDEX IF NOT EXISTS idx_google_metadata_restaurant ON google_metadata(res
 CREATE INDEX IF NOT EXISTS idx_votes_restaurant ON votes(restaurant_id);
 CREATE INDEX IF NOT EXISTS idx_city_requests_status ON city_requests(status);
 
+-- Search: fuzzy (trigram) per field + full-text over name, cuisine and address
+CREATE INDEX IF NOT EXISTS idx_restaurants_name_trgm ON restaurants USING GIN (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_restaurants_cuisine_trgm ON restaurants USING GIN (cuisine gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_restaurants_address_trgm ON restaurants USING GIN (address gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_restaurants_search ON restaurants USING GIN (
+  to_tsvector('simple', COALESCE(name, '') || ' ' || COALESCE(cuisine, '') || ' ' || COALESCE(address, ''))
+);
+
 -- ============ FUNCTIONS ============
 
 -- Function to update updated_at timestamp
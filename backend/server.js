@@ -3,64 +3,234 @@
 
 const express = require('express');
 const cors = require('cors');
-const { Pool } = require('pg');
+const pool = require('./lib/db');
+const {
+  hashPassword,
+  verifyPassword,
+  createSession,
+  revokeSession,
+  authenticate,
+  requireUser,
+  requireVoter,
+  requireRole,
+  actorId,
+  voterKey,
+} = require('./lib/auth');
+const { ApiError } = require('./lib/errors');
+const {
+  findCandidates,
+  approveSubmission,
+  rejectSubmission,
+  addManualRestaurant,
+} = require('./lib/submissions');
+const { parseListingParams, buildListingQuery, formatListingPage } = require('./lib/restaurant-listing');
+const { getCity, createCity, updateCity } = require('./lib/cities');
+const { reportClosed, listReports, confirmReport, dismissReport } = require('./lib/closures');
+const { getHours, formatPeriod, openAtSql, localTimeSql } = require('./lib/opening-hours');
+const { getPhoto, parseWidth } = require('./lib/photos');
+const { rescoreRestaurant } = require('./lib/scoring');
+const {
+  EVIDENCE_TYPES,
+  MAX_EVIDENCE_BYTES,
+  listCertifiers,
+  createCertifier,
+  updateCertifier,
+  getCertifications,
+  listCertifications,
+  addCertification,
+  updateCertification,
+  saveEvidence,
+  getEvidence,
+} = require('./lib/certifications');
+const {
+  getAttributes,
+  validateAttributes,
+  setAttributes,
+  voteAttributes,
+  getUserAttributes,
+} = require('./lib/attributes');
+const {
+  PHOTO_TYPES,
+  MAX_PHOTO_BYTES,
+  validateVerification,
+  saveVerification,
+  getVerificationSummary,
+  getUserVerification,
+  saveVerificationPhoto,
+  listVerifications,
+  getVerificationPhoto,
+} = require('./lib/verifications');
+const { rateLimit, screenVote, listFlags, approveFlag, rejectFlag } = require('./lib/abuse');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer, req.ip (used for rate limits) is only the
+// client's when Express trusts its X-Forwarded-For: TRUST_PROXY=1 (hops)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(authenticate);
+
+// Respond with an ApiError thrown by a lib/ module.
+// Returns false for any other error so the caller can send its own 500.
+function sendApiError(res, error) {
+  if (!(error instanceof ApiError)) return false;
+  const body = { message: error.message, code: error.code };
+  if (error.errors) body.errors = error.errors;
+  res.status(error.status).json(body);
+  return true;
+}
+
+// ============ AUTH ============
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Used when the email is unknown so login timing doesn't reveal which emails exist
+const DUMMY_PASSWORD_HASH = hashPassword('not-a-real-password');
+
+// POST /api/auth/signup
+app.post('/api/auth/signup', async (req, res) => {
+  try {
+    const { password, display_name } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ message: 'A valid email is required' });
+    }
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const existing = await pool.query('SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ message: 'An account with this email already exists' });
+    }
+
+    const passwordHash = await hashPassword(String(password));
+    const result = await pool.query(`
+      INSERT INTO users (email, password_hash, display_name, created_at)
+      VALUES ($1, $2, $3, NOW())
+      RETURNING id, email, display_name, role, created_at
+    `, [email, passwordHash, display_name ? String(display_name).slice(0, 100) : null]);
+
+    const user = result.rows[0];
+    const session = await createSession(user.id);
+
+    res.status(201).json({ user, ...session });
+  } catch (error) {
+    // Lost a race with a concurrent signup for the same email (idx_users_email)
+    if (error.code === '23505') {
+      return res.status(409).json({ message: 'An account with this email already exists' });
+    }
+    console.error('Error signing up:', error);
+    res.status(500).json({ message: 'Failed to sign up' });
+  }
+});
+
+// POST /api/auth/login
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { password } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+
+    const result = await pool.query(`
+      SELECT id, email, display_name, role, created_at, password_hash
+      FROM users
+      WHERE LOWER(email) = LOWER($1)
+    `, [email]);
+
+    const row = result.rows[0];
+    const valid = await verifyPassword(String(password), row ? row.password_hash : await DUMMY_PASSWORD_HASH);
+
+    if (!row || !valid) {
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    await pool.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [row.id]);
+
+    const { password_hash, ...user } = row;
+    const session = await createSession(user.id);
+
+    res.json({ user, ...session });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ message: 'Failed to log in' });
+  }
+});
 
-// Database connection
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+// POST /api/auth/logout - Revoke the current session token
+app.post('/api/auth/logout', requireUser, async (req, res) => {
+  try {
+    await revokeSession(req.sessionToken);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ message: 'Failed to log out' });
+  }
+});
+
+// GET /api/auth/me
+app.get('/api/auth/me', requireUser, (req, res) => {
+  res.json({ user: req.user });
 });
 
 // ============ RESTAURANTS ============
 
 // GET /api/restaurants?city=CityName
+// Optional: halal_status, cuisine, discovered_via, certified_by, min_rating, min_confidence,
+//           halal attributes (alcohol_served=false, zabiha=true, ...), include_closed,
+//           open_now, open_at, sort (rating|review_count|name|distance|newest),
+//           lat/lng, limit, cursor
 app.get('/api/restaurants', async (req, res) => {
   try {
-    const { city } = req.query;
-    
-    if (!city) {
-      return res.status(400).json({ message: 'City parameter is required' });
+    const { params, errors } = parseListingParams(req.query, { mode: 'city' });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid query parameters', errors });
     }
 
-    const result = await pool.query(`
-      SELECT 
-        r.id,
-        r.name,
-        r.address,
-        r.city,
-        r.lat,
-        r.lng,
-        r.cuisine,
-        r.halal_status,
-        r.halal_confidence_score,
-        r.source,
-        r.image,
-        r.image_url_2,
-        r.image_url_3,
-        r.created_at,
-        gm.rating,
-        gm.review_count,
-        gm.phone
-      FROM restaurants r
-      LEFT JOIN google_metadata gm ON r.id = gm.restaurant_id
-      WHERE LOWER(r.city) = LOWER($1)
-      ORDER BY gm.rating DESC NULLS LAST, r.name ASC
-    `, [city]);
+    const { text, values } = buildListingQuery(params);
+    const result = await pool.query(text, values);
 
-    res.json({ restaurants: result.rows });
+    res.json(formatListingPage(result.rows, params));
   } catch (error) {
     console.error('Error fetching restaurants:', error);
     res.status(500).json({ message: 'Failed to fetch restaurants' });
   }
 });
 
+// GET /api/restaurants/nearby?lat=..&lng=..&radius_km=5
+// Matches across city boundaries, sorted by distance from the given point.
+// Accepts the same filters / sort / pagination params as the city listing.
+app.get('/api/restaurants/nearby', async (req, res) => {
+  try {
+    const { params, errors } = parseListingParams(req.query, { mode: 'nearby' });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid query parameters', errors });
+    }
+
+    const { text, values } = buildListingQuery(params);
+    const result = await pool.query(text, values);
+
+    res.json(formatListingPage(result.rows, params));
+  } catch (error) {
+    console.error('Error fetching nearby restaurants:', error);
+    res.status(500).json({ message: 'Failed to fetch nearby restaurants' });
+  }
+});
+
 // GET /api/restaurants/:id
 app.get('/api/restaurants/:id', async (req, res) => {
   try {
@@ -77,7 +247,10 @@ app.get('/api/restaurants/:id', async (req, res) => {
         r.cuisine,
         r.halal_status,
         r.halal_confidence_score,
+        r.halal_score_breakdown AS score_breakdown,
         r.source,
+        r.business_status,
+        r.business_status_updated_at,
         r.image,
         r.image_url_2,
         r.image_url_3,
@@ -86,9 +259,17 @@ app.get('/api/restaurants/:id', async (req, res) => {
         gm.review_count,
         gm.phone,
         gm.website,
-        gm.hours
+        gm.hours,
+        c.timezone,
+        -- NULL when we don't know: no parsed hours, or no time zone for the city
+        CASE
+          WHEN r.business_status <> 'operational' THEN false
+          WHEN c.timezone IS NULL OR NOT EXISTS (SELECT 1 FROM opening_hours WHERE restaurant_id = r.id) THEN NULL
+          ELSE ${openAtSql('r.id', localTimeSql(null, 'c.timezone'))}
+        END AS is_open_now
       FROM restaurants r
       LEFT JOIN google_metadata gm ON r.id = gm.restaurant_id
+      LEFT JOIN cities c ON LOWER(c.city) = LOWER(r.city)
       WHERE r.id = $1
     `, [id]);
 
@@ -96,15 +277,93 @@ app.get('/api/restaurants/:id', async (req, res) => {
       return res.status(404).json({ message: 'Restaurant not found' });
     }
 
-    res.json({ restaurant: result.rows[0] });
+    const restaurant = result.rows[0];
+    restaurant.opening_hours = (await getHours(pool, id)).map(formatPeriod);
+    restaurant.certifications = await getCertifications(pool, id);
+    restaurant.halal_attributes = await getAttributes(pool, id);
+
+    // Page views decide which places jobs/refresh-metadata.js re-verifies first
+    pool.query('UPDATE restaurants SET view_count = view_count + 1 WHERE id = $1', [id])
+      .catch(error => console.error('Error counting restaurant view:', error));
+
+    res.json({ restaurant });
   } catch (error) {
     console.error('Error fetching restaurant:', error);
     res.status(500).json({ message: 'Failed to fetch restaurant' });
   }
 });
 
+// POST /api/restaurants/:id/report-closed - { status, notes }
+// Requires login (or an anonymous x-device-id). status: permanently_closed
+// (default) or temporarily_closed. Queued for a moderator; the restaurant
+// stays listed until the report is confirmed.
+app.post('/api/restaurants/:id/report-closed', requireVoter, rateLimit('closure_report'), async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+    const report = await reportClosed(req.params.id, {
+      status,
+      notes: notes || null,
+      reporter: voterKey(req)
+    });
+
+    res.status(202).json({
+      success: true,
+      report,
+      message: 'Thanks! We will verify this and update the listing.'
+    });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error reporting closure:', error);
+    res.status(500).json({ message: 'Failed to report closure' });
+  }
+});
+
+// PATCH /api/restaurants/:id/attributes - Set halal attributes (moderator)
+// Body: { attributes: { alcohol_served: false, zabiha: true, ... } }; null clears
+// a moderator's value so the votes decide again. Returns every attribute, resolved.
+app.patch('/api/restaurants/:id/attributes', requireRole('moderator'), async (req, res) => {
+  try {
+    const attributes = await setAttributes(req.params.id, req.body.attributes, { setBy: actorId(req) });
+    res.json({ success: true, attributes });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error setting restaurant attributes:', error);
+    res.status(500).json({ message: 'Failed to set restaurant attributes' });
+  }
+});
+
+// POST /api/restaurants - Add a restaurant manually, without Google Places (moderator)
+// Body: { name, city, address, lat, lng, cuisine, halal_status, submission_id, dry_run }
+// Coordinates are geocoded from the address when omitted. submission_id
+// approves that submission and links it to the new restaurant.
+app.post('/api/restaurants', requireRole('moderator'), async (req, res) => {
+  try {
+    const { submission_id, dry_run, ...fields } = req.body;
+
+    let submissionId = null;
+    if (submission_id !== undefined && submission_id !== null) {
+      submissionId = parseInt(submission_id);
+      if (isNaN(submissionId)) {
+        return res.status(400).json({ message: 'Invalid submission id' });
+      }
+    }
+
+    const result = await addManualRestaurant(fields, {
+      submissionId,
+      reviewedBy: actorId(req),
+      dryRun: dry_run === true
+    });
+
+    res.status(result.dry_run ? 200 : 201).json({ success: true, ...result });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error adding restaurant:', error);
+    res.status(500).json({ message: 'Failed to add restaurant' });
+  }
+});
+
 // POST /api/restaurants/submit - Submit missing restaurant for review
-app.post('/api/restaurants/submit', async (req, res) => {
+app.post('/api/restaurants/submit', rateLimit('submission'), async (req, res) => {
   try {
     const { name, address, city, notes } = req.body;
 
@@ -142,8 +401,8 @@ app.post('/api/restaurants/submit', async (req, res) => {
   }
 });
 
-// GET /api/submissions - Get all pending submissions (admin)
-app.get('/api/submissions', async (req, res) => {
+// GET /api/submissions - Get all pending submissions (moderator)
+app.get('/api/submissions', requireRole('moderator'), async (req, res) => {
   try {
     const { status } = req.query;
     
@@ -165,8 +424,8 @@ app.get('/api/submissions', async (req, res) => {
   }
 });
 
-// GET /api/submissions/count - Get pending count
-app.get('/api/submissions/count', async (req, res) => {
+// GET /api/submissions/count - Get pending count (moderator)
+app.get('/api/submissions/count', requireRole('moderator'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT COUNT(*) as count FROM restaurant_submissions WHERE status = 'pending'
@@ -178,6 +437,293 @@ app.get('/api/submissions/count', async (req, res) => {
   }
 });
 
+// POST /api/submissions/:id/candidates - Google Places matches for a submission (moderator)
+app.post('/api/submissions/:id/candidates', requireRole('moderator'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ message: 'Invalid submission id' });
+    }
+
+    const { submission, candidates } = await findCandidates(id);
+    res.json({ submission, candidates });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error fetching submission candidates:', error);
+    res.status(500).json({ message: 'Failed to fetch candidates' });
+  }
+});
+
+// POST /api/submissions/:id/approve - { place_id, halal_status, dry_run } (moderator)
+app.post('/api/submissions/:id/approve', requireRole('moderator'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ message: 'Invalid submission id' });
+    }
+
+    const { place_id, halal_status, dry_run } = req.body;
+    const result = await approveSubmission(id, {
+      placeId: place_id,
+      halalStatus: halal_status,
+      reviewedBy: actorId(req),
+      dryRun: dry_run === true
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error approving submission:', error);
+    res.status(500).json({ message: 'Failed to approve submission' });
+  }
+});
+
+// POST /api/submissions/:id/reject - { reason } (moderator)
+app.post('/api/submissions/:id/reject', requireRole('moderator'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ message: 'Invalid submission id' });
+    }
+
+    const { reason } = req.body;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'A rejection reason is required' });
+    }
+
+    await rejectSubmission(id, { reason: String(reason).trim(), reviewedBy: actorId(req) });
+    res.json({ success: true });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error rejecting submission:', error);
+    res.status(500).json({ message: 'Failed to reject submission' });
+  }
+});
+
+// ============ PHOTOS ============
+
+// GET /api/photos/:restaurantId/:index?w=400
+// A restaurant's photo (index 0-2, as in image / image_url_2 / image_url_3),
+// fetched from Google Places and cached on disk - the API key stays here.
+// w is rounded up to 200, 400, 800 or 1600 pixels wide.
+app.get('/api/photos/:restaurantId/:index', async (req, res) => {
+  try {
+    const width = parseWidth(req.query.w);
+    const photo = await getPhoto(req.params.restaurantId, req.params.index, { width });
+
+    res.set({
+      'Content-Type': photo.contentType,
+      'Cache-Control': 'public, max-age=86400',
+      'X-Cache': photo.cached ? 'HIT' : 'MISS'
+    });
+    res.send(photo.data);
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error fetching photo:', error);
+    res.status(500).json({ message: 'Failed to fetch photo' });
+  }
+});
+
+// ============ CLOSURE REPORTS ============
+
+// GET /api/closure-reports?status=pending - Closure reports to verify (moderator)
+app.get('/api/closure-reports', requireRole('moderator'), async (req, res) => {
+  try {
+    const reports = await listReports({ status: req.query.status || 'pending' });
+    res.json({ reports });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error fetching closure reports:', error);
+    res.status(500).json({ message: 'Failed to fetch closure reports' });
+  }
+});
+
+// POST /api/closure-reports/:id/confirm - Mark the restaurant closed (moderator)
+app.post('/api/closure-reports/:id/confirm', requireRole('moderator'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ message: 'Invalid closure report id' });
+    }
+
+    const result = await confirmReport(id, { reviewedBy: actorId(req) });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error confirming closure report:', error);
+    res.status(500).json({ message: 'Failed to confirm closure report' });
+  }
+});
+
+// POST /api/closure-reports/:id/dismiss - { reason } (moderator)
+app.post('/api/closure-reports/:id/dismiss', requireRole('moderator'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ message: 'Invalid closure report id' });
+    }
+
+    const { reason } = req.body;
+    await dismissReport(id, { reason: reason ? String(reason).trim() : null, reviewedBy: actorId(req) });
+    res.json({ success: true });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error dismissing closure report:', error);
+    res.status(500).json({ message: 'Failed to dismiss closure report' });
+  }
+});
+
+// ============ CERTIFICATIONS ============
+
+// GET /api/certifiers - Certifying bodies, for the certified_by filter
+// (?include_inactive=true also lists ones no longer recognised)
+app.get('/api/certifiers', async (req, res) => {
+  try {
+    const certifiers = await listCertifiers({ includeInactive: req.query.include_inactive === 'true' });
+    res.json({ certifiers });
+  } catch (error) {
+    console.error('Error fetching certifiers:', error);
+    res.status(500).json({ message: 'Failed to fetch certifiers' });
+  }
+});
+
+// POST /api/certifiers - { slug, name, country, website } (admin)
+app.post('/api/certifiers', requireRole('admin'), async (req, res) => {
+  try {
+    const certifier = await createCertifier(req.body);
+    res.status(201).json({ success: true, certifier });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error creating certifier:', error);
+    res.status(500).json({ message: 'Failed to create certifier' });
+  }
+});
+
+// PATCH /api/certifiers/:slug - any of { name, country, website, active } (admin)
+// active: false stops its certificates counting; their restaurants are rescored.
+app.patch('/api/certifiers/:slug', requireRole('admin'), async (req, res) => {
+  try {
+    const certifier = await updateCertifier(req.params.slug, req.body);
+    res.json({ success: true, certifier });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error updating certifier:', error);
+    res.status(500).json({ message: 'Failed to update certifier' });
+  }
+});
+
+// GET /api/certifications?state=active&certifier=hma&expiring_within_days=30 (admin)
+app.get('/api/certifications', requireRole('admin'), async (req, res) => {
+  try {
+    const { state, certifier, expiring_within_days } = req.query;
+    const certifications = await listCertifications({
+      state: state || null,
+      certifier: certifier || null,
+      expiringWithinDays: expiring_within_days === undefined ? null : Number(expiring_within_days)
+    });
+    res.json({ certifications });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error fetching certifications:', error);
+    res.status(500).json({ message: 'Failed to fetch certifications' });
+  }
+});
+
+// POST /api/restaurants/:id/certifications (admin)
+// Body: { certifier, certificate_number, scope, issued_on, expires_on }
+// Returns the certificate and the restaurant's rescored halal_status / confidence.
+app.post('/api/restaurants/:id/certifications', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await addCertification(req.params.id, req.body, { createdBy: actorId(req) });
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error adding certification:', error);
+    res.status(500).json({ message: 'Failed to add certification' });
+  }
+});
+
+// PATCH /api/certifications/:id (admin)
+// Body: any of { certifier, certificate_number, scope, issued_on, expires_on, revoked, revoked_reason }
+app.patch('/api/certifications/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ message: 'Invalid certification id' });
+    }
+
+    const result = await updateCertification(id, req.body);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error updating certification:', error);
+    res.status(500).json({ message: 'Failed to update certification' });
+  }
+});
+
+// PUT /api/certifications/:id/evidence - the certificate photo / PDF as the raw body (admin)
+app.put(
+  '/api/certifications/:id/evidence',
+  requireRole('admin'),
+  express.raw({ type: Object.keys(EVIDENCE_TYPES), limit: MAX_EVIDENCE_BYTES }),
+  async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (isNaN(id)) {
+        return res.status(400).json({ message: 'Invalid certification id' });
+      }
+
+      const certification = await saveEvidence(id, { contentType: req.get('content-type'), data: req.body });
+      res.json({ success: true, certification });
+    } catch (error) {
+      if (sendApiError(res, error)) return;
+      console.error('Error saving certification evidence:', error);
+      res.status(500).json({ message: 'Failed to save certification evidence' });
+    }
+  }
+);
+
+// GET /api/certifications/:id/evidence (moderator)
+app.get('/api/certifications/:id/evidence', requireRole('moderator'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ message: 'Invalid certification id' });
+    }
+
+    const evidence = await getEvidence(id);
+    res.set({ 'Content-Type': evidence.contentType, 'Cache-Control': 'private, no-store' });
+    res.send(evidence.data);
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error fetching certification evidence:', error);
+    res.status(500).json({ message: 'Failed to fetch certification evidence' });
+  }
+});
+
+// ============ SEARCH ============
+
+// GET /api/search?q=karahi&city=Toronto
+// Typo-tolerant search over name, cuisine and address, ranked by relevance.
+// Optional: lat/lng (+ radius_km) and the listing filters / sort / pagination params.
+app.get('/api/search', async (req, res) => {
+  try {
+    const { params, errors } = parseListingParams(req.query, { mode: 'search' });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid query parameters', errors });
+    }
+
+    const { text, values } = buildListingQuery(params);
+    const result = await pool.query(text, values);
+
+    res.json(formatListingPage(result.rows, params));
+  } catch (error) {
+    console.error('Error searching restaurants:', error);
+    res.status(500).json({ message: 'Failed to search restaurants' });
+  }
+});
+
 // ============ CITIES ============
 
 // GET /api/cities - Get all available (hydrated) cities
@@ -231,10 +777,53 @@ app.get('/api/cities/:city/status', async (req, res) => {
   }
 });
 
+// GET /api/cities/:city - Registry entry: center, bounds, polygon, time zone
+app.get('/api/cities/:city', async (req, res) => {
+  try {
+    const city = await getCity(req.params.city);
+
+    if (!city) {
+      return res.status(404).json({ message: 'City not found' });
+    }
+
+    res.json({ city });
+  } catch (error) {
+    console.error('Error fetching city:', error);
+    res.status(500).json({ message: 'Failed to fetch city' });
+  }
+});
+
+// POST /api/cities - Add a city to the registry (admin)
+// Body: { city, country, lat, lng, bounds: { north, south, east, west }, polygon, timezone }
+// Center and bounds are geocoded when omitted; the city can then be hydrated.
+app.post('/api/cities', requireRole('admin'), async (req, res) => {
+  try {
+    const city = await createCity(req.body);
+    res.status(201).json({ success: true, city });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error creating city:', error);
+    res.status(500).json({ message: 'Failed to create city' });
+  }
+});
+
+// PATCH /api/cities/:city - Edit a registry entry (admin)
+// Body: any of { country, lat, lng, bounds, polygon, timezone }; null clears bounds / polygon / timezone
+app.patch('/api/cities/:city', requireRole('admin'), async (req, res) => {
+  try {
+    const city = await updateCity(req.params.city, req.body);
+    res.json({ success: true, city });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error updating city:', error);
+    res.status(500).json({ message: 'Failed to update city' });
+  }
+});
+
 // ============ CITY REQUESTS ============
 
 // POST /api/city-request
-app.post('/api/city-request', async (req, res) => {
+app.post('/api/city-request', rateLimit('city_request'), async (req, res) => {
   try {
     const { city, country } = req.body;
 
@@ -282,7 +871,7 @@ app.post('/api/city-request', async (req, res) => {
 });
 
 // GET /api/city-requests - Admin endpoint to view all requests
-app.get('/api/city-requests', async (req, res) => {
+app.get('/api/city-requests', requireRole('admin'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT *
@@ -297,13 +886,28 @@ app.get('/api/city-requests', async (req, res) => {
   }
 });
 
+// POST /api/city-requests/:id/approve - Approve a request and register the city (admin)
+// Body (optional): { city, country, lat, lng, bounds, polygon, timezone } overriding the request / geocoder
+app.post('/api/city-requests/:id/approve', requireRole('admin'), async (req, res) => {
+  try {
+    const city = await createCity(req.body || {}, { requestId: req.params.id });
+    res.status(city.created ? 201 : 200).json({ success: true, city });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error approving city request:', error);
+    res.status(500).json({ message: 'Failed to approve city request' });
+  }
+});
+
 // ============ VOTING ============
 
 // GET /api/votes/:restaurantId
+// Counts leave out quarantined votes; verification: counts of what voters checked (see POST below)
+// userVote / userVerification are only filled in for a logged-in user or x-device-id
 app.get('/api/votes/:restaurantId', async (req, res) => {
   try {
     const { restaurantId } = req.params;
-    const userId = req.headers['x-user-id'] || 'anonymous';
+    const voter = voterKey(req);
 
     // Get vote counts
     const counts = await pool.query(`
@@ -311,19 +915,22 @@ app.get('/api/votes/:restaurantId', async (req, res) => {
         COUNT(*) FILTER (WHERE vote = 'yes') as yes_count,
         COUNT(*) FILTER (WHERE vote = 'no') as no_count
       FROM votes
-      WHERE restaurant_id = $1
+      WHERE restaurant_id = $1 AND quarantine_flag_id IS NULL
     `, [restaurantId]);
 
     // Get user's vote
-    const userVote = await pool.query(`
+    const userVote = voter ? await pool.query(`
       SELECT vote FROM votes
       WHERE restaurant_id = $1 AND user_id = $2
-    `, [restaurantId, userId]);
+    `, [restaurantId, voter.voterId]) : { rows: [] };
 
     res.json({
       yesCount: parseInt(counts.rows[0].yes_count) || 0,
       noCount: parseInt(counts.rows[0].no_count) || 0,
-      userVote: userVote.rows[0]?.vote || null
+      userVote: userVote.rows[0]?.vote || null,
+      verification: await getVerificationSummary(restaurantId),
+      userVerification: voter ? await getUserVerification(restaurantId, voter) : null,
+      userAttributes: voter ? await getUserAttributes(restaurantId, voter) : null
     });
   } catch (error) {
     console.error('Error fetching votes:', error);
@@ -331,24 +938,46 @@ app.get('/api/votes/:restaurantId', async (req, res) => {
   }
 });
 
-// POST /api/votes/:restaurantId
-app.post('/api/votes/:restaurantId', async (req, res) => {
+// POST /api/votes/:restaurantId - Requires login (or an anonymous x-device-id)
+// Body: { vote: 'yes' | 'no', verification?: { askedStaff, sawCertificate,
+// alcoholServed, note } } - answers true / false / null; verification: null
+// removes an earlier one, leaving it out keeps it. Rate limited; a vote caught in
+// a burst or shared-IP check is quarantined (not counted) until an admin reviews it
+app.post('/api/votes/:restaurantId', requireVoter, rateLimit('vote'), async (req, res) => {
   try {
     const { restaurantId } = req.params;
     const { vote } = req.body;
-    const userId = req.headers['x-user-id'] || 'anonymous';
+    const voter = voterKey(req);
+    const { voterId, voterType } = voter;
 
     if (!['yes', 'no'].includes(vote)) {
       return res.status(400).json({ message: 'Vote must be "yes" or "no"' });
     }
+    const verification = req.body.verification === undefined || req.body.verification === null
+      ? req.body.verification
+      : validateVerification(req.body.verification);
 
-    // Upsert vote
-    await pool.query(`
-      INSERT INTO votes (restaurant_id, user_id, vote, created_at)
-      VALUES ($1, $2, $3, NOW())
+    const quarantineFlagId = await screenVote(restaurantId, {
+      voter,
+      ip: req.ip || 'unknown',
+      accountCreatedAt: req.user?.created_at
+    });
+
+    // Upsert vote (a quarantined vote stays quarantined until reviewed)
+    const saved = await pool.query(`
+      INSERT INTO votes (restaurant_id, user_id, voter_type, vote, created_at, quarantine_flag_id)
+      VALUES ($1, $2, $3, $4, NOW(), $5)
       ON CONFLICT (restaurant_id, user_id)
-      DO UPDATE SET vote = $3, created_at = NOW()
-    `, [restaurantId, userId, vote]);
+      DO UPDATE SET vote = $4, created_at = NOW(),
+        quarantine_flag_id = COALESCE(votes.quarantine_flag_id, EXCLUDED.quarantine_flag_id)
+      RETURNING quarantine_flag_id
+    `, [restaurantId, voterId, voterType, vote, quarantineFlagId]);
+
+    if (verification !== undefined) {
+      await saveVerification(restaurantId, verification, voter, {
+        quarantineFlagId: saved.rows[0].quarantine_flag_id
+      });
+    }
 
     // Get updated counts
     const counts = await pool.query(`
@@ -356,36 +985,160 @@ app.post('/api/votes/:restaurantId', async (req, res) => {
         COUNT(*) FILTER (WHERE vote = 'yes') as yes_count,
         COUNT(*) FILTER (WHERE vote = 'no') as no_count
       FROM votes
-      WHERE restaurant_id = $1
+      WHERE restaurant_id = $1 AND quarantine_flag_id IS NULL
     `, [restaurantId]);
 
-    // Update halal confidence score on restaurant
-    const yesCount = parseInt(counts.rows[0].yes_count) || 0;
-    const noCount = parseInt(counts.rows[0].no_count) || 0;
-    const total = yesCount + noCount;
-    const confidenceScore = total > 0 ? Math.round((yesCount / total) * 100) : 0;
-
-    if (total >= 5) {
-      // Update halal status based on votes
-      const status = confidenceScore >= 70 ? 'community' : 'unknown';
-      await pool.query(`
-        UPDATE restaurants
-        SET halal_status = $1, halal_confidence_score = $2
-        WHERE id = $3
-      `, [status, confidenceScore, restaurantId]);
-    }
+    // Votes are one input to the halal score (lib/scoring.js), weighted by
+    // voter and age - they can't override stronger evidence
+    const score = await rescoreRestaurant(pool, restaurantId);
 
     res.json({
-      yesCount,
-      noCount,
-      userVote: vote
+      yesCount: parseInt(counts.rows[0].yes_count) || 0,
+      noCount: parseInt(counts.rows[0].no_count) || 0,
+      userVote: vote,
+      quarantined: saved.rows[0].quarantine_flag_id !== null,
+      verification: await getVerificationSummary(restaurantId),
+      userVerification: await getUserVerification(restaurantId, voter),
+      halalStatus: score.status,
+      confidenceScore: score.score
     });
   } catch (error) {
+    if (sendApiError(res, error)) return;
     console.error('Error casting vote:', error);
     res.status(500).json({ message: 'Failed to cast vote' });
   }
 });
 
+// POST /api/votes/:restaurantId/attributes - Requires login (or an anonymous x-device-id)
+// Body: { attributes: { alcohol_served: true, separate_fryers: null, ... } }; null
+// retracts a vote. Returns every attribute, resolved, and the caller's votes.
+// Rate limited and screened like votes
+app.post('/api/votes/:restaurantId/attributes', requireVoter, rateLimit('attribute_vote'), async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const voter = voterKey(req);
+    const attributes = validateAttributes(req.body.attributes);
+
+    const quarantineFlagId = await screenVote(restaurantId, {
+      voter,
+      ip: req.ip || 'unknown',
+      accountCreatedAt: req.user?.created_at,
+      action: 'attribute_vote'
+    });
+
+    const result = await voteAttributes(restaurantId, attributes, voter, { quarantineFlagId });
+    res.json(result);
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error voting on attributes:', error);
+    res.status(500).json({ message: 'Failed to vote on attributes' });
+  }
+});
+
+// PUT /api/votes/:restaurantId/verification/photo - Requires login (or an anonymous x-device-id)
+// A photo of the restaurant's halal certificate as the raw body, added to the
+// caller's verification (vote with one first)
+app.put(
+  '/api/votes/:restaurantId/verification/photo',
+  requireVoter,
+  rateLimit('verification_photo'),
+  express.raw({ type: Object.keys(PHOTO_TYPES), limit: MAX_PHOTO_BYTES }),
+  async (req, res) => {
+    try {
+      const userVerification = await saveVerificationPhoto(req.params.restaurantId, voterKey(req), {
+        contentType: req.get('content-type'),
+        data: req.body,
+      });
+      res.json({ success: true, userVerification });
+    } catch (error) {
+      if (sendApiError(res, error)) return;
+      console.error('Error saving verification photo:', error);
+      res.status(500).json({ message: 'Failed to save verification photo' });
+    }
+  }
+);
+
+// GET /api/restaurants/:id/verifications - Every voter's verification, with notes (moderator)
+app.get('/api/restaurants/:id/verifications', requireRole('moderator'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    res.json({
+      summary: await getVerificationSummary(id),
+      verifications: await listVerifications(id),
+    });
+  } catch (error) {
+    console.error('Error fetching verifications:', error);
+    res.status(500).json({ message: 'Failed to fetch verifications' });
+  }
+});
+
+// GET /api/verifications/:id/photo (moderator)
+app.get('/api/verifications/:id/photo', requireRole('moderator'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ message: 'Invalid verification id' });
+    }
+
+    const photo = await getVerificationPhoto(id);
+    res.set({ 'Content-Type': photo.contentType, 'Cache-Control': 'private, no-store' });
+    res.send(photo.data);
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error fetching verification photo:', error);
+    res.status(500).json({ message: 'Failed to fetch verification photo' });
+  }
+});
+
+// ============ FLAGGED ACTIVITY ============
+
+// GET /api/flagged-activity?status=pending&kind= - Rate limit hits, vote bursts
+// and shared-IP voting, with their quarantined votes (admin)
+app.get('/api/flagged-activity', requireRole('admin'), async (req, res) => {
+  try {
+    const flags = await listFlags({ status: req.query.status || 'pending', kind: req.query.kind || null });
+    res.json({ flags });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error fetching flagged activity:', error);
+    res.status(500).json({ message: 'Failed to fetch flagged activity' });
+  }
+});
+
+// POST /api/flagged-activity/:id/approve - Count its quarantined votes (admin)
+app.post('/api/flagged-activity/:id/approve', requireRole('admin'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ message: 'Invalid flag id' });
+    }
+
+    const result = await approveFlag(id, { reviewedBy: actorId(req) });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error approving flagged activity:', error);
+    res.status(500).json({ message: 'Failed to approve flagged activity' });
+  }
+});
+
+// POST /api/flagged-activity/:id/reject - Delete its quarantined votes (admin)
+app.post('/api/flagged-activity/:id/reject', requireRole('admin'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ message: 'Invalid flag id' });
+    }
+
+    const result = await rejectFlag(id, { reviewedBy: actorId(req) });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Error rejecting flagged activity:', error);
+    res.status(500).json({ message: 'Failed to reject flagged activity' });
+  }
+});
+
 // ============ HEALTH CHECK ============
 
 app.get('/api/health', (req, res) => {